@@ -7,15 +7,37 @@ import {
   ListPromptsRequestSchema,
   ListToolsRequestSchema,
   GetPromptRequestSchema,
+  ListResourcesRequestSchema,
+  ListResourceTemplatesRequestSchema,
+  ReadResourceRequestSchema,
+  SubscribeRequestSchema,
+  UnsubscribeRequestSchema,
+  CompleteRequestSchema,
 } from "@modelcontextprotocol/sdk/types.js";
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
 import { readFileSync } from 'fs';
+import { mkdir, writeFile } from 'fs/promises';
+import { createHash, randomBytes } from 'crypto';
+import { once } from 'events';
+import { AsyncLocalStorage } from 'async_hooks';
+import { PassThrough } from 'stream';
+import { createRequire } from 'module';
 import { z } from 'zod';
 import { zodToJsonSchema } from 'zod-to-json-schema';
+import PDFDocument from 'pdfkit';
+import archiver from 'archiver';
+import { parse as parseCsv } from 'csv-parse/sync';
+import ExcelJS from 'exceljs';
+import jwt from 'jsonwebtoken';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
+const require = createRequire(import.meta.url);
+
+// PDF karnelerde Türkçe karakterler için Unicode font
+const PDF_FONT = require.resolve('dejavu-fonts-ttf/ttf/DejaVuSans.ttf');
+const PDF_FONT_BOLD = require.resolve('dejavu-fonts-ttf/ttf/DejaVuSans-Bold.ttf');
 
 // Optional: instructions.md (if exists)
 let instructions = "";
@@ -23,6 +45,33 @@ try {
   instructions = readFileSync(join(__dirname, "instructions.md"), "utf-8");
 } catch {}
 
+// Not politikası: sınav türü ağırlıkları (%) ve geçme notu.
+// grading-policy.json varsa buradaki varsayılanların üzerine yazılır.
+const DEFAULT_GRADING_POLICY = {
+  agirliklar: {
+    'Yazılı': 15,
+    'Sözlü': 5,
+    'Ödev': 5,
+    'Proje': 5,
+    'Vize': 30,
+    'Final': 40,
+  },
+  gecme_notu: 50,
+};
+
+let gradingPolicy = DEFAULT_GRADING_POLICY;
+try {
+  const custom = JSON.parse(readFileSync(join(__dirname, "grading-policy.json"), "utf-8"));
+  gradingPolicy = {
+    agirliklar: { ...DEFAULT_GRADING_POLICY.agirliklar, ...custom.agirliklar },
+    gecme_notu: custom.gecme_notu ?? DEFAULT_GRADING_POLICY.gecme_notu,
+  };
+} catch (err) {
+  if (err.code !== 'ENOENT') {
+    console.error('grading-policy.json okunamadı, varsayılan not politikası kullanılıyor:', err.message);
+  }
+}
+
 // Create Express app
 const app = express();
 app.use(express.json());
@@ -30,300 +79,4567 @@ app.use(express.json());
 // Database connection
 const db = new sqlite3.Database('./database.db');
 
+// Uygulamanın kendi tabloları (yoksa oluşturulur)
+db.serialize(() => {
+  db.run(`
+    CREATE TABLE IF NOT EXISTS oauth_istemciler (
+      client_id TEXT PRIMARY KEY,
+      client_secret_hash TEXT,
+      client_name TEXT,
+      redirect_uris TEXT NOT NULL,
+      token_endpoint_auth_method TEXT NOT NULL DEFAULT 'none',
+      olusturma_tarihi DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+  db.run(`
+    CREATE TABLE IF NOT EXISTS oauth_tokenlar (
+      token_hash TEXT PRIMARY KEY,
+      tur TEXT CHECK(tur IN ('access', 'refresh')) NOT NULL,
+      client_id TEXT NOT NULL,
+      kimlik TEXT NOT NULL,
+      scope TEXT NOT NULL,
+      bitis INTEGER NOT NULL,
+      iptal BOOLEAN DEFAULT 0,
+      refresh_hash TEXT,
+      olusturma_tarihi DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (client_id) REFERENCES oauth_istemciler(client_id)
+    )
+  `);
+  // Access token'ın birlikte verildiği refresh token; refresh iptal edilince access token da iptal edilir
+  db.run(`ALTER TABLE oauth_tokenlar ADD COLUMN refresh_hash TEXT`, (err) => {
+    if (err && !err.message.includes('duplicate column name')) {
+      console.error('oauth_tokenlar.refresh_hash eklenemedi:', err.message);
+    }
+  });
+  db.run(`
+    CREATE TABLE IF NOT EXISTS denetim_kayitlari (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      tablo TEXT NOT NULL,
+      kayit_id INTEGER NOT NULL,
+      islem TEXT CHECK(islem IN ('ekleme', 'guncelleme', 'silme')) NOT NULL,
+      aktor TEXT,
+      rol TEXT,
+      kanal TEXT CHECK(kanal IN ('REST', 'MCP', 'SISTEM')) NOT NULL,
+      oturum_id TEXT,
+      arac TEXT,
+      istek TEXT,
+      onceki TEXT,
+      sonraki TEXT,
+      tarih DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+  db.run(`CREATE INDEX IF NOT EXISTS idx_denetim_kayitlari_kayit ON denetim_kayitlari (tablo, kayit_id)`);
+
+  // Öğrencinin pasif olduğu tarih KVKK saklama süresinin başlangıcıdır
+  for (const column of ['pasif_tarihi DATE', 'anonimlestirme_tarihi DATETIME']) {
+    db.run(`ALTER TABLE ogrenciler ADD COLUMN ${column}`, (err) => {
+      // Kolon daha önceki bir çalıştırmada eklendiyse hata beklenir
+      if (err && !err.message.includes('duplicate column name')) {
+        console.error(`ogrenciler.${column} eklenemedi:`, err.message);
+      }
+    });
+  }
+  // Tahsilat tarihi ayrı kolonda tutulur, odeme_tarihi borcun tahakkuk tarihi olarak kalır
+  db.run(`ALTER TABLE odemeler ADD COLUMN tahsil_tarihi DATE`, (err) => {
+    if (err && !err.message.includes('duplicate column name')) {
+      console.error('odemeler.tahsil_tarihi eklenemedi:', err.message);
+    }
+  });
+  // Kolondan önce ödenmiş borçlarda ödeme tarihi odeme_tarihi'ne yazılmıştı
+  db.run(`UPDATE odemeler SET tahsil_tarihi = odeme_tarihi WHERE odendi = 1 AND tahsil_tarihi IS NULL`);
+  // Tarihi bilinmeyen eski pasif kayıtlarda süre bugünden başlar
+  db.run(`UPDATE ogrenciler SET pasif_tarihi = date('now') WHERE aktif = 0 AND pasif_tarihi IS NULL`);
+  db.run(`
+    CREATE TRIGGER IF NOT EXISTS ogrenciler_pasif_tarihi
+    AFTER UPDATE OF aktif ON ogrenciler
+    WHEN NEW.aktif IS NOT OLD.aktif
+    BEGIN
+      UPDATE ogrenciler SET pasif_tarihi = CASE WHEN NEW.aktif = 0 THEN date('now') END WHERE id = NEW.id;
+    END
+  `);
+});
+
+// Yönetici (admin) API anahtarı (X-API-Key header)
+const ADMIN_API_KEY = process.env.ADMIN_API_KEY;
+
 // CORS settings
 app.use((req, res, next) => {
-  res.header('Access-Control-Allow-Origin', '*');
-  res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE');
-  res.header('Access-Control-Allow-Headers', 'Content-Type');
+  res.header('Access-Control-Allow-Origin', process.env.CORS_ORIGIN || '*');
+  res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, PATCH, DELETE');
+  res.header('Access-Control-Allow-Headers', 'Content-Type, X-API-Key, Authorization');
+  if (req.method === 'OPTIONS') {
+    res.sendStatus(204);
+    return;
+  }
   next();
 });
 
-// Student API Schemas
-const StudentSchema = z.object({
-  tc_no: z.string().describe("TC Kimlik No"),
-  ad: z.string().describe("Ad"),
-  soyad: z.string().describe("Soyad"),
-  dogum_tarihi: z.string().describe("Doğum Tarihi (YYYY-MM-DD)"),
-  cinsiyet: z.string().describe("Cinsiyet (E/K)"),
-  telefon: z.string().optional().describe("Telefon"),
-  email: z.string().optional().describe("Email"),
-  adres: z.string().optional().describe("Adres"),
-  veli_adi: z.string().optional().describe("Veli Adı"),
-  veli_telefonu: z.string().optional().describe("Veli Telefonu"),
-  sinif_id: z.number().optional().describe("Sınıf ID"),
-});
+// İstek sahibi öğretmen maaşlarını görebilir mi?
+const canSeeSalary = (req) => req.auth?.rol === 'admin';
 
-// Define all tool names
-const ToolName = {
-  GET_ALL_STUDENTS: "get_all_students",
-  GET_STUDENT_BY_ID: "get_student_by_id",
-  GET_STUDENT_GRADES: "get_student_grades",
-  GET_STUDENT_ATTENDANCE: "get_student_attendance",
-  GET_STUDENT_PAYMENTS: "get_student_payments",
-  GET_STUDENTS_BY_CLASS: "get_students_by_class",
-  SEARCH_STUDENTS: "search_students",
-  GET_STUDENT_AVERAGE: "get_student_average",
-  ADD_STUDENT: "add_student",
-  UPDATE_STUDENT: "update_student",
-  DELETE_STUDENT: "delete_student",
-  CUSTOM_QUERY: "custom_query"
+const hideSalary = (row) => {
+  const { maas, ...rest } = row;
+  return rest;
 };
 
-// Define schemas for tool inputs
-const StudentIdSchema = z.object({
-  id: z.number().describe("Öğrenci ID")
+// REST tarafında doğru HTTP durum koduna çevrilebilen hata
+const httpError = (status, message) => Object.assign(new Error(message), { status });
+
+// MCP araç cevabı
+const toolResult = (payload) => ({
+  content: [{ type: "text", text: JSON.stringify(payload, null, 2) }],
 });
 
-const SearchSchema = z.object({
-  search: z.string().describe("Arama terimi")
+// Tek bağlantı paylaşıldığı için yazmalar sırayla çalıştırılır: transaction açıkken başka isteklerin yazmaları
+// araya girip ROLLBACK ile birlikte geri alınmasın diye transaction dışındaki her yazma da aynı kuyruğu bekler.
+// Transaction içindeki sorgular ({ aktif: true } bağlamı) kuyruğu beklemeden çalışır.
+let writeQueue = Promise.resolve();
+const transactionContext = new AsyncLocalStorage();
+const inTransaction = () => transactionContext.getStore()?.aktif === true;
+
+// Açık transaction varsa task en dıştaki COMMIT'ten sonra çalışır, ROLLBACK olursa hiç çalışmaz
+function afterCommit(task) {
+  if (inTransaction()) {
+    transactionContext.getStore().afterCommit.push(task);
+  } else {
+    task();
+  }
+}
+
+function enqueueWrite(task) {
+  const run = writeQueue.then(task);
+  writeQueue = run.catch(() => {});
+  return run;
+}
+
+const execRun = (query, params) => new Promise((resolve, reject) => {
+  db.run(query, params, function(err) {
+    if (err) {
+      reject(err);
+    } else {
+      resolve({ lastID: this.lastID, changes: this.changes });
+    }
+  });
 });
 
-const ClassIdSchema = z.object({
-  sinif_id: z.number().describe("Sınıf ID")
+// Promise tabanlı sorgu yardımcıları (çok adımlı işlemler için)
+const dbRun = (query, params = []) => (inTransaction()
+  ? execRun(query, params)
+  : enqueueWrite(() => execRun(query, params)));
+
+const dbGet = (query, params = []) => new Promise((resolve, reject) => {
+  db.get(query, params, (err, row) => (err ? reject(err) : resolve(row)));
 });
 
-const CustomQuerySchema = z.object({
-  query: z.string().describe("SQL SELECT sorgusu"),
-  params: z.array(z.string()).optional().describe("Sorgu parametreleri")
+const dbAll = (query, params = []) => new Promise((resolve, reject) => {
+  db.all(query, params, (err, rows) => (err ? reject(err) : resolve(rows)));
 });
 
-const PromptName = {
-  SIMPLE: "simple_prompt",
-};
+// İç içe çağrılar (örn. transaction içinden auditedRun) açık transaction'a katılır
+function withTransaction(work) {
+  if (inTransaction()) {
+    return work();
+  }
 
-// Student API Functions
-async function getAllStudents() {
-  return new Promise((resolve, reject) => {
-    const query = `
-      SELECT 
-        o.*,
-        s.sinif_adi,
-        s.seviye
-      FROM ogrenciler o
-      LEFT JOIN siniflar s ON o.sinif_id = s.id
-      WHERE o.aktif = 1
-      ORDER BY o.ad, o.soyad
-    `;
-    
-    db.all(query, [], (err, rows) => {
-      if (err) {
-        reject(err);
-      } else {
-        resolve({
-          content: [{ type: "text", text: JSON.stringify({ data: rows }, null, 2) }],
-        });
+  return enqueueWrite(() => {
+    const context = { aktif: true, afterCommit: [] };
+    return transactionContext.run(context, async () => {
+      await execRun('BEGIN IMMEDIATE TRANSACTION');
+      try {
+        const result = await work();
+        await execRun('COMMIT');
+        context.afterCommit.forEach((task) => task());
+        return result;
+      } catch (err) {
+        // Asıl hata kaybolmasın; ROLLBACK hatası sadece loglanır
+        await execRun('ROLLBACK').catch((rollbackErr) => console.error('ROLLBACK başarısız:', rollbackErr.message));
+        throw err;
+      } finally {
+        // Transaction bittikten sonra çalışan (örn. setImmediate ile) işler kuyruğu atlamasın
+        context.aktif = false;
       }
     });
   });
 }
 
-async function getStudentById(id) {
-  return new Promise((resolve, reject) => {
-    const query = `
-      SELECT 
-        o.*, 
-        s.sinif_adi,
-        s.seviye
-      FROM ogrenciler o
-      LEFT JOIN siniflar s ON o.sinif_id = s.id
-      WHERE o.id = ?
-    `;
-    
-    db.get(query, [id], (err, row) => {
-      if (err) {
-        reject(err);
-      } else if (!row) {
-        reject(new Error('Öğrenci bulunamadı'));
-      } else {
-        resolve({
-          content: [{ type: "text", text: JSON.stringify({ data: row }, null, 2) }],
-        });
-      }
-    });
+// ======================
+// DENETİM KAYDI (AUDIT LOG)
+// ======================
+
+// İşlemi kimin, hangi kanaldan yaptığı: REST'te istek satırı, MCP'de oturum ve araç adı.
+// Yazma fonksiyonlarına tek tek parametre geçmemek için istek boyunca AsyncLocalStorage'da taşınır.
+const auditContext = new AsyncLocalStorage();
+
+const AUDITED_TABLES = ['ogrenciler', 'ogretmenler', 'siniflar', 'dersler', 'notlar', 'devamsizlik', 'odemeler', 'ders_programi'];
+
+async function recordAudit(tablo, kayitId, onceki, sonraki) {
+  const { aktor = null, rol = null, kanal = 'SISTEM', oturum_id = null, arac = null, istek = null } = auditContext.getStore() ?? {};
+  const islem = !onceki ? 'ekleme' : !sonraki ? 'silme' : 'guncelleme';
+
+  await dbRun(
+    `INSERT INTO denetim_kayitlari (tablo, kayit_id, islem, aktor, rol, kanal, oturum_id, arac, istek, onceki, sonraki)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [tablo, kayitId, islem, aktor, rol, kanal, oturum_id, arac, istek,
+      onceki ? JSON.stringify(onceki) : null, sonraki ? JSON.stringify(sonraki) : null]
+  );
+}
+
+// Tek bir kaydı değiştiren sorguyu çalıştırır ve kaydın önceki/sonraki hâlini denetim kaydına yazar.
+// INSERT için id verilmez, eklenen satırın id'si kullanılır. Okumalar, yazma ve denetim kaydı tek transaction'dadır:
+// araya başka yazma girmez, denetim kaydı yazılamazsa değişiklik de geri alınır.
+async function auditedRun(tablo, id, query, params = []) {
+  const { result, onceki, sonraki } = await withTransaction(async () => {
+    const onceki = id == null ? null : await dbGet(`SELECT * FROM ${tablo} WHERE id = ?`, [id]);
+    const result = await dbRun(query, params);
+    if (result.changes === 0) {
+      return { result };
+    }
+    const kayitId = id ?? result.lastID;
+    const sonraki = await dbGet(`SELECT * FROM ${tablo} WHERE id = ?`, [kayitId]);
+    await recordAudit(tablo, Number(kayitId), onceki ?? null, sonraki ?? null);
+    return { result, onceki: onceki ?? null, sonraki: sonraki ?? null };
   });
+  if (result.changes > 0) {
+    afterCommit(() => scheduleResourceUpdates(tablo, onceki, sonraki));
+  }
+  return result;
 }
 
-async function getStudentGrades(id) {
-  return new Promise((resolve, reject) => {
-    const query = `
-      SELECT 
-        n.*, 
-        d.ders_adi,
-        d.kod as ders_kodu
-      FROM notlar n
-      JOIN dersler d ON n.ders_id = d.id
-      WHERE n.ogrenci_id = ?
-      ORDER BY n.tarih DESC
-    `;
-    
-    db.all(query, [id], (err, rows) => {
-      if (err) {
-        reject(err);
-      } else {
-        resolve({
-          content: [{ type: "text", text: JSON.stringify({ data: rows }, null, 2) }],
-        });
-      }
-    });
+// Bir tablonun (ya da tek bir kaydın) değişiklik geçmişi, en yeniden eskiye
+async function getChangeHistory({ entity, id, limit, offset }) {
+  const where = id === undefined ? `tablo = ?` : `tablo = ? AND kayit_id = ?`;
+  const params = id === undefined ? [entity] : [entity, id];
+
+  const { toplam } = await dbGet(`SELECT COUNT(*) as toplam FROM denetim_kayitlari WHERE ${where}`, params);
+  const rows = await dbAll(
+    `SELECT * FROM denetim_kayitlari WHERE ${where} ORDER BY id DESC LIMIT ? OFFSET ?`,
+    [...params, limit, offset]
+  );
+
+  const data = rows.map((row) => {
+    const onceki = row.onceki ? JSON.parse(row.onceki) : null;
+    const sonraki = row.sonraki ? JSON.parse(row.sonraki) : null;
+    const alanlar = Object.keys({ ...onceki, ...sonraki });
+    return {
+      ...row,
+      onceki,
+      sonraki,
+      degisen_alanlar: onceki && sonraki ? alanlar.filter((alan) => onceki[alan] !== sonraki[alan]) : alanlar,
+    };
   });
+
+  return { data, pagination: { toplam, limit, offset } };
 }
 
-async function getStudentAttendance(id) {
-  return new Promise((resolve, reject) => {
-    const query = `
-      SELECT 
-        d.*, 
-        dr.ders_adi,
-        dr.kod as ders_kodu
-      FROM devamsizlik d
-      JOIN dersler dr ON d.ders_id = dr.id
-      WHERE d.ogrenci_id = ?
-      ORDER BY d.tarih DESC
-    `;
-    
-    db.all(query, [id], (err, rows) => {
-      if (err) {
-        reject(err);
-      } else {
-        resolve({
-          content: [{ type: "text", text: JSON.stringify({ data: rows }, null, 2) }],
-        });
-      }
-    });
+// ======================
+// DIŞA AKTARMA (CSV / XLSX / JSONL)
+// ======================
+
+const XLSX_MIME = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+
+const EXPORT_FORMATS = {
+  csv: { mimeType: 'text/csv; charset=utf-8', extension: 'csv' },
+  xlsx: { mimeType: XLSX_MIME, extension: 'xlsx' },
+  jsonl: { mimeType: 'application/x-ndjson', extension: 'jsonl' },
+};
+
+// ?format= veya Accept header'ına göre istenen dışa aktarma formatı (null ise normal JSON cevabı)
+function exportFormatOf(req) {
+  const format = req.query.format;
+  if (format) {
+    if (format === 'json') return null;
+    if (!EXPORT_FORMATS[format]) {
+      throw httpError(400, 'Desteklenmeyen format, json, csv, xlsx veya jsonl olmalı');
+    }
+    return format;
+  }
+
+  switch (req.accepts(['application/json', 'text/csv', XLSX_MIME, 'application/x-ndjson', 'application/jsonl'])) {
+    case 'text/csv':
+      return 'csv';
+    case XLSX_MIME:
+      return 'xlsx';
+    case 'application/x-ndjson':
+    case 'application/jsonl':
+      return 'jsonl';
+    default:
+      return null;
+  }
+}
+
+// Sorguyu hazırlar; SQL hataları cevap başlıkları gönderilmeden önce yakalanır
+const prepareStatement = (query, params = []) => new Promise((resolve, reject) => {
+  const statement = db.prepare(query, params, (err) => (err ? reject(err) : resolve(statement)));
+});
+
+// Sorgu sonucunu db.all ile belleğe almadan satır satır okur (statement'ı çağıran finalize eder)
+async function* iterateRows(statement) {
+  const step = () => new Promise((resolve, reject) => {
+    statement.get((err, row) => (err ? reject(err) : resolve(row)));
   });
+  for (let row = await step(); row !== undefined; row = await step()) {
+    yield row;
+  }
 }
 
-async function getStudentPayments(id) {
-  return new Promise((resolve, reject) => {
-    const query = `
-      SELECT *
-      FROM odemeler
-      WHERE ogrenci_id = ?
-      ORDER BY tarih DESC
-    `;
-    
-    db.all(query, [id], (err, rows) => {
-      if (err) {
-        reject(err);
-      } else {
-        resolve({
-          content: [{ type: "text", text: JSON.stringify({ data: rows }, null, 2) }],
-        });
+// =, +, -, @ ile başlayan metinler Excel'de formül olarak çalışmasın diye başına ' eklenir
+const spreadsheetValue = (value) => (
+  typeof value === 'string' && /^[=+\-@\t\r]/.test(value) ? `'${value}` : value
+);
+
+const csvCell = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = String(spreadsheetValue(value));
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// İstemci bağlantıyı keserse stream kapanır ve drain hiç gelmez; bu durumda beklemek yerine hata verilir
+async function waitForDrain(stream) {
+  const controller = new AbortController();
+  try {
+    await Promise.race([
+      once(stream, 'drain', { signal: controller.signal }),
+      once(stream, 'close', { signal: controller.signal }).then(() => {
+        throw new Error('Dışa aktarma sırasında bağlantı kapandı');
+      }),
+    ]);
+  } finally {
+    controller.abort();
+  }
+}
+
+// Satırları (dizi veya async iterator) verilen stream'e istenen formatta yazar
+async function writeExport(stream, format, rows) {
+  const write = async (chunk) => {
+    if (stream.destroyed) {
+      throw new Error('Dışa aktarma sırasında bağlantı kapandı');
+    }
+    if (!stream.write(chunk)) {
+      await waitForDrain(stream);
+    }
+  };
+
+  if (format === 'xlsx') {
+    const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream, useStyles: false, useSharedStrings: false });
+    const sheet = workbook.addWorksheet('Veri');
+    let columns = null;
+    for await (const row of rows) {
+      if (stream.destroyed) {
+        throw new Error('Dışa aktarma sırasında bağlantı kapandı');
       }
-    });
+      if (!columns) {
+        columns = Object.keys(row);
+        sheet.addRow(columns).commit();
+      }
+      sheet.addRow(columns.map((column) => spreadsheetValue(row[column]))).commit();
+    }
+    sheet.commit();
+    await workbook.commit();
+    return;
+  }
+
+  if (format === 'csv') {
+    // Excel'in Türkçe karakterleri doğru açması için UTF-8 BOM
+    await write('\ufeff');
+    let columns = null;
+    for await (const row of rows) {
+      if (!columns) {
+        columns = Object.keys(row);
+        await write(`${columns.map(csvCell).join(',')}\r\n`);
+      }
+      await write(`${columns.map((column) => csvCell(row[column])).join(',')}\r\n`);
+    }
+  } else {
+    for await (const row of rows) {
+      await write(`${JSON.stringify(row)}\n`);
+    }
+  }
+  stream.end();
+}
+
+// MCP araçları için dışa aktarmayı bellekte üretir
+async function renderExport(format, rows) {
+  const stream = new PassThrough();
+  const chunks = [];
+  stream.on('data', (chunk) => chunks.push(Buffer.from(chunk)));
+  const ended = once(stream, 'end');
+  await writeExport(stream, format, rows);
+  await ended;
+  return Buffer.concat(chunks);
+}
+
+async function sendExport(res, format, rows, name) {
+  const { mimeType, extension } = EXPORT_FORMATS[format];
+  // attachment() uzantıdan tür belirlediği için type() sonra çağrılır
+  res.attachment(`${name}.${extension}`);
+  res.type(mimeType);
+  try {
+    await writeExport(res, format, rows);
+  } catch (err) {
+    // Başlıklar gönderildikten sonra hata olursa bağlantı kesilir
+    res.destroy(err);
+  }
+}
+
+// Dışa aktarılan satırlar da JSON yanıtlar gibi maskelenir
+async function* maskRows(rows, masker) {
+  for await (const row of rows) {
+    yield masker.apply(row);
+  }
+}
+
+// Liste endpoint'leri için ortak cevap: JSON ({ data }) veya istenirse stream edilen dışa aktarma
+function sendRows(req, res, query, params, name) {
+  let format;
+  try {
+    format = exportFormatOf(req);
+  } catch (err) {
+    res.status(err.status).json({ error: err.message });
+    return;
+  }
+
+  if (format) {
+    prepareStatement(query, params)
+      .then(async (statement) => {
+        try {
+          const rows = iterateRows(statement);
+          await sendExport(res, format, req.piiMasker ? maskRows(rows, req.piiMasker) : rows, name);
+        } finally {
+          statement.finalize();
+        }
+      })
+      .catch((err) => res.status(500).json({ error: err.message }));
+    return;
+  }
+
+  db.all(query, params, (err, rows) => {
+    if (err) {
+      res.status(500).json({ error: err.message });
+      return;
+    }
+    res.json({ data: rows });
+  });
+}
+
+// ======================
+// KİMLİK DOĞRULAMA VE ROLLER
+// ======================
+
+// admin her şeyi görür, ogretmen sadece kendi sınıflarının öğrencilerini ve notlarını,
+// veli sadece kendi çocuğunu/çocuklarını görür
+const ROLLER = ['admin', 'ogretmen', 'veli'];
+
+const ApiKeyEntrySchema = z.object({
+  key: z.string().min(16, "API anahtarı en az 16 karakter olmalı"),
+  rol: z.enum(ROLLER),
+  sub: z.string().optional(),
+  ad: z.string().optional(),
+  ogretmen_id: z.number().optional(),
+  ogrenci_ids: z.array(z.number()).optional(),
+}).refine((entry) => entry.rol !== 'ogretmen' || entry.ogretmen_id !== undefined, {
+  message: "ogretmen rolü için ogretmen_id gerekli",
+}).refine((entry) => entry.rol !== 'veli' || entry.ogrenci_ids?.length > 0, {
+  message: "veli rolü için ogrenci_ids gerekli",
+});
+
+// API anahtarları: ADMIN_API_KEY ve varsa api-keys.json (API_KEYS_FILE ile başka bir dosya verilebilir)
+// [{ "key": "...", "rol": "ogretmen", "ogretmen_id": 1 }, { "key": "...", "rol": "veli", "ogrenci_ids": [1] }]
+const apiKeys = new Map();
+if (ADMIN_API_KEY) {
+  apiKeys.set(ADMIN_API_KEY, { sub: 'admin', rol: 'admin' });
+}
+try {
+  const entries = JSON.parse(readFileSync(process.env.API_KEYS_FILE || join(__dirname, "api-keys.json"), "utf-8"));
+  entries.forEach((entry, index) => {
+    const parsed = ApiKeyEntrySchema.safeParse(entry);
+    if (!parsed.success) {
+      console.error(`api-keys.json ${index + 1}. kayıt geçersiz:`, parsed.error.issues.map((issue) => issue.message).join(', '));
+      return;
+    }
+    const { key, ...principal } = parsed.data;
+    // sub verilmezse anahtarın özetinden türetilir; dosyadaki sıra değişse de denetim kayıtları aynı kişiye bağlı kalır
+    const sub = principal.sub ?? `${principal.rol}-${createHash('sha256').update(key).digest('hex').slice(0, 12)}`;
+    apiKeys.set(key, { ...principal, sub });
   });
+} catch (err) {
+  if (err.code !== 'ENOENT') {
+    console.error('api-keys.json okunamadı:', err.message);
+  }
+}
+
+// Refresh gibi sonradan yapılan kontrollerde kimlik güncel anahtar listesinden bulunur;
+// anahtar silinmiş ya da rolü değişmişse eski kimlik kullanılmaz
+const principalBySub = (sub) => [...apiKeys.values()].find((principal) => principal.sub === sub) ?? null;
+
+// JWT oturumları; JWT_SECRET verilmezse oturumlar sunucu yeniden başlayınca geçersiz olur
+const JWT_SECRET = process.env.JWT_SECRET || randomBytes(32).toString('hex');
+const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '8h';
+
+const principalClaims = ({ sub, rol, ad, ogretmen_id, ogrenci_ids }) => ({ sub, rol, ad, ogretmen_id, ogrenci_ids });
+
+const JWT_PATTERN = /^[\w-]+\.[\w-]+\.[\w-]+$/;
+
+const signSession = (principal) => jwt.sign(principalClaims(principal), JWT_SECRET, { expiresIn: JWT_EXPIRES_IN });
+
+// X-API-Key veya Authorization: Bearer <jwt> ile gelen kimliği çözer, geçersizse null.
+// OAuth access token'ları sadece MCP endpoint'lerinde (oauth: true) kabul edilir.
+async function authenticate(req, { oauth = false } = {}) {
+  const apiKey = req.get('X-API-Key');
+  if (apiKey) {
+    return apiKeys.get(apiKey) ?? null;
+  }
+
+  const [scheme, token] = (req.get('Authorization') || '').split(' ');
+  if (scheme !== 'Bearer' || !token) {
+    return null;
+  }
+  if (JWT_PATTERN.test(token)) {
+    try {
+      const claims = jwt.verify(token, JWT_SECRET);
+      return ROLLER.includes(claims.rol) ? principalClaims(claims) : null;
+    } catch {
+      return null;
+    }
+  }
+  return oauth ? findOAuthAccessToken(token) : null;
+}
+
+const authMiddleware = ({ oauth }) => (req, res, next) => {
+  authenticate(req, { oauth })
+    .then((principal) => {
+      if (!principal) {
+        if (oauth) {
+          // MCP istemcileri yetkilendirme sunucusunu bu adresten bulur
+          res.set('WWW-Authenticate', `Bearer resource_metadata="${publicUrl(req)}/.well-known/oauth-protected-resource"`);
+        }
+        res.status(401).json({ error: 'Kimlik doğrulaması gerekli (X-API-Key veya Authorization: Bearer)' });
+        return;
+      }
+      req.auth = principal;
+      next();
+    })
+    .catch(next);
+};
+
+const requireAuth = authMiddleware({ oauth: false });
+const requireMcpAuth = authMiddleware({ oauth: true });
+
+// Öğretmenin sınıfları: sınıf öğretmeni olduğu ya da ders programında dersi olan sınıflar
+const TEACHER_CLASSES_SQL = `SELECT id FROM siniflar WHERE ogretmen_id = ? UNION SELECT sinif_id FROM ders_programi WHERE ogretmen_id = ?`;
+
+// Rolün görebileceği öğrenciler için SQL koşulu (admin için null)
+function studentScope(principal, alias = 'o') {
+  switch (principal?.rol) {
+    case 'admin':
+      return null;
+    case 'ogretmen':
+      return {
+        condition: `${alias}.sinif_id IN (${TEACHER_CLASSES_SQL})`,
+        params: [principal.ogretmen_id, principal.ogretmen_id],
+      };
+    case 'veli':
+      return {
+        condition: `${alias}.id IN (${principal.ogrenci_ids.map(() => '?').join(', ')})`,
+        params: principal.ogrenci_ids,
+      };
+    default:
+      return { condition: '0', params: [] };
+  }
+}
+
+function assertRole(principal, ...roller) {
+  if (!roller.includes(principal?.rol)) {
+    throw httpError(403, 'Bu işlem için yetkiniz yok');
+  }
+}
+
+async function assertStudentAccess(principal, ogrenciId) {
+  const scope = studentScope(principal);
+  if (!scope) return;
+  const row = await dbGet(`SELECT o.id FROM ogrenciler o WHERE o.id = ? AND ${scope.condition}`, [ogrenciId, ...scope.params]);
+  if (!row) {
+    throw httpError(403, 'Bu öğrenciye erişim yetkiniz yok');
+  }
+}
+
+// Öğretmen kendi sınıflarına, veli çocuğunun sınıfına erişebilir
+async function assertClassAccess(principal, sinifId) {
+  if (principal?.rol === 'admin') return;
+  let row;
+  if (principal?.rol === 'ogretmen') {
+    row = await dbGet(`SELECT id FROM (${TEACHER_CLASSES_SQL}) WHERE id = ?`, [principal.ogretmen_id, principal.ogretmen_id, sinifId]);
+  } else if (principal?.rol === 'veli') {
+    const scope = studentScope(principal);
+    row = await dbGet(`SELECT o.id FROM ogrenciler o WHERE o.sinif_id = ? AND ${scope.condition}`, [sinifId, ...scope.params]);
+  }
+  if (!row) {
+    throw httpError(403, 'Bu sınıfa erişim yetkiniz yok');
+  }
+}
+
+// Öğretmen sadece kendi bilgilerine erişebilir
+function assertTeacherSelf(principal, ogretmenId) {
+  if (principal?.rol === 'admin') return;
+  if (principal?.rol !== 'ogretmen' || principal.ogretmen_id !== Number(ogretmenId)) {
+    throw httpError(403, 'Sadece kendi bilgilerinize erişebilirsiniz');
+  }
+}
+
+// Not girişi/düzeltmesi: öğretmen sadece kendi adına ve kendi sınıflarındaki öğrencilere not girebilir.
+// Mevcut not değiştirilirken hem notun sahibi hem de notun taşınacağı öğrenci kontrol edilir.
+async function assertGradeWrite(principal, { ogrenci_id, sinif_id, ogretmen_id, not_id }) {
+  assertRole(principal, 'admin', 'ogretmen');
+  if (principal.rol === 'admin') return;
+
+  if (ogretmen_id !== undefined && Number(ogretmen_id) !== principal.ogretmen_id) {
+    throw httpError(403, 'Başka bir öğretmen adına işlem yapamazsınız');
+  }
+  if (not_id !== undefined) {
+    const grade = await dbGet(`SELECT ogrenci_id, ogretmen_id FROM notlar WHERE id = ?`, [not_id]);
+    if (!grade) {
+      throw httpError(404, 'Not bulunamadı');
+    }
+    if (grade.ogretmen_id !== principal.ogretmen_id) {
+      throw httpError(403, 'Başka bir öğretmenin notunu değiştiremezsiniz');
+    }
+    await assertStudentAccess(principal, grade.ogrenci_id);
+  }
+  if (ogrenci_id !== undefined) {
+    await assertStudentAccess(principal, ogrenci_id);
+  }
+  if (sinif_id !== undefined) {
+    await assertClassAccess(principal, sinif_id);
+  }
+}
+
+// REST yetki kontrolü: check(req) hata fırlatırsa istek durdurulur
+const guard = (check) => (req, res, next) => {
+  Promise.resolve()
+    .then(() => check(req))
+    .then(() => next())
+    .catch((err) => res.status(err.status || 500).json({ error: err.message }));
+};
+
+const adminOnly = guard((req) => assertRole(req.auth, 'admin'));
+const staffOnly = guard((req) => assertRole(req.auth, 'admin', 'ogretmen'));
+const studentParam = (param = 'id') => guard((req) => assertStudentAccess(req.auth, req.params[param]));
+const classParam = (param = 'id', ...roller) => guard(async (req) => {
+  if (roller.length > 0) assertRole(req.auth, ...roller);
+  await assertClassAccess(req.auth, req.params[param]);
+});
+const teacherSelf = (param = 'id') => guard((req) => assertTeacherSelf(req.auth, req.params[param]));
+
+// ======================
+// ORTAK DOĞRULAMA (REST ve MCP)
+// ======================
+
+// TC Kimlik No: 11 hane, ilk hane 0 olamaz, 10. ve 11. haneler kontrol hanesidir
+const isValidTcKimlikNo = (value) => {
+  if (!/^[1-9]\d{10}$/.test(value)) return false;
+  const d = value.split('').map(Number);
+  const tekler = d[0] + d[2] + d[4] + d[6] + d[8];
+  const ciftler = d[1] + d[3] + d[5] + d[7];
+  const onuncu = (((tekler * 7 - ciftler) % 10) + 10) % 10;
+  const onbirinci = d.slice(0, 10).reduce((sum, digit) => sum + digit, 0) % 10;
+  return d[9] === onuncu && d[10] === onbirinci;
+};
+
+const TcKimlikNoSchema = z.string().trim().refine(isValidTcKimlikNo, "Geçersiz TC Kimlik No");
+
+// Kontrol hanesi kuralından önce kaydedilmiş TC'ler kurala uymayabilir. Güncellemelerde şema sadece biçime bakar,
+// kontrol haneleri TC değiştiyse assertTcKimlikNoChange ile doğrulanır; böylece kayıt olduğu gibi geri gönderilebilir.
+const StoredTcKimlikNoSchema = z.string().trim().regex(/^[1-9]\d{10}$/, "Geçersiz TC Kimlik No");
+
+// YYYY-MM-DD ve takvimde gerçekten var olan bir gün (2024-02-30 gibi tarihler reddedilir)
+const DateSchema = z.string().refine((value) => {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) return false;
+  const date = new Date(`${value}T00:00:00Z`);
+  return !Number.isNaN(date.getTime()) && date.toISOString().slice(0, 10) === value;
+}, "Tarih YYYY-MM-DD formatında geçerli bir tarih olmalı");
+
+const CinsiyetSchema = z.enum(['E', 'K'], { message: "Cinsiyet E veya K olmalı" });
+
+// Türkiye telefon numarası: 0532-111-2233, 0 (312) 444 55 66, +90 532 111 22 33 gibi yazımlar kabul edilir
+const PhoneSchema = z.string().trim().refine(
+  (value) => /^(\+?90|0)?[2-5]\d{9}$/.test(value.replace(/[\s\-().]/g, '')),
+  "Geçersiz telefon numarası"
+);
+
+const EmailSchema = z.string().trim().email("Geçersiz email adresi");
+
+// Evet/hayır parametreleri; query string'den gelen '1', '0', 'true', 'false' de kabul edilir
+const FlagSchema = z.union([
+  z.boolean(),
+  z.enum(['1', '0', 'true', 'false']).transform((value) => value === '1' || value === 'true'),
+]);
+
+// Zod hatalarını alan bazında toplar: { tc_no: ['Geçersiz TC Kimlik No'], ... }
+const fieldErrors = (error) => {
+  const errors = {};
+  for (const issue of error.issues) {
+    const field = issue.path.join('.') || '_';
+    (errors[field] ??= []).push(issue.message);
+  }
+  return errors;
+};
+
+// Doğrulama başarısızsa alan bazlı hatalarla 422 fırlatır
+function validate(schema, data, message = 'Doğrulama hatası') {
+  const parsed = schema.safeParse(data ?? {});
+  if (!parsed.success) {
+    const err = httpError(422, message);
+    err.details = fieldErrors(parsed.error);
+    throw err;
+  }
+  return parsed.data;
+}
+
+// REST gövdesini validate() ile doğrular; geçersizse aynı 422 cevabı döner, geçerliyse req.body doğrulanmış veri olur
+const validateBody = (schema, message) => (req, res, next) => {
+  try {
+    req.body = validate(schema, req.body, message);
+  } catch (err) {
+    res.status(err.status).json({ error: err.message, details: err.details });
+    return;
+  }
+  next();
+};
+
+// Güncellemede TC değiştiyse kontrol hanelerini doğrular (bkz. StoredTcKimlikNoSchema)
+async function assertTcKimlikNoChange(tablo, id, tcNo, message) {
+  if (tcNo === undefined) {
+    return;
+  }
+  const mevcut = await dbGet(`SELECT tc_no FROM ${tablo} WHERE id = ?`, [id]);
+  if (mevcut?.tc_no !== tcNo && !isValidTcKimlikNo(tcNo)) {
+    const err = httpError(422, message);
+    err.details = { tc_no: ['Geçersiz TC Kimlik No'] };
+    throw err;
+  }
+}
+
+// Student API Schemas
+const StudentSchema = z.object({
+  tc_no: TcKimlikNoSchema.describe("TC Kimlik No"),
+  ad: z.string().trim().min(1, "Ad zorunlu").describe("Ad"),
+  soyad: z.string().trim().min(1, "Soyad zorunlu").describe("Soyad"),
+  dogum_tarihi: DateSchema.describe("Doğum Tarihi (YYYY-MM-DD)"),
+  cinsiyet: CinsiyetSchema.describe("Cinsiyet (E/K)"),
+  telefon: PhoneSchema.optional().describe("Telefon"),
+  email: EmailSchema.optional().describe("Email"),
+  adres: z.string().optional().describe("Adres"),
+  veli_adi: z.string().optional().describe("Veli Adı"),
+  veli_telefonu: PhoneSchema.optional().describe("Veli Telefonu"),
+  sinif_id: z.number().int().positive().optional().describe("Sınıf ID"),
+});
+
+const STUDENT_COLUMNS = Object.keys(StudentSchema.shape);
+
+const AktifSchema = z.union([z.boolean(), z.literal(0), z.literal(1)]);
+
+// PUT tüm kaydı yazar; aktif gönderilmezse kayıt aktif kalır
+const ReplaceStudentSchema = StudentSchema.extend({
+  tc_no: StoredTcKimlikNoSchema.describe("TC Kimlik No"),
+  aktif: AktifSchema.optional().describe("Aktif mi"),
+});
+
+// PATCH sadece gönderilen alanları değiştirir; zorunlu olmayan alanlar null ile temizlenebilir
+const PatchStudentSchema = StudentSchema.partial().extend({
+  tc_no: StoredTcKimlikNoSchema.optional().describe("TC Kimlik No"),
+  telefon: PhoneSchema.nullable().optional().describe("Telefon (null ile silinir)"),
+  email: EmailSchema.nullable().optional().describe("Email (null ile silinir)"),
+  adres: z.string().nullable().optional().describe("Adres (null ile silinir)"),
+  veli_adi: z.string().nullable().optional().describe("Veli Adı (null ile silinir)"),
+  veli_telefonu: PhoneSchema.nullable().optional().describe("Veli Telefonu (null ile silinir)"),
+  sinif_id: z.number().int().positive().nullable().optional().describe("Sınıf ID (null ile sınıftan çıkarılır)"),
+  aktif: AktifSchema.optional().describe("Aktif mi"),
+});
+
+// Teacher API Schemas
+const TeacherSchema = z.object({
+  tc_no: TcKimlikNoSchema.describe("TC Kimlik No"),
+  ad: z.string().trim().min(1, "Ad zorunlu").describe("Ad"),
+  soyad: z.string().trim().min(1, "Soyad zorunlu").describe("Soyad"),
+  dogum_tarihi: DateSchema.describe("Doğum Tarihi (YYYY-MM-DD)"),
+  cinsiyet: CinsiyetSchema.describe("Cinsiyet (E/K)"),
+  telefon: PhoneSchema.optional().describe("Telefon"),
+  email: EmailSchema.optional().describe("Email"),
+  adres: z.string().optional().describe("Adres"),
+  brans: z.string().describe("Branş"),
+  mezuniyet: z.string().optional().describe("Mezuniyet"),
+  maas: z.number().optional().describe("Maaş"),
+  ise_baslama_tarihi: DateSchema.optional().describe("İşe Başlama Tarihi (YYYY-MM-DD)"),
+});
+
+const TEACHER_COLUMNS = Object.keys(TeacherSchema.shape);
+
+// Güncellemede sadece gönderilen alanlar doğrulanır ve yazılır
+const PatchTeacherSchema = TeacherSchema.partial().extend({
+  tc_no: StoredTcKimlikNoSchema.optional().describe("TC Kimlik No"),
+});
+
+// Class API Schemas
+const ClassSchema = z.object({
+  sinif_adi: z.string().describe("Sınıf Adı (örn. 9. Sınıf)"),
+  seviye: z.number().describe("Seviye (9-12)"),
+  sube: z.string().describe("Şube (A, B, ...)"),
+  ogretmen_id: z.number().optional().describe("Sınıf Öğretmeni ID"),
+  kontenjan: z.number().int().positive().optional().describe("Kontenjan (varsayılan 30)"),
+});
+
+const CLASS_COLUMNS = Object.keys(ClassSchema.shape);
+
+const PatchClassSchema = ClassSchema.partial();
+
+// Course API Schemas
+const CourseSchema = z.object({
+  ders_adi: z.string().describe("Ders Adı"),
+  ders_kodu: z.string().describe("Ders Kodu (örn. MAT101)"),
+  kredi: z.number().int().positive().optional().describe("Kredi (varsayılan 1)"),
+  teorik_saat: z.number().int().nonnegative().optional().describe("Haftalık teorik saat"),
+  pratik_saat: z.number().int().nonnegative().optional().describe("Haftalık pratik saat"),
+});
+
+const COURSE_COLUMNS = [...Object.keys(CourseSchema.shape), 'aktif'];
+
+const PatchCourseSchema = CourseSchema.partial().extend({
+  aktif: AktifSchema.optional().describe("Aktif mi"),
+});
+
+// Grade API Schemas (notlar tablosundaki CHECK kısıtlarıyla aynı)
+const SINAV_TURLERI = ['Yazılı', 'Sözlü', 'Proje', 'Ödev', 'Vize', 'Final'];
+
+const NotDegeriSchema = z.number().int().min(0).max(100).describe("Not (0-100)");
+
+const GradeSchema = z.object({
+  ogrenci_id: z.number().describe("Öğrenci ID"),
+  ders_id: z.number().describe("Ders ID"),
+  sinav_turu: z.enum(SINAV_TURLERI).describe("Sınav Türü"),
+  not_degeri: NotDegeriSchema,
+  ogretmen_id: z.number().describe("Notu giren öğretmen ID"),
+  tarih: DateSchema.optional().describe("Tarih (YYYY-MM-DD, varsayılan bugün)"),
+  aciklama: z.string().optional().describe("Açıklama"),
+});
+
+const GRADE_COLUMNS = Object.keys(GradeSchema.shape);
+
+// Attendance API Schemas (devamsizlik tablosundaki CHECK kısıtıyla aynı)
+const DEVAMSIZLIK_TURLERI = ['Mazeret', 'Mazeretli', 'Mazeretsiz'];
+
+const RollCallSchema = z.object({
+  sinif_id: z.number().describe("Sınıf ID"),
+  ders_id: z.number().describe("Ders ID"),
+  tarih: DateSchema.describe("Yoklama tarihi (YYYY-MM-DD)"),
+  ogretmen_id: z.number().optional().describe("Yoklamayı alan öğretmen ID"),
+  devamsizlik_turu: z.enum(DEVAMSIZLIK_TURLERI).optional()
+    .describe("Tüm devamsızlar için varsayılan tür (Mazeret, Mazeretli, Mazeretsiz)"),
+  devamsizlar: z.array(z.object({
+    ogrenci_id: z.number().describe("Öğrenci ID"),
+    devamsizlik_turu: z.enum(DEVAMSIZLIK_TURLERI).optional().describe("Bu öğrenci için devamsızlık türü"),
+    aciklama: z.string().optional().describe("Açıklama"),
+  })).describe("Derse gelmeyen öğrenciler (boş liste: herkes geldi)"),
+}).refine(
+  (value) => value.devamsizlar.every((devamsiz) => devamsiz.devamsizlik_turu || value.devamsizlik_turu),
+  { message: "Her devamsız öğrenci için devamsizlik_turu belirtilmeli", path: ["devamsizlik_turu"] }
+);
+
+// Payment API Schemas (odemeler tablosundaki CHECK kısıtlarıyla aynı)
+const ODEME_TURLERI = ['Okul Ücreti', 'Yemek', 'Servis', 'Kitap', 'Malzeme', 'Diğer'];
+const ODEME_YONTEMLERI = ['Nakit', 'Kredi Kartı', 'Havale', 'EFT', 'Çek'];
+
+const ChargeSchema = z.object({
+  ogrenci_id: z.number().describe("Öğrenci ID"),
+  odeme_turu: z.enum(ODEME_TURLERI).describe("Ödeme Türü"),
+  tutar: z.number().positive().describe("Tutar (TL)"),
+  vade_tarihi: DateSchema.describe("Son ödeme tarihi (YYYY-MM-DD)"),
+  odeme_tarihi: DateSchema.optional().describe("Tahakkuk tarihi (YYYY-MM-DD, varsayılan bugün)"),
+  aciklama: z.string().optional().describe("Açıklama"),
+});
+
+const PaymentSchema = z.object({
+  odeme_yontemi: z.enum(ODEME_YONTEMLERI).describe("Ödeme Yöntemi"),
+  tahsil_tarihi: DateSchema.optional().describe("Ödemenin yapıldığı tarih (YYYY-MM-DD, varsayılan bugün)"),
+});
+
+// Schedule API Schemas (ders_programi tablosundaki CHECK kısıtıyla aynı)
+const GUNLER = ['Pazartesi', 'Salı', 'Çarşamba', 'Perşembe', 'Cuma', 'Cumartesi', 'Pazar'];
+
+const TimeSchema = z.string().regex(/^([01]\d|2[0-3]):[0-5]\d$/, "Saat SS:DD formatında olmalı");
+
+const ScheduleSlotSchema = z.object({
+  sinif_id: z.number().describe("Sınıf ID"),
+  ders_id: z.number().describe("Ders ID"),
+  ogretmen_id: z.number().describe("Öğretmen ID"),
+  gun: z.enum(GUNLER).describe("Gün"),
+  baslama_saati: TimeSchema.describe("Başlama saati (SS:DD)"),
+  bitis_saati: TimeSchema.describe("Bitiş saati (SS:DD)"),
+  donem: z.string().describe("Dönem (örn. 2024-2025 Güz)"),
+});
+
+const SCHEDULE_COLUMNS = Object.keys(ScheduleSlotSchema.shape);
+
+const ScheduleFilterSchema = z.object({
+  donem: z.string().optional().describe("Dönem (örn. 2024-2025 Güz)"),
+  gun: z.enum(GUNLER).optional().describe("Sadece bu gün"),
+});
+
+// Düzeltmeyi yapan öğretmen her zaman kaydedilir
+const UpdateGradeSchema = GradeSchema.partial().extend({
+  ogretmen_id: z.number().describe("Düzeltmeyi yapan öğretmen ID"),
+});
+
+const BulkGradeSchema = z.object({
+  sinif_id: z.number().describe("Sınıf ID"),
+  ders_id: z.number().describe("Ders ID"),
+  sinav_turu: z.enum(SINAV_TURLERI).describe("Sınav Türü"),
+  ogretmen_id: z.number().describe("Notları giren öğretmen ID"),
+  tarih: DateSchema.optional().describe("Tarih (YYYY-MM-DD, varsayılan bugün)"),
+  aciklama: z.string().optional().describe("Açıklama"),
+  notlar: z.array(z.object({
+    ogrenci_id: z.number().describe("Öğrenci ID"),
+    not_degeri: NotDegeriSchema,
+    aciklama: z.string().optional().describe("Öğrenciye özel açıklama"),
+  })).min(1).describe("Öğrenci notları"),
+});
+
+// Define all tool names
+const ToolName = {
+  GET_ALL_STUDENTS: "get_all_students",
+  GET_STUDENT_BY_ID: "get_student_by_id",
+  GET_STUDENT_GRADES: "get_student_grades",
+  GET_STUDENT_ATTENDANCE: "get_student_attendance",
+  GET_STUDENT_PAYMENTS: "get_student_payments",
+  GET_STUDENTS_BY_CLASS: "get_students_by_class",
+  SEARCH_STUDENTS: "search_students",
+  GET_STUDENT_AVERAGE: "get_student_average",
+  ADD_STUDENT: "add_student",
+  UPDATE_STUDENT: "update_student",
+  DELETE_STUDENT: "delete_student",
+  RESTORE_STUDENT: "restore_student",
+  GET_ALL_TEACHERS: "get_all_teachers",
+  GET_TEACHER_BY_ID: "get_teacher_by_id",
+  SEARCH_TEACHERS: "search_teachers",
+  ADD_TEACHER: "add_teacher",
+  UPDATE_TEACHER: "update_teacher",
+  DELETE_TEACHER: "delete_teacher",
+  GET_TEACHER_CLASSES: "get_teacher_classes",
+  GET_TEACHER_LESSONS: "get_teacher_lessons",
+  GET_TEACHER_GRADES: "get_teacher_grades",
+  GET_ALL_CLASSES: "get_all_classes",
+  GET_CLASS_BY_ID: "get_class_by_id",
+  GET_CLASS_SUMMARY: "get_class_summary",
+  ADD_CLASS: "add_class",
+  UPDATE_CLASS: "update_class",
+  DELETE_CLASS: "delete_class",
+  GET_COURSE: "get_course",
+  LIST_COURSES: "list_courses",
+  ADD_GRADE: "add_grade",
+  UPDATE_GRADE: "update_grade",
+  RECORD_ATTENDANCE: "record_attendance",
+  CREATE_CHARGE: "create_charge",
+  RECORD_PAYMENT: "record_payment",
+  GET_OVERDUE_PAYMENTS: "get_overdue_payments",
+  GET_STUDENT_BALANCE: "get_student_balance",
+  GET_CLASS_SCHEDULE: "get_class_schedule",
+  GET_STUDENT_TRANSCRIPT: "get_student_transcript",
+  GET_REPORT_CARD: "get_report_card",
+  IMPORT_STUDENTS: "import_students",
+  GET_TEACHER_SCHEDULE: "get_teacher_schedule",
+  GET_CHANGE_HISTORY: "get_change_history",
+  CUSTOM_QUERY: "custom_query"
+};
+
+// Define schemas for tool inputs
+const StudentIdSchema = z.object({
+  id: z.number().describe("Öğrenci ID")
+});
+
+const StudentDetailSchema = StudentIdSchema.extend({
+  fields: z.string().optional().describe("Dönecek alanlar, virgülle (adres gibi gizli alanlar sadece burada istenirse gelir)"),
+});
+
+const SearchSchema = z.object({
+  search: z.string().describe("Arama terimi")
+});
+
+const StudentSearchSchema = SearchSchema.extend({
+  limit: z.coerce.number().int().min(1).max(100).optional().describe("En fazla kaç sonuç dönsün (varsayılan 20)"),
+});
+
+const ClassIdSchema = z.object({
+  sinif_id: z.number().describe("Sınıf ID")
+});
+
+// Öğrenci listeleri: sayfalama, sıralama, filtre ve alan seçimi
+const StudentListSchema = z.object({
+  limit: z.coerce.number().int().min(1).max(500).optional().describe("Sayfa boyutu (en fazla 500)"),
+  offset: z.coerce.number().int().min(0).optional().describe("Atlanacak kayıt sayısı"),
+  cursor: z.string().optional().describe("Önceki sayfanın next_cursor değeri (diğer parametreler cursor içinde taşınır)"),
+  sort: z.string().optional().describe("Sıralama alanları, virgülle; azalan için başına - (örn. soyad,-kayit_tarihi)"),
+  fields: z.string().optional().describe("Dönecek alanlar, virgülle (örn. id,ad,soyad,sinif_adi)"),
+  seviye: z.coerce.number().int().optional().describe("Sınıf seviyesi"),
+  sube: z.string().optional().describe("Şube (örn. A)"),
+  cinsiyet: z.enum(['E', 'K']).optional().describe("Cinsiyet (E/K)"),
+  kayit_baslangic: DateSchema.optional().describe("Kayıt tarihi başlangıcı (YYYY-MM-DD)"),
+  kayit_bitis: DateSchema.optional().describe("Kayıt tarihi bitişi (YYYY-MM-DD)"),
+  include_inactive: FlagSchema.optional().describe("Pasif (silinmiş/arşivlenmiş) öğrencileri de getir (sadece admin)"),
+});
+
+const StudentsByClassSchema = ClassIdSchema.merge(StudentListSchema);
+
+const UpdateStudentSchema = PatchStudentSchema.extend({
+  id: z.number().describe("Öğrenci ID")
+});
+
+const TeacherIdSchema = z.object({
+  id: z.number().describe("Öğretmen ID")
+});
+
+const UpdateTeacherSchema = PatchTeacherSchema.extend({
+  id: z.number().describe("Öğretmen ID")
+});
+
+const UpdateClassSchema = PatchClassSchema.extend({
+  sinif_id: z.number().describe("Sınıf ID")
+});
+
+const GetCourseSchema = z.object({
+  id: z.number().optional().describe("Ders ID"),
+  ders_kodu: z.string().optional().describe("Ders Kodu (örn. MAT101)")
+}).refine((value) => value.id !== undefined || value.ders_kodu !== undefined, {
+  message: "id veya ders_kodu gerekli"
+});
+
+const ListCoursesSchema = z.object({
+  include_inactive: z.boolean().optional().describe("Pasif dersleri de getir")
+});
+
+const UpdateGradeToolSchema = UpdateGradeSchema.extend({
+  id: z.number().describe("Not ID")
+});
+
+const RecordPaymentToolSchema = PaymentSchema.extend({
+  id: z.number().describe("Ödeme (borç) ID")
+});
+
+const OverduePaymentsSchema = z.object({
+  sinif_id: z.number().optional().describe("Sadece bu sınıfın gecikmiş ödemeleri")
+});
+
+const ClassScheduleSchema = ScheduleFilterSchema.extend({
+  sinif_id: z.number().describe("Sınıf ID")
+});
+
+const TeacherScheduleSchema = ScheduleFilterSchema.extend({
+  ogretmen_id: z.number().describe("Öğretmen ID")
+});
+
+const TranscriptSchema = StudentIdSchema.extend({
+  donem: z.string().optional().describe("Sadece bu dönem (örn. 2024-2025 Güz)")
+});
+
+const ReportCardOptionsSchema = z.object({
+  donem: z.string().optional().describe("Dönem (örn. 2024-2025 Güz, boş bırakılırsa tüm kayıtlar)"),
+  format: z.enum(['html', 'pdf']).optional().describe("Çıktı formatı (varsayılan html)"),
+});
+
+const ReportCardSchema = ReportCardOptionsSchema.extend({
+  id: z.number().describe("Öğrenci ID")
+});
+
+// İçe aktarılan dosyadaki bir satır; boş hücreler alan verilmemiş sayılır
+const emptyToUndefined = (value) => (value === '' || value === null ? undefined : value);
+const optionalText = (schema = z.string()) => z.preprocess(emptyToUndefined, z.coerce.string().pipe(schema).optional());
+
+// XLSX hücreleri sayı olarak gelebildiği için değerler önce metne çevrilip ortak şemalardan geçirilir
+// tc_no sadece biçim olarak doğrulanır; kontrol haneleri yeni eklenecek öğrencide planStudentImport'ta kontrol edilir
+const StudentImportRowSchema = z.object({
+  tc_no: z.coerce.string().pipe(StoredTcKimlikNoSchema),
+  ad: z.coerce.string().pipe(StudentSchema.shape.ad),
+  soyad: z.coerce.string().pipe(StudentSchema.shape.soyad),
+  dogum_tarihi: DateSchema,
+  cinsiyet: CinsiyetSchema,
+  telefon: optionalText(PhoneSchema),
+  email: optionalText(EmailSchema),
+  adres: optionalText(),
+  veli_adi: optionalText(),
+  veli_telefonu: optionalText(PhoneSchema),
+  sinif_id: z.preprocess(emptyToUndefined, z.coerce.number().int().positive().optional()),
+});
+
+const ImportStudentsSchema = z.object({
+  content: z.string().describe("Dosya içeriği (CSV metni veya base64 kodlanmış XLSX)"),
+  format: z.enum(['csv', 'xlsx']).default('csv').describe("Dosya formatı"),
+  dry_run: z.boolean().default(true).describe("true ise hiçbir kayıt yazılmaz, sadece rapor döner"),
+});
+
+const CustomQuerySchema = z.object({
+  query: z.string().describe("SQL SELECT sorgusu"),
+  params: z.array(z.string()).optional().describe("Sorgu parametreleri"),
+  format: z.enum(['csv', 'xlsx', 'jsonl']).optional().describe("Sonucu dosya olarak dışa aktar (csv, xlsx veya jsonl)"),
+});
+
+const AuditQuerySchema = z.object({
+  entity: z.enum(AUDITED_TABLES).describe("Tablo adı (ogrenciler, ogretmenler, siniflar, dersler, notlar, devamsizlik, odemeler, ders_programi)"),
+  id: z.coerce.number().int().positive().optional().describe("Kayıt ID (verilmezse tablodaki tüm değişiklikler)"),
+  limit: z.coerce.number().int().min(1).max(500).default(50).describe("En fazla kaç kayıt dönsün (varsayılan 50)"),
+  offset: z.coerce.number().int().min(0).default(0).describe("Atlanacak kayıt sayısı"),
+});
+
+// Araçları kullanabilecek roller ve çağrı başına erişim kontrolü.
+// Listede olmayan araçları sadece admin kullanabilir.
+const STAFF = ['admin', 'ogretmen'];
+const studentArg = (principal, args) => assertStudentAccess(principal, args.id);
+
+const TOOL_ACCESS = {
+  [ToolName.GET_ALL_STUDENTS]: { roller: ROLLER },
+  [ToolName.SEARCH_STUDENTS]: { roller: ROLLER },
+  [ToolName.GET_STUDENT_BY_ID]: { roller: ROLLER, check: studentArg },
+  [ToolName.GET_STUDENT_GRADES]: { roller: ROLLER, check: studentArg },
+  [ToolName.GET_STUDENT_ATTENDANCE]: { roller: ROLLER, check: studentArg },
+  [ToolName.GET_STUDENT_PAYMENTS]: { roller: ROLLER, check: studentArg },
+  [ToolName.GET_STUDENT_AVERAGE]: { roller: ROLLER, check: studentArg },
+  [ToolName.GET_STUDENT_BALANCE]: { roller: ROLLER, check: studentArg },
+  [ToolName.GET_STUDENT_TRANSCRIPT]: { roller: ROLLER, check: studentArg },
+  [ToolName.GET_REPORT_CARD]: { roller: ROLLER, check: studentArg },
+  [ToolName.GET_STUDENTS_BY_CLASS]: { roller: STAFF, check: (principal, args) => assertClassAccess(principal, args.sinif_id) },
+  [ToolName.GET_ALL_TEACHERS]: { roller: STAFF },
+  [ToolName.GET_TEACHER_BY_ID]: { roller: STAFF },
+  [ToolName.SEARCH_TEACHERS]: { roller: STAFF },
+  [ToolName.GET_TEACHER_CLASSES]: { roller: STAFF, check: (principal, args) => assertTeacherSelf(principal, args.id) },
+  [ToolName.GET_TEACHER_LESSONS]: { roller: STAFF, check: (principal, args) => assertTeacherSelf(principal, args.id) },
+  [ToolName.GET_TEACHER_GRADES]: { roller: STAFF, check: (principal, args) => assertTeacherSelf(principal, args.id) },
+  [ToolName.GET_TEACHER_SCHEDULE]: { roller: STAFF, check: (principal, args) => assertTeacherSelf(principal, args.ogretmen_id) },
+  [ToolName.GET_ALL_CLASSES]: { roller: STAFF },
+  [ToolName.GET_CLASS_BY_ID]: { roller: STAFF, check: (principal, args) => assertClassAccess(principal, args.sinif_id) },
+  [ToolName.GET_CLASS_SUMMARY]: { roller: STAFF, check: (principal, args) => assertClassAccess(principal, args.sinif_id) },
+  [ToolName.CUSTOM_QUERY]: { roller: STAFF },
+  [ToolName.GET_CLASS_SCHEDULE]: { roller: ROLLER, check: (principal, args) => assertClassAccess(principal, args.sinif_id) },
+  [ToolName.LIST_COURSES]: { roller: STAFF },
+  [ToolName.GET_COURSE]: { roller: STAFF },
+  [ToolName.ADD_GRADE]: { roller: STAFF, check: (principal, args) => assertGradeWrite(principal, args) },
+  [ToolName.UPDATE_GRADE]: {
+    roller: STAFF,
+    check: (principal, args) => assertGradeWrite(principal, { not_id: args.id, ogretmen_id: args.ogretmen_id, ogrenci_id: args.ogrenci_id }),
+  },
+  [ToolName.RECORD_ATTENDANCE]: {
+    roller: STAFF,
+    check: (principal, args) => assertGradeWrite(principal, { sinif_id: args.sinif_id, ogretmen_id: args.ogretmen_id }),
+  },
+};
+
+// OAuth scope'larının kapsadığı araçlar. OAuth token'ı ile gelen istekte araç hem rolün hem scope'un izin verdiği
+// araçlardan olmalı; API anahtarı ve JWT oturumlarında sadece rol belirleyicidir.
+const OAUTH_SCOPES = {
+  'students:read': 'Öğrenci bilgilerini görüntüleme',
+  'students:write': 'Öğrenci ekleme, güncelleme ve aktarma',
+  'grades:read': 'Notları, ortalamaları, transkript ve karneleri görüntüleme',
+  'grades:write': 'Not girme ve düzeltme',
+  'attendance:read': 'Devamsızlıkları görüntüleme',
+  'attendance:write': 'Yoklama girme',
+  'teachers:read': 'Öğretmen bilgilerini görüntüleme',
+  'teachers:write': 'Öğretmen ekleme ve güncelleme',
+  'classes:read': 'Sınıf, ders ve ders programı bilgilerini görüntüleme',
+  'classes:write': 'Sınıf ekleme ve güncelleme',
+  'payments:read': 'Ödeme ve borç bilgilerini görüntüleme',
+  'payments:write': 'Borç oluşturma ve ödeme kaydetme',
+  'query': 'Özel SQL sorgusu çalıştırma',
+  'audit:read': 'Değişiklik geçmişini (denetim kaydı) görüntüleme',
+  'pii:unmasked': 'Kişisel verileri maskesiz görme (sadece yetkili roller)',
+};
+
+const TOOL_SCOPES = {
+  [ToolName.GET_ALL_STUDENTS]: 'students:read',
+  [ToolName.GET_STUDENT_BY_ID]: 'students:read',
+  [ToolName.GET_STUDENTS_BY_CLASS]: 'students:read',
+  [ToolName.SEARCH_STUDENTS]: 'students:read',
+  [ToolName.ADD_STUDENT]: 'students:write',
+  [ToolName.UPDATE_STUDENT]: 'students:write',
+  [ToolName.DELETE_STUDENT]: 'students:write',
+  [ToolName.RESTORE_STUDENT]: 'students:write',
+  [ToolName.IMPORT_STUDENTS]: 'students:write',
+  [ToolName.GET_STUDENT_GRADES]: 'grades:read',
+  [ToolName.GET_STUDENT_AVERAGE]: 'grades:read',
+  [ToolName.GET_STUDENT_TRANSCRIPT]: 'grades:read',
+  [ToolName.GET_REPORT_CARD]: 'grades:read',
+  [ToolName.GET_TEACHER_GRADES]: 'grades:read',
+  [ToolName.ADD_GRADE]: 'grades:write',
+  [ToolName.UPDATE_GRADE]: 'grades:write',
+  [ToolName.GET_STUDENT_ATTENDANCE]: 'attendance:read',
+  [ToolName.RECORD_ATTENDANCE]: 'attendance:write',
+  [ToolName.GET_ALL_TEACHERS]: 'teachers:read',
+  [ToolName.GET_TEACHER_BY_ID]: 'teachers:read',
+  [ToolName.SEARCH_TEACHERS]: 'teachers:read',
+  [ToolName.GET_TEACHER_CLASSES]: 'teachers:read',
+  [ToolName.GET_TEACHER_LESSONS]: 'teachers:read',
+  [ToolName.ADD_TEACHER]: 'teachers:write',
+  [ToolName.UPDATE_TEACHER]: 'teachers:write',
+  [ToolName.DELETE_TEACHER]: 'teachers:write',
+  [ToolName.GET_ALL_CLASSES]: 'classes:read',
+  [ToolName.GET_CLASS_BY_ID]: 'classes:read',
+  [ToolName.GET_CLASS_SUMMARY]: 'classes:read',
+  [ToolName.GET_CLASS_SCHEDULE]: 'classes:read',
+  [ToolName.GET_TEACHER_SCHEDULE]: 'classes:read',
+  [ToolName.LIST_COURSES]: 'classes:read',
+  [ToolName.GET_COURSE]: 'classes:read',
+  [ToolName.ADD_CLASS]: 'classes:write',
+  [ToolName.UPDATE_CLASS]: 'classes:write',
+  [ToolName.DELETE_CLASS]: 'classes:write',
+  [ToolName.GET_STUDENT_PAYMENTS]: 'payments:read',
+  [ToolName.GET_STUDENT_BALANCE]: 'payments:read',
+  [ToolName.GET_OVERDUE_PAYMENTS]: 'payments:read',
+  [ToolName.CREATE_CHARGE]: 'payments:write',
+  [ToolName.RECORD_PAYMENT]: 'payments:write',
+  [ToolName.CUSTOM_QUERY]: 'query',
+  [ToolName.GET_CHANGE_HISTORY]: 'audit:read',
+};
+
+const canUseTool = (principal, name) => (
+  (TOOL_ACCESS[name]?.roller ?? ['admin']).includes(principal?.rol)
+  && (!principal.scope || principal.scope.includes(TOOL_SCOPES[name]))
+);
+
+async function authorizeTool(principal, name, args) {
+  if (!canUseTool(principal, name)) {
+    throw httpError(403, `Bu aracı kullanma yetkiniz yok: ${name}`);
+  }
+  await TOOL_ACCESS[name]?.check?.(principal, args ?? {});
+}
+
+const PromptName = {
+  PARENT_MEETING: "parent_meeting",
+  WEEKLY_CLASS_SUMMARY: "weekly_class_summary",
+  PAYMENT_REMINDER_LETTER: "payment_reminder_letter",
+  ATTENDANCE_WARNING_LETTER: "attendance_warning_letter",
+};
+
+// Student API Functions
+// Liste sorgularında izin verilen sıralama ve seçilebilir alanlar
+const STUDENT_LIST_COLUMNS = {
+  id: 'o.id',
+  tc_no: 'o.tc_no',
+  ad: 'o.ad',
+  soyad: 'o.soyad',
+  dogum_tarihi: 'o.dogum_tarihi',
+  cinsiyet: 'o.cinsiyet',
+  telefon: 'o.telefon',
+  email: 'o.email',
+  adres: 'o.adres',
+  veli_adi: 'o.veli_adi',
+  veli_telefonu: 'o.veli_telefonu',
+  kayit_tarihi: 'o.kayit_tarihi',
+  aktif: 'o.aktif',
+  pasif_tarihi: 'o.pasif_tarihi',
+  sinif_id: 'o.sinif_id',
+  sinif_adi: 's.sinif_adi',
+  seviye: 's.seviye',
+  sube: 's.sube',
+};
+// Sayfa boyutu verilmezse REST'te 100, MCP araçlarında LLM bağlamını doldurmamak için 20 kayıt
+const REST_PAGE_SIZE = 100;
+const MCP_PAGE_SIZE = 20;
+
+const STUDENT_SORT_FIELDS = ['id', 'ad', 'soyad', 'dogum_tarihi', 'kayit_tarihi', 'pasif_tarihi', 'sinif_adi', 'seviye', 'sube'];
+
+const encodeCursor = (options) => Buffer.from(JSON.stringify(options)).toString('base64url');
+
+// cursor verilmişse filtre, sıralama ve konum bilgisi cursor'dan okunur
+function resolveListOptions(options) {
+  if (!options.cursor) {
+    return options;
+  }
+  let decoded;
+  try {
+    decoded = JSON.parse(Buffer.from(options.cursor, 'base64url').toString('utf8'));
+  } catch {
+    throw httpError(400, 'Geçersiz cursor');
+  }
+  const parsed = StudentListSchema.omit({ cursor: true }).safeParse(decoded);
+  if (!parsed.success) {
+    throw httpError(400, 'Geçersiz cursor');
+  }
+  return { ...parsed.data, ...(options.limit ? { limit: options.limit } : {}) };
+}
+
+const splitList = (value) => value.split(',').map((item) => item.trim()).filter(Boolean);
+
+// Tek kayıtta ?fields=... seçimi
+function pickFields(row, fields) {
+  if (!fields) {
+    return row;
+  }
+  const picked = {};
+  for (const field of splitList(fields)) {
+    if (!(field in row)) {
+      throw httpError(400, `Geçersiz alan: ${field} (izin verilenler: ${Object.keys(row).join(', ')})`);
+    }
+    picked[field] = row[field];
+  }
+  return picked;
+}
+
+// Liste ve dışa aktarma aynı sorguyu kullandığı için rol kontrolü burada yapılır
+function buildStudentListQuery(options, sinifId = null, principal = null) {
+  if (options.include_inactive && principal && principal.rol !== 'admin') {
+    throw httpError(403, 'Pasif öğrencileri sadece admin listeleyebilir');
+  }
+
+  const select = options.fields
+    ? splitList(options.fields).map((field) => {
+        if (!STUDENT_LIST_COLUMNS[field]) {
+          throw httpError(400, `Geçersiz alan: ${field} (izin verilenler: ${Object.keys(STUDENT_LIST_COLUMNS).join(', ')})`);
+        }
+        return `${STUDENT_LIST_COLUMNS[field]} as ${field}`;
+      })
+    : ['o.*', 's.sinif_adi', 's.seviye', 's.sube'];
+
+  const orderBy = options.sort
+    ? splitList(options.sort).map((field) => {
+        const desc = field.startsWith('-');
+        const name = desc ? field.slice(1) : field;
+        if (!STUDENT_SORT_FIELDS.includes(name)) {
+          throw httpError(400, `Geçersiz sıralama alanı: ${name} (izin verilenler: ${STUDENT_SORT_FIELDS.join(', ')})`);
+        }
+        return `${STUDENT_LIST_COLUMNS[name]} ${desc ? 'DESC' : 'ASC'}`;
+      })
+    : ['o.ad ASC', 'o.soyad ASC'];
+  // Sayfalar arasında kararlı sıra için
+  orderBy.push('o.id ASC');
+
+  const where = options.include_inactive ? [] : ['o.aktif = 1'];
+  const params = [];
+  const filters = [
+    [sinifId, 'o.sinif_id = ?'],
+    [options.seviye, 's.seviye = ?'],
+    [options.sube, 's.sube = ?'],
+    [options.cinsiyet, 'o.cinsiyet = ?'],
+    [options.kayit_baslangic, 'o.kayit_tarihi >= ?'],
+    [options.kayit_bitis, 'o.kayit_tarihi <= ?'],
+  ];
+  for (const [value, condition] of filters) {
+    if (value !== undefined && value !== null) {
+      where.push(condition);
+      params.push(value);
+    }
+  }
+  // Öğretmen ve veli sadece erişebildiği öğrencileri görür
+  const scope = studentScope(principal);
+  if (scope) {
+    where.push(scope.condition);
+    params.push(...scope.params);
+  }
+
+  const from = `FROM ogrenciler o LEFT JOIN siniflar s ON o.sinif_id = s.id${where.length > 0 ? ` WHERE ${where.join(' AND ')}` : ''}`;
+  let query = `SELECT ${select.join(', ')} ${from} ORDER BY ${orderBy.join(', ')}`;
+  const listParams = [...params];
+  if (options.limit) {
+    query += ` LIMIT ? OFFSET ?`;
+    listParams.push(options.limit, options.offset || 0);
+  }
+
+  return {
+    query,
+    params: listParams,
+    countQuery: `SELECT COUNT(*) as toplam ${from}`,
+    countParams: params,
+  };
+}
+
+// Sayfalı öğrenci listesi; sonraki sayfa için next_cursor döner
+async function listStudents(options, { sinifId = null, defaultLimit = null, principal = null } = {}) {
+  const resolved = resolveListOptions(options);
+  const { cursor, ...listOptions } = { ...resolved, limit: resolved.limit ?? defaultLimit ?? undefined };
+  const { query, params, countQuery, countParams } = buildStudentListQuery(listOptions, sinifId, principal);
+
+  const [rows, { toplam }] = await Promise.all([dbAll(query, params), dbGet(countQuery, countParams)]);
+  const offset = listOptions.offset || 0;
+  const hasMore = Boolean(listOptions.limit) && offset + rows.length < toplam;
+
+  return {
+    data: rows,
+    pagination: {
+      toplam,
+      limit: listOptions.limit ?? null,
+      offset,
+      next_cursor: hasMore ? encodeCursor({ ...listOptions, offset: offset + rows.length }) : null,
+    },
+  };
+}
+
+async function getStudentById(id, fields = null) {
+  return new Promise((resolve, reject) => {
+    const query = `
+      SELECT 
+        o.*, 
+        s.sinif_adi,
+        s.seviye
+      FROM ogrenciler o
+      LEFT JOIN siniflar s ON o.sinif_id = s.id
+      WHERE o.id = ?
+    `;
+    
+    db.get(query, [id], (err, row) => {
+      if (err) {
+        reject(err);
+      } else if (!row) {
+        reject(new Error('Öğrenci bulunamadı'));
+      } else {
+        try {
+          resolve({
+            content: [{ type: "text", text: JSON.stringify({ data: pickFields(row, fields) }, null, 2) }],
+          });
+        } catch (error) {
+          reject(error);
+        }
+      }
+    });
+  });
+}
+
+async function getStudentGrades(id) {
+  return new Promise((resolve, reject) => {
+    const query = `
+      SELECT 
+        n.*, 
+        d.ders_adi,
+        d.ders_kodu
+      FROM notlar n
+      JOIN dersler d ON n.ders_id = d.id
+      WHERE n.ogrenci_id = ?
+      ORDER BY n.tarih DESC
+    `;
+    
+    db.all(query, [id], (err, rows) => {
+      if (err) {
+        reject(err);
+      } else {
+        resolve({
+          content: [{ type: "text", text: JSON.stringify({ data: rows }, null, 2) }],
+        });
+      }
+    });
+  });
+}
+
+async function getStudentAttendance(id) {
+  return new Promise((resolve, reject) => {
+    const query = `
+      SELECT 
+        d.*, 
+        dr.ders_adi,
+        dr.ders_kodu
+      FROM devamsizlik d
+      JOIN dersler dr ON d.ders_id = dr.id
+      WHERE d.ogrenci_id = ?
+      ORDER BY d.tarih DESC
+    `;
+    
+    db.all(query, [id], (err, rows) => {
+      if (err) {
+        reject(err);
+      } else {
+        resolve({
+          content: [{ type: "text", text: JSON.stringify({ data: rows }, null, 2) }],
+        });
+      }
+    });
+  });
+}
+
+async function getStudentPayments(id) {
+  return new Promise((resolve, reject) => {
+    const query = `
+      SELECT *
+      FROM odemeler
+      WHERE ogrenci_id = ?
+      ORDER BY odeme_tarihi DESC
+    `;
+    
+    db.all(query, [id], (err, rows) => {
+      if (err) {
+        reject(err);
+      } else {
+        resolve({
+          content: [{ type: "text", text: JSON.stringify({ data: rows }, null, 2) }],
+        });
+      }
+    });
+  });
+}
+
+// Türkçe harf katlama: büyük/küçük harf (İ/i, I/ı) ve aksan farkı olmadan karşılaştırma için
+const TURKISH_FOLD = { ç: 'c', ğ: 'g', ı: 'i', ö: 'o', ş: 's', ü: 'u' };
+
+const foldTurkish = (text) => String(text ?? '')
+  .toLocaleLowerCase('tr-TR')
+  .replace(/[çğıöşü]/g, (char) => TURKISH_FOLD[char])
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '');
+
+const tokenize = (text) => foldTurkish(text).split(/[^a-z0-9]+/).filter(Boolean);
+const digitsOf = (text) => String(text ?? '').replace(/\D/g, '');
+
+function levenshtein(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+// Bir arama kelimesinin bir kelimeye benzerliği (0-1): tam eşleşme, önek, içerme, yazım hatası
+function tokenScore(term, word) {
+  if (word === term) return 1;
+  if (word.startsWith(term)) return 0.9;
+  if (term.length >= 3 && word.includes(term)) return 0.75;
+
+  // Sesli komutlardaki yazım hataları: kısa kelimelerde 1, uzunlarda 2 harf farkına izin verilir
+  const allowed = term.length <= 4 ? 1 : 2;
+  const distance = levenshtein(term, word);
+  if (term.length < 3 || distance > allowed) return 0;
+  return 0.7 * (1 - distance / Math.max(term.length, word.length));
+}
+
+// Aranan alanlar ve ağırlıkları. E-postada sadece @ öncesi aranır; alan adı (gmail, com) neredeyse herkesle eşleşir.
+const STUDENT_SEARCH_FIELDS = [
+  ['ad', 1, (ogrenci) => ogrenci.ad],
+  ['soyad', 1, (ogrenci) => ogrenci.soyad],
+  ['veli_adi', 0.7, (ogrenci) => ogrenci.veli_adi],
+  ['email', 0.8, (ogrenci) => String(ogrenci.email ?? '').split('@')[0]],
+];
+
+// Rakamlar TC no ve telefon numaralarında aranır (boşluk, tire farkı gözetilmez)
+const STUDENT_DIGIT_FIELDS = [['tc_no', 1], ['telefon', 0.9], ['veli_telefonu', 0.9]];
+
+// Tam değerle aranan alan için puan: aynıysa 1, içeriyorsa 0.8
+const exactScore = (value, query) => (value === query ? 1 : (value.includes(query) ? 0.8 : 0));
+
+// Öğrenciyi arama kelimelerine göre puanlar; her kelime en iyi eşleştiği alandan puan alır.
+// Rakam grubu ve e-posta adresi birer kelime gibi ortalamaya katılır ("ali 0542" ikisine de bakar).
+function scoreStudent(ogrenci, { terms, digitQuery, emailQuery }) {
+  const eslesenAlanlar = new Set();
+  const puanlar = [];
+
+  for (const term of terms) {
+    let best = 0;
+    let bestField = null;
+    for (const [field, weight, text] of STUDENT_SEARCH_FIELDS) {
+      for (const word of tokenize(text(ogrenci))) {
+        const score = tokenScore(term, word) * weight;
+        if (score > best) {
+          best = score;
+          bestField = field;
+        }
+      }
+    }
+    if (bestField) {
+      eslesenAlanlar.add(bestField);
+    }
+    puanlar.push(best);
+  }
+
+  if (digitQuery.length >= 3) {
+    let best = 0;
+    for (const [field, weight] of STUDENT_DIGIT_FIELDS) {
+      const score = exactScore(digitsOf(ogrenci[field]), digitQuery) * weight;
+      if (score > 0) {
+        eslesenAlanlar.add(field);
+        best = Math.max(best, score);
+      }
+    }
+    puanlar.push(best);
+  }
+
+  if (emailQuery) {
+    const score = exactScore(foldTurkish(ogrenci.email), emailQuery);
+    if (score > 0) {
+      eslesenAlanlar.add('email');
+    }
+    puanlar.push(score);
+  }
+
+  const skor = puanlar.length > 0 ? puanlar.reduce((sum, puan) => sum + puan, 0) / puanlar.length : 0;
+  return { skor: round2(skor), eslesen_alanlar: [...eslesenAlanlar] };
+}
+
+// Arama metnini kelimelere, rakam grubuna ve e-posta adresine ayırır
+function parseStudentSearch(searchTerm) {
+  const emailQuery = String(searchTerm).match(/[^\s@]+@[^\s@]+/)?.[0] ?? null;
+  const tokens = tokenize(emailQuery ? String(searchTerm).replace(emailQuery, ' ') : searchTerm);
+  return {
+    terms: tokens.filter((token) => !/^\d+$/.test(token)),
+    digitQuery: tokens.filter((token) => /^\d+$/.test(token)).join(''),
+    emailQuery: emailQuery ? foldTurkish(emailQuery) : null,
+  };
+}
+
+// SQL tarafında foldTurkish karşılığı (SQLite lower() sadece ASCII harfleri küçültür)
+const SQL_FOLD_MAP = [
+  ['Ç', 'c'], ['ç', 'c'], ['Ğ', 'g'], ['ğ', 'g'], ['İ', 'i'], ['I', 'i'], ['ı', 'i'], ['Ö', 'o'], ['ö', 'o'],
+  ['Ş', 's'], ['ş', 's'], ['Ü', 'u'], ['ü', 'u'], ['Â', 'a'], ['â', 'a'], ['Î', 'i'], ['î', 'i'], ['Û', 'u'], ['û', 'u'],
+];
+const foldSql = (expr) => `lower(${SQL_FOLD_MAP.reduce((acc, [from, to]) => `replace(${acc}, '${from}', '${to}')`, expr)})`;
+const digitsSql = (expr) => ['-', ' ', '(', ')', '+', '.', '/'].reduce((acc, char) => `replace(${acc}, '${char}', '')`, `COALESCE(${expr}, '')`);
+
+const STUDENT_SEARCH_TEXT_SQL = foldSql(
+  `COALESCE(o.ad, '') || ' ' || COALESCE(o.soyad, '') || ' ' || COALESCE(o.veli_adi, '') || ' ' ||
+   CASE WHEN instr(o.email, '@') > 0 THEN substr(o.email, 1, instr(o.email, '@') - 1) ELSE COALESCE(o.email, '') END`
+);
+
+// Yazım hatası payı k harfse kelime k+1 parçaya bölünür: k değişiklik en fazla k parçayı bozacağından
+// tokenScore'un eşleştirdiği her kelimede en az bir parça aynen geçer. Kısa kelimelerde yazım hatası payı yoktur.
+function searchChunks(term) {
+  if (term.length < 3) {
+    return [term];
+  }
+  const count = (term.length <= 4 ? 1 : 2) + 1;
+  return Array.from({ length: count }, (_, index) => (
+    term.slice(Math.floor((index * term.length) / count), Math.floor(((index + 1) * term.length) / count))
+  ));
+}
+
+// Puanlanacak adayları SQL'de ön eleme ile bulur; eşleşme ihtimali olmayan öğrenciler belleğe alınmaz
+function studentSearchFilter({ terms, digitQuery, emailQuery }) {
+  const conditions = [];
+  const params = [];
+  for (const chunk of terms.flatMap(searchChunks)) {
+    conditions.push(`${STUDENT_SEARCH_TEXT_SQL} LIKE ?`);
+    params.push(`%${chunk}%`);
+  }
+  if (digitQuery.length >= 3) {
+    for (const [field] of STUDENT_DIGIT_FIELDS) {
+      conditions.push(`${digitsSql(`o.${field}`)} LIKE ?`);
+      params.push(`%${digitQuery}%`);
+    }
+  }
+  if (emailQuery) {
+    conditions.push(`${foldSql(`COALESCE(o.email, '')`)} LIKE ?`);
+    params.push(`%${emailQuery}%`);
+  }
+  return { condition: conditions.length > 0 ? `(${conditions.join(' OR ')})` : '0', params };
+}
+
+// Türkçe duyarlı, yazım hatasına toleranslı öğrenci araması (ad, soyad, TC, veli adı, telefon, email)
+async function searchStudents(searchTerm, limit = 20, principal = null) {
+  const query = parseStudentSearch(searchTerm);
+  const filter = studentSearchFilter(query);
+
+  const scope = studentScope(principal);
+  const ogrenciler = await dbAll(
+    `SELECT o.*, s.sinif_adi, s.seviye
+     FROM ogrenciler o
+     LEFT JOIN siniflar s ON o.sinif_id = s.id
+     WHERE o.aktif = 1 AND ${filter.condition}${scope ? ` AND ${scope.condition}` : ''}`,
+    [...filter.params, ...(scope ? scope.params : [])]
+  );
+
+  return ogrenciler
+    .map((ogrenci) => ({ ...ogrenci, ...scoreStudent(ogrenci, query) }))
+    .filter((ogrenci) => ogrenci.skor >= 0.5)
+    .sort((a, b) => b.skor - a.skor || a.ad.localeCompare(b.ad, 'tr'))
+    .slice(0, limit);
+}
+
+// UNIQUE(tc_no) ihlalini anlaşılır bir 409 hatasına çevirir
+const studentWriteError = (err) => (
+  err.code === 'SQLITE_CONSTRAINT' && err.message.includes('ogrenciler.tc_no')
+    ? httpError(409, 'Bu TC Kimlik No ile kayıtlı bir öğrenci zaten var')
+    : err
+);
+
+async function createStudent(data) {
+  const ogrenci = validate(StudentSchema, data, 'Geçersiz öğrenci bilgileri');
+  const result = await withTransaction(async () => {
+    if (ogrenci.sinif_id !== undefined) {
+      await checkClassCapacity(ogrenci.sinif_id);
+    }
+    return auditedRun(
+      'ogrenciler',
+      null,
+      `INSERT INTO ogrenciler (${STUDENT_COLUMNS.join(', ')})
+       VALUES (${STUDENT_COLUMNS.map(() => '?').join(', ')})`,
+      STUDENT_COLUMNS.map((column) => ogrenci[column] ?? null)
+    );
+  }).catch((err) => { throw studentWriteError(err); });
+
+  return { message: 'Öğrenci başarıyla eklendi', id: result.lastID };
+}
+
+// Tüm alanları verilenlerle değiştirir (PUT)
+async function replaceStudent(id, data) {
+  const { aktif = true, ...ogrenci } = validate(ReplaceStudentSchema, data, 'Geçersiz öğrenci bilgileri');
+  await assertNotAnonymized(id);
+  const result = await withTransaction(async () => {
+    await assertTcKimlikNoChange('ogrenciler', id, ogrenci.tc_no, 'Geçersiz öğrenci bilgileri');
+    if (ogrenci.sinif_id !== undefined) {
+      await checkClassCapacity(ogrenci.sinif_id, Number(id));
+    }
+    return auditedRun(
+      'ogrenciler',
+      id,
+      `UPDATE ogrenciler
+       SET ${STUDENT_COLUMNS.map((column) => `${column} = ?`).join(', ')}, aktif = ?
+       WHERE id = ?`,
+      [...STUDENT_COLUMNS.map((column) => ogrenci[column] ?? null), aktif ? 1 : 0, id]
+    );
+  }).catch((err) => { throw studentWriteError(err); });
+
+  if (result.changes === 0) {
+    throw httpError(404, 'Öğrenci bulunamadı');
+  }
+  return { message: 'Öğrenci başarıyla güncellendi', changes: result.changes };
+}
+
+// Sadece gönderilen alanları günceller (PATCH); değişen alanların önceki ve yeni değerlerini döner
+async function patchStudent(id, data) {
+  const fields = validate(PatchStudentSchema, data, 'Geçersiz öğrenci bilgileri');
+  if ('aktif' in fields) {
+    fields.aktif = fields.aktif ? 1 : 0;
+  }
+  const columns = Object.keys(fields).filter((column) => fields[column] !== undefined);
+  if (columns.length === 0) {
+    throw httpError(400, 'Güncellenecek alan bulunamadı');
+  }
+
+  await assertNotAnonymized(id);
+  const { before, after } = await withTransaction(async () => {
+    const before = await dbGet(`SELECT * FROM ogrenciler WHERE id = ?`, [id]);
+    if (!before) {
+      throw httpError(404, 'Öğrenci bulunamadı');
+    }
+    await assertTcKimlikNoChange('ogrenciler', id, fields.tc_no, 'Geçersiz öğrenci bilgileri');
+    // Öğrenci yeni bir sınıfa geçiyorsa ya da yeniden aktif oluyorsa kontenjan kontrol edilir
+    const sinifId = 'sinif_id' in fields ? fields.sinif_id : before.sinif_id;
+    const becomesActive = fields.aktif === 1 && !before.aktif;
+    if (sinifId != null && (sinifId !== before.sinif_id || becomesActive)) {
+      await checkClassCapacity(sinifId, before.id);
+    }
+
+    await auditedRun(
+      'ogrenciler',
+      id,
+      `UPDATE ogrenciler SET ${columns.map((column) => `${column} = ?`).join(', ')} WHERE id = ?`,
+      [...columns.map((column) => fields[column]), id]
+    );
+    return { before, after: await dbGet(`SELECT * FROM ogrenciler WHERE id = ?`, [id]) };
+  }).catch((err) => { throw studentWriteError(err); });
+
+  const degisiklikler = {};
+  for (const column of columns) {
+    if (before[column] !== after[column]) {
+      degisiklikler[column] = { onceki: before[column], yeni: after[column] };
+    }
+  }
+
+  return { message: 'Öğrenci başarıyla güncellendi', id: after.id, degisiklikler };
+}
+
+// KVKK kapsamında anonimleştirilmiş kayıtlar değiştirilemez ve geri alınamaz
+async function assertNotAnonymized(id) {
+  const ogrenci = await dbGet(`SELECT anonimlestirme_tarihi FROM ogrenciler WHERE id = ?`, [id]);
+  if (ogrenci?.anonimlestirme_tarihi) {
+    throw httpError(410, 'Öğrencinin kişisel verileri KVKK kapsamında silinmiş, kayıt değiştirilemez');
+  }
+}
+
+// Soft delete: öğrenci pasif olur, KVKK saklama süresi bu tarihten başlar
+async function deleteStudent(id) {
+  const { changes } = await auditedRun('ogrenciler', id, `UPDATE ogrenciler SET aktif = 0 WHERE id = ? AND aktif = 1`, [id]);
+  if (changes === 0) {
+    throw httpError(404, 'Öğrenci bulunamadı veya zaten silinmiş');
+  }
+  return { message: 'Öğrenci başarıyla silindi', changes };
+}
+
+// Silinmiş (pasif) öğrenciyi yeniden aktif yapar
+async function restoreStudent(id) {
+  await assertNotAnonymized(id);
+  const ogrenci = await withTransaction(async () => {
+    const ogrenci = await dbGet(`SELECT id, aktif, sinif_id FROM ogrenciler WHERE id = ?`, [id]);
+    if (!ogrenci) {
+      throw httpError(404, 'Öğrenci bulunamadı');
+    }
+    if (ogrenci.aktif) {
+      throw httpError(409, 'Öğrenci zaten aktif');
+    }
+    if (ogrenci.sinif_id != null) {
+      await checkClassCapacity(ogrenci.sinif_id, ogrenci.id);
+    }
+
+    await auditedRun('ogrenciler', ogrenci.id, `UPDATE ogrenciler SET aktif = 1 WHERE id = ?`, [ogrenci.id]);
+    return ogrenci;
+  });
+  return { message: 'Öğrenci geri alındı', id: ogrenci.id };
+}
+
+// ======================
+// KVKK: SAKLAMA SÜRESİ DOLAN ÖĞRENCİLERİN ANONİMLEŞTİRİLMESİ
+// ======================
+
+// Pasif olduktan sonra kişisel verilerin saklanacağı gün sayısı (varsayılan 10 yıl)
+const KVKK_RETENTION_DAYS = Number(process.env.KVKK_RETENTION_DAYS) || 3650;
+const KVKK_REPORT_DIR = join(__dirname, 'kvkk-raporlari');
+
+// Silinen kişisel veriler; notlar, devamsızlık ve ödemeler öğrenci id'si ile kaldığı için istatistikler bozulmaz
+const KVKK_PII_COLUMNS = ['tc_no', 'ad', 'soyad', 'dogum_tarihi', 'telefon', 'email', 'adres', 'veli_adi', 'veli_telefonu'];
+
+const KvkkPurgeSchema = z.object({
+  saklama_suresi_gun: z.coerce.number().int().min(1).default(KVKK_RETENTION_DAYS).describe("Saklama süresi (gün)"),
+  dry_run: FlagSchema.default(true).describe("true ise hiçbir kayıt değişmez, sadece rapor döner"),
+});
+
+// Saklama süresi dolan pasif öğrencileri anonimleştirir ve rapor dosyası yazar.
+// Cinsiyet, sınıf, kayıt tarihi ve doğum yılı istatistik için korunur.
+async function purgeInactiveStudents({ saklama_suresi_gun: saklamaSuresi, dry_run: dryRun }) {
+  const { esik_tarihi } = await dbGet(`SELECT date('now', ?) as esik_tarihi`, [`-${saklamaSuresi} days`]);
+  const ogrenciler = await dbAll(
+    `SELECT
+       o.id,
+       o.pasif_tarihi,
+       o.sinif_id,
+       (SELECT COUNT(*) FROM notlar n WHERE n.ogrenci_id = o.id) as not_sayisi,
+       (SELECT COUNT(*) FROM devamsizlik d WHERE d.ogrenci_id = o.id) as devamsizlik_sayisi
+     FROM ogrenciler o
+     WHERE o.aktif = 0 AND o.anonimlestirme_tarihi IS NULL AND o.pasif_tarihi <= ?
+     ORDER BY o.pasif_tarihi, o.id`,
+    [esik_tarihi]
+  );
+
+  const rapor = {
+    tarih: new Date().toISOString(),
+    dry_run: dryRun,
+    saklama_suresi_gun: saklamaSuresi,
+    esik_tarihi,
+    anonimlestirilen: dryRun ? 0 : ogrenciler.length,
+    aday_sayisi: ogrenciler.length,
+    silinen_alanlar: KVKK_PII_COLUMNS,
+    korunan_not_sayisi: ogrenciler.reduce((sum, row) => sum + row.not_sayisi, 0),
+    korunan_devamsizlik_sayisi: ogrenciler.reduce((sum, row) => sum + row.devamsizlik_sayisi, 0),
+    ogrenciler,
+  };
+  if (dryRun) {
+    return rapor;
+  }
+
+  await withTransaction(async () => {
+    for (const { id } of ogrenciler) {
+      await auditedRun(
+        'ogrenciler',
+        id,
+        `UPDATE ogrenciler
+         SET tc_no = 'ANONIM-' || id, ad = 'Anonim', soyad = 'Öğrenci',
+             dogum_tarihi = substr(dogum_tarihi, 1, 4) || '-01-01',
+             telefon = NULL, email = NULL, adres = NULL, veli_adi = NULL, veli_telefonu = NULL,
+             anonimlestirme_tarihi = CURRENT_TIMESTAMP
+         WHERE id = ?`,
+        [id]
+      );
+    }
+
+    // Denetim kaydındaki önceki/sonraki değerlerde de kişisel veri kalmamalı
+    if (ogrenciler.length > 0) {
+      const paths = KVKK_PII_COLUMNS.map((column) => `$.${column}`);
+      const placeholders = paths.map(() => '?').join(', ');
+      await dbRun(
+        `UPDATE denetim_kayitlari
+         SET onceki = json_remove(onceki, ${placeholders}), sonraki = json_remove(sonraki, ${placeholders})
+         WHERE tablo = 'ogrenciler' AND kayit_id IN (${ogrenciler.map(() => '?').join(', ')})`,
+        [...paths, ...paths, ...ogrenciler.map((row) => row.id)]
+      );
+    }
+  });
+
+  await mkdir(KVKK_REPORT_DIR, { recursive: true });
+  rapor.rapor_dosyasi = `kvkk-temizlik-${rapor.tarih.replace(/[:.]/g, '-')}.json`;
+  await writeFile(join(KVKK_REPORT_DIR, rapor.rapor_dosyasi), JSON.stringify(rapor, null, 2));
+  return rapor;
+}
+
+async function getStudentAverage(id) {
+  const { genel_ortalama, dersler } = await calculateWeightedAverages(id);
+
+  return {
+    content: [{
+      type: "text",
+      text: JSON.stringify({
+        data: {
+          genel_ortalama: genel_ortalama.toFixed(2),
+          ders_ortalamalari: dersler,
+          not_politikasi: gradingPolicy
+        }
+      }, null, 2)
+    }],
+  };
+}
+
+// Teacher API Functions
+async function getAllTeachers(showSalary = false) {
+  return new Promise((resolve, reject) => {
+    const query = `
+      SELECT *
+      FROM ogretmenler
+      WHERE aktif = 1
+      ORDER BY ad, soyad
+    `;
+
+    db.all(query, [], (err, rows) => {
+      if (err) {
+        reject(err);
+      } else {
+        const data = showSalary ? rows : rows.map(hideSalary);
+        resolve({
+          content: [{ type: "text", text: JSON.stringify({ data }, null, 2) }],
+        });
+      }
+    });
+  });
+}
+
+async function getTeacherById(id, showSalary = false) {
+  return new Promise((resolve, reject) => {
+    const query = `SELECT * FROM ogretmenler WHERE id = ?`;
+
+    db.get(query, [id], (err, row) => {
+      if (err) {
+        reject(err);
+      } else if (!row) {
+        reject(new Error('Öğretmen bulunamadı'));
+      } else {
+        const data = showSalary ? row : hideSalary(row);
+        resolve({
+          content: [{ type: "text", text: JSON.stringify({ data }, null, 2) }],
+        });
+      }
+    });
+  });
+}
+
+async function searchTeachers(searchTerm, showSalary = false) {
+  return new Promise((resolve, reject) => {
+    const searchPattern = `%${searchTerm}%`;
+    const query = `
+      SELECT *
+      FROM ogretmenler
+      WHERE (ad LIKE ? OR soyad LIKE ? OR brans LIKE ?)
+      AND aktif = 1
+      ORDER BY ad, soyad
+    `;
+
+    db.all(query, [searchPattern, searchPattern, searchPattern], (err, rows) => {
+      if (err) {
+        reject(err);
+      } else {
+        const data = showSalary ? rows : rows.map(hideSalary);
+        resolve({
+          content: [{ type: "text", text: JSON.stringify({ data }, null, 2) }],
+        });
+      }
+    });
+  });
+}
+
+async function addTeacher(teacher) {
+  return new Promise((resolve, reject) => {
+    const query = `
+      INSERT INTO ogretmenler (${TEACHER_COLUMNS.join(', ')})
+      VALUES (${TEACHER_COLUMNS.map(() => '?').join(', ')})
+    `;
+
+    auditedRun('ogretmenler', null, query, TEACHER_COLUMNS.map((column) => teacher[column])).then(({ lastID }) => {
+      resolve({
+        content: [{ type: "text", text: JSON.stringify({ message: 'Öğretmen başarıyla eklendi', id: lastID }, null, 2) }],
+      });
+    }, reject);
+  });
+}
+
+// Sadece gönderilen alanları günceller (REST PUT ve MCP update_teacher)
+async function patchTeacher(id, data) {
+  const fields = validate(PatchTeacherSchema, data, 'Geçersiz öğretmen bilgisi');
+  const columns = TEACHER_COLUMNS.filter((column) => fields[column] !== undefined);
+  if (columns.length === 0) {
+    throw httpError(400, 'Güncellenecek alan bulunamadı');
+  }
+  await assertTcKimlikNoChange('ogretmenler', id, fields.tc_no, 'Geçersiz öğretmen bilgisi');
+
+  const query = `UPDATE ogretmenler SET ${columns.map((column) => `${column} = ?`).join(', ')} WHERE id = ?`;
+  const { changes } = await auditedRun('ogretmenler', id, query, [...columns.map((column) => fields[column]), id]);
+  if (changes === 0) {
+    throw httpError(404, 'Öğretmen bulunamadı');
+  }
+  return { message: 'Öğretmen başarıyla güncellendi', changes };
+}
+
+async function updateTeacher(id, fields) {
+  return toolResult(await patchTeacher(id, fields));
+}
+
+async function deleteTeacher(id) {
+  return new Promise((resolve, reject) => {
+    const query = `UPDATE ogretmenler SET aktif = 0 WHERE id = ? AND aktif = 1`;
+
+    auditedRun('ogretmenler', id, query, [id]).then(({ changes }) => {
+      if (changes === 0) {
+        reject(new Error('Öğretmen bulunamadı'));
+      } else {
+        resolve({
+          content: [{ type: "text", text: JSON.stringify({ message: 'Öğretmen başarıyla silindi', changes }, null, 2) }],
+        });
+      }
+    }, reject);
+  });
+}
+
+async function getTeacherClasses(id) {
+  return new Promise((resolve, reject) => {
+    const query = `
+      SELECT *
+      FROM siniflar
+      WHERE ogretmen_id = ? AND aktif = 1
+      ORDER BY seviye, sube
+    `;
+
+    db.all(query, [id], (err, rows) => {
+      if (err) {
+        reject(err);
+      } else {
+        resolve({
+          content: [{ type: "text", text: JSON.stringify({ data: rows }, null, 2) }],
+        });
+      }
+    });
+  });
+}
+
+async function getTeacherLessons(id) {
+  return new Promise((resolve, reject) => {
+    const query = `
+      SELECT
+        dp.*,
+        d.ders_adi,
+        d.ders_kodu,
+        s.sinif_adi,
+        s.sube
+      FROM ders_programi dp
+      JOIN dersler d ON dp.ders_id = d.id
+      JOIN siniflar s ON dp.sinif_id = s.id
+      WHERE dp.ogretmen_id = ? AND dp.aktif = 1
+      ORDER BY dp.donem, dp.gun, dp.baslama_saati
+    `;
+
+    db.all(query, [id], (err, rows) => {
+      if (err) {
+        reject(err);
+      } else {
+        resolve({
+          content: [{ type: "text", text: JSON.stringify({ data: rows }, null, 2) }],
+        });
+      }
+    });
+  });
+}
+
+async function getTeacherGrades(id) {
+  return new Promise((resolve, reject) => {
+    const query = `
+      SELECT
+        n.*,
+        o.ad as ogrenci_adi,
+        o.soyad as ogrenci_soyadi,
+        d.ders_adi,
+        d.ders_kodu
+      FROM notlar n
+      JOIN ogrenciler o ON n.ogrenci_id = o.id
+      JOIN dersler d ON n.ders_id = d.id
+      WHERE n.ogretmen_id = ?
+      ORDER BY n.tarih DESC
+    `;
+
+    db.all(query, [id], (err, rows) => {
+      if (err) {
+        reject(err);
+      } else {
+        resolve({
+          content: [{ type: "text", text: JSON.stringify({ data: rows }, null, 2) }],
+        });
+      }
+    });
+  });
+}
+
+// Class API Functions
+
+// Sınıfın aktif olup kontenjanında yer olup olmadığını kontrol eder.
+// ogrenciId verilirse o öğrenci zaten sınıftaysa tekrar sayılmaz.
+// Eşzamanlı iki kayıt kontenjanı aşmasın diye yazmayla aynı transaction içinde çağrılır.
+function checkClassCapacity(sinifId, ogrenciId = null) {
+  return new Promise((resolve, reject) => {
+    const query = `
+      SELECT
+        s.sinif_adi,
+        s.sube,
+        s.kontenjan,
+        (SELECT COUNT(*) FROM ogrenciler o
+          WHERE o.sinif_id = s.id AND o.aktif = 1 AND o.id IS NOT ?) as mevcut
+      FROM siniflar s
+      WHERE s.id = ? AND s.aktif = 1
+    `;
+
+    db.get(query, [ogrenciId, sinifId], (err, row) => {
+      if (err) {
+        reject(err);
+      } else if (!row) {
+        reject(httpError(404, 'Sınıf bulunamadı'));
+      } else if (row.mevcut >= row.kontenjan) {
+        reject(httpError(409, `Sınıf kontenjanı dolu: ${row.sinif_adi} ${row.sube} (${row.mevcut}/${row.kontenjan})`));
+      } else {
+        resolve(row);
+      }
+    });
+  });
+}
+
+async function getAllClasses() {
+  return new Promise((resolve, reject) => {
+    const query = `
+      SELECT
+        s.*,
+        t.ad || ' ' || t.soyad as ogretmen_adi,
+        (SELECT COUNT(*) FROM ogrenciler o WHERE o.sinif_id = s.id AND o.aktif = 1) as mevcut
+      FROM siniflar s
+      LEFT JOIN ogretmenler t ON s.ogretmen_id = t.id
+      WHERE s.aktif = 1
+      ORDER BY s.seviye, s.sube
+    `;
+
+    db.all(query, [], (err, rows) => {
+      if (err) {
+        reject(err);
+      } else {
+        resolve({
+          content: [{ type: "text", text: JSON.stringify({ data: rows }, null, 2) }],
+        });
+      }
+    });
+  });
+}
+
+async function getClassById(id) {
+  return new Promise((resolve, reject) => {
+    const query = `
+      SELECT
+        s.*,
+        t.ad || ' ' || t.soyad as ogretmen_adi
+      FROM siniflar s
+      LEFT JOIN ogretmenler t ON s.ogretmen_id = t.id
+      WHERE s.id = ?
+    `;
+
+    db.get(query, [id], (err, row) => {
+      if (err) {
+        reject(err);
+      } else if (!row) {
+        reject(new Error('Sınıf bulunamadı'));
+      } else {
+        resolve({
+          content: [{ type: "text", text: JSON.stringify({ data: row }, null, 2) }],
+        });
+      }
+    });
+  });
+}
+
+async function getClassSummary(id) {
+  return new Promise((resolve, reject) => {
+    const query = `
+      SELECT
+        s.id,
+        s.sinif_adi,
+        s.seviye,
+        s.sube,
+        t.ad || ' ' || t.soyad as ogretmen_adi,
+        s.kontenjan,
+        COUNT(o.id) as mevcut,
+        s.kontenjan - COUNT(o.id) as kalan_kontenjan,
+        SUM(CASE WHEN o.cinsiyet = 'E' THEN 1 ELSE 0 END) as erkek,
+        SUM(CASE WHEN o.cinsiyet = 'K' THEN 1 ELSE 0 END) as kiz
+      FROM siniflar s
+      LEFT JOIN ogretmenler t ON s.ogretmen_id = t.id
+      LEFT JOIN ogrenciler o ON o.sinif_id = s.id AND o.aktif = 1
+      WHERE s.id = ?
+      GROUP BY s.id
+    `;
+
+    db.get(query, [id], (err, row) => {
+      if (err) {
+        reject(err);
+      } else if (!row) {
+        reject(new Error('Sınıf bulunamadı'));
+      } else {
+        resolve({
+          content: [{ type: "text", text: JSON.stringify({ data: row }, null, 2) }],
+        });
+      }
+    });
+  });
+}
+
+async function addClass(sinif) {
+  return new Promise((resolve, reject) => {
+    const columns = CLASS_COLUMNS.filter((column) => sinif[column] !== undefined);
+    const query = `
+      INSERT INTO siniflar (${columns.join(', ')})
+      VALUES (${columns.map(() => '?').join(', ')})
+    `;
+
+    auditedRun('siniflar', null, query, columns.map((column) => sinif[column])).then(({ lastID }) => {
+      resolve({
+        content: [{ type: "text", text: JSON.stringify({ message: 'Sınıf başarıyla eklendi', id: lastID }, null, 2) }],
+      });
+    }, reject);
+  });
+}
+
+// Kontenjan, sınıftaki mevcut öğrenci sayısının altına düşürülemez (yazmayla aynı transaction içinde çağrılır)
+function checkKontenjanNotBelowHeadcount(id, kontenjan) {
+  return new Promise((resolve, reject) => {
+    if (kontenjan === undefined) {
+      resolve();
+      return;
+    }
+
+    const query = `SELECT COUNT(*) as mevcut FROM ogrenciler WHERE sinif_id = ? AND aktif = 1`;
+
+    db.get(query, [id], (err, row) => {
+      if (err) {
+        reject(err);
+      } else if (row.mevcut > kontenjan) {
+        reject(httpError(409, `Kontenjan mevcut öğrenci sayısının (${row.mevcut}) altına düşürülemez`));
+      } else {
+        resolve();
+      }
+    });
+  });
+}
+
+// Sadece gönderilen alanları günceller (REST PUT ve MCP update_class)
+async function patchClass(id, data) {
+  const fields = validate(PatchClassSchema, data, 'Geçersiz sınıf bilgisi');
+  const columns = CLASS_COLUMNS.filter((column) => fields[column] !== undefined);
+  if (columns.length === 0) {
+    throw httpError(400, 'Güncellenecek alan bulunamadı');
+  }
+
+  const query = `UPDATE siniflar SET ${columns.map((column) => `${column} = ?`).join(', ')} WHERE id = ?`;
+  const { changes } = await withTransaction(async () => {
+    await checkKontenjanNotBelowHeadcount(id, fields.kontenjan);
+    return auditedRun('siniflar', id, query, [...columns.map((column) => fields[column]), id]);
+  });
+  if (changes === 0) {
+    throw httpError(404, 'Sınıf bulunamadı');
+  }
+  return { message: 'Sınıf başarıyla güncellendi', changes };
+}
+
+async function updateClass(id, fields) {
+  return toolResult(await patchClass(id, fields));
+}
+
+async function deleteClass(id) {
+  return new Promise((resolve, reject) => {
+    // İçinde aktif öğrenci olan sınıf silinemez
+    const query = `
+      UPDATE siniflar SET aktif = 0
+      WHERE id = ? AND aktif = 1
+      AND NOT EXISTS (SELECT 1 FROM ogrenciler WHERE sinif_id = siniflar.id AND aktif = 1)
+    `;
+
+    auditedRun('siniflar', id, query, [id]).then(({ changes }) => {
+      if (changes === 0) {
+        reject(httpError(409, 'Sınıf bulunamadı veya sınıfta hâlâ aktif öğrenci var'));
+      } else {
+        resolve({
+          content: [{ type: "text", text: JSON.stringify({ message: 'Sınıf başarıyla silindi', changes }, null, 2) }],
+        });
+      }
+    }, reject);
+  });
+}
+
+// Course API Functions
+async function listCourses(includeInactive = false) {
+  return new Promise((resolve, reject) => {
+    const query = `
+      SELECT *
+      FROM dersler
+      ${includeInactive ? '' : 'WHERE aktif = 1'}
+      ORDER BY ders_kodu
+    `;
+
+    db.all(query, [], (err, rows) => {
+      if (err) {
+        reject(err);
+      } else {
+        resolve({
+          content: [{ type: "text", text: JSON.stringify({ data: rows }, null, 2) }],
+        });
+      }
+    });
+  });
+}
+
+async function getCourse({ id, ders_kodu }) {
+  return new Promise((resolve, reject) => {
+    const query = id !== undefined
+      ? `SELECT * FROM dersler WHERE id = ?`
+      : `SELECT * FROM dersler WHERE ders_kodu = ? COLLATE NOCASE`;
+
+    db.get(query, [id !== undefined ? id : ders_kodu], (err, row) => {
+      if (err) {
+        reject(err);
+      } else if (!row) {
+        reject(new Error('Ders bulunamadı'));
+      } else {
+        resolve({
+          content: [{ type: "text", text: JSON.stringify({ data: row }, null, 2) }],
+        });
+      }
+    });
+  });
+}
+
+// UNIQUE(ders_kodu) ihlalini anlaşılır bir 409 hatasına çevirir
+const courseWriteError = (err) => (
+  err.code === 'SQLITE_CONSTRAINT' && err.message.includes('dersler.ders_kodu')
+    ? httpError(409, 'Bu ders kodu zaten kayıtlı')
+    : err
+);
+
+// Sadece gönderilen alanları günceller (REST PUT)
+async function patchCourse(id, data) {
+  const fields = validate(PatchCourseSchema, data, 'Geçersiz ders bilgisi');
+  if (fields.aktif !== undefined) {
+    fields.aktif = fields.aktif ? 1 : 0;
+  }
+  const columns = COURSE_COLUMNS.filter((column) => fields[column] !== undefined);
+  if (columns.length === 0) {
+    throw httpError(400, 'Güncellenecek alan bulunamadı');
+  }
+
+  const query = `UPDATE dersler SET ${columns.map((column) => `${column} = ?`).join(', ')} WHERE id = ?`;
+  const { changes } = await auditedRun('dersler', id, query, [...columns.map((column) => fields[column]), id])
+    .catch((err) => { throw courseWriteError(err); });
+  if (changes === 0) {
+    throw httpError(404, 'Ders bulunamadı');
+  }
+  return { message: 'Ders başarıyla güncellendi', changes };
+}
+
+// Grade API Functions
+
+// Kaydın bağlı olduğu öğrenci, sınıf, ders ve öğretmenin var olduğunu doğrular
+async function checkReferences({ ogrenci_id, sinif_id, ders_id, ogretmen_id }) {
+  if (ogrenci_id !== undefined && !(await dbGet(`SELECT id FROM ogrenciler WHERE id = ? AND aktif = 1`, [ogrenci_id]))) {
+    throw httpError(404, 'Öğrenci bulunamadı');
+  }
+  if (sinif_id !== undefined && !(await dbGet(`SELECT id FROM siniflar WHERE id = ? AND aktif = 1`, [sinif_id]))) {
+    throw httpError(404, 'Sınıf bulunamadı');
+  }
+  if (ders_id !== undefined && !(await dbGet(`SELECT id FROM dersler WHERE id = ? AND aktif = 1`, [ders_id]))) {
+    throw httpError(404, 'Ders bulunamadı');
+  }
+  if (ogretmen_id !== undefined && !(await dbGet(`SELECT id FROM ogretmenler WHERE id = ? AND aktif = 1`, [ogretmen_id]))) {
+    throw httpError(404, 'Öğretmen bulunamadı');
+  }
+}
+
+async function createGrade(grade) {
+  await checkReferences(grade);
+
+  const columns = GRADE_COLUMNS.filter((column) => grade[column] !== undefined);
+  const { lastID } = await auditedRun(
+    'notlar',
+    null,
+    `INSERT INTO notlar (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`,
+    columns.map((column) => grade[column])
+  );
+  return { message: 'Not başarıyla eklendi', id: lastID };
+}
+
+async function updateGrade(id, fields) {
+  await checkReferences(fields);
+
+  const columns = GRADE_COLUMNS.filter((column) => fields[column] !== undefined);
+  const { changes } = await auditedRun(
+    'notlar',
+    id,
+    `UPDATE notlar SET ${columns.map((column) => `${column} = ?`).join(', ')} WHERE id = ?`,
+    [...columns.map((column) => fields[column]), id]
+  );
+  if (changes === 0) {
+    throw httpError(404, 'Not bulunamadı');
+  }
+  return { message: 'Not başarıyla güncellendi', changes };
+}
+
+async function deleteGrade(id) {
+  const { changes } = await auditedRun('notlar', id, `DELETE FROM notlar WHERE id = ?`, [id]);
+  if (changes === 0) {
+    throw httpError(404, 'Not bulunamadı');
+  }
+  return { message: 'Not başarıyla silindi', changes };
+}
+
+// Listedeki öğrencilerin tekrarsız olduğunu ve hepsinin sınıfta aktif kayıtlı olduğunu doğrular
+async function checkStudentsInClass(sinifId, ogrenciIds) {
+  const tekrarlanan = ogrenciIds.filter((id, index) => ogrenciIds.indexOf(id) !== index);
+  if (tekrarlanan.length > 0) {
+    throw httpError(400, `Aynı öğrenci listede birden fazla kez var: ${[...new Set(tekrarlanan)].join(', ')}`);
+  }
+
+  if (!(await dbGet(`SELECT id FROM siniflar WHERE id = ? AND aktif = 1`, [sinifId]))) {
+    throw httpError(404, 'Sınıf bulunamadı');
+  }
+
+  const sinifOgrencileri = await dbAll(`SELECT id FROM ogrenciler WHERE sinif_id = ? AND aktif = 1`, [sinifId]);
+  const sinifOgrenciIds = new Set(sinifOgrencileri.map((row) => row.id));
+  const sinifDisi = ogrenciIds.filter((id) => !sinifOgrenciIds.has(id));
+  if (sinifDisi.length > 0) {
+    throw httpError(400, `Bu öğrenciler sınıfta kayıtlı değil: ${sinifDisi.join(', ')}`);
+  }
+}
+
+// Bir sınıfın sınav sonuçlarını tek transaction içinde kaydeder; biri hatalıysa hiçbiri yazılmaz
+async function createGradesBulk({ sinif_id, notlar, ...ortak }) {
+  await checkReferences(ortak);
+
+  await checkStudentsInClass(sinif_id, notlar.map((not) => not.ogrenci_id));
+
+  const ids = await withTransaction(async () => {
+    const inserted = [];
+    for (const not of notlar) {
+      const grade = { ...ortak, ...not, aciklama: not.aciklama ?? ortak.aciklama };
+      const columns = GRADE_COLUMNS.filter((column) => grade[column] !== undefined);
+      const { lastID } = await auditedRun(
+        'notlar',
+        null,
+        `INSERT INTO notlar (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`,
+        columns.map((column) => grade[column])
+      );
+      inserted.push(lastID);
+    }
+    return inserted;
+  });
+
+  return { message: `${ids.length} not başarıyla eklendi`, ids };
+}
+
+// Attendance API Functions
+
+// Sınıf yoklamasını tek transaction içinde kaydeder.
+// Aynı öğrenci, ders ve tarih için zaten kayıt varsa o öğrenci atlanır.
+async function recordAttendance({ sinif_id, ders_id, tarih, ogretmen_id, devamsizlik_turu, devamsizlar }) {
+  await checkReferences({ ders_id, ogretmen_id });
+  await checkStudentsInClass(sinif_id, devamsizlar.map((devamsiz) => devamsiz.ogrenci_id));
+
+  const sonuc = await withTransaction(async () => {
+    const eklenen = [];
+    const atlanan = [];
+    for (const devamsiz of devamsizlar) {
+      const mevcut = await dbGet(
+        `SELECT id FROM devamsizlik WHERE ogrenci_id = ? AND ders_id = ? AND tarih = ?`,
+        [devamsiz.ogrenci_id, ders_id, tarih]
+      );
+      if (mevcut) {
+        atlanan.push(devamsiz.ogrenci_id);
+        continue;
+      }
+
+      const { lastID } = await auditedRun(
+        'devamsizlik',
+        null,
+        `INSERT INTO devamsizlik (ogrenci_id, ders_id, tarih, devamsizlik_turu, aciklama, ogretmen_id)
+         VALUES (?, ?, ?, ?, ?, ?)`,
+        [
+          devamsiz.ogrenci_id,
+          ders_id,
+          tarih,
+          devamsiz.devamsizlik_turu || devamsizlik_turu,
+          devamsiz.aciklama,
+          ogretmen_id,
+        ]
+      );
+      eklenen.push(lastID);
+    }
+    return { eklenen, atlanan };
+  });
+
+  return {
+    message: `${sonuc.eklenen.length} devamsızlık kaydedildi, ${sonuc.atlanan.length} tekrar eden kayıt atlandı`,
+    ids: sonuc.eklenen,
+    atlanan_ogrenciler: sonuc.atlanan,
+  };
+}
+
+// Payment API Functions
+const roundAmount = (value) => Math.round((value || 0) * 100) / 100;
+
+async function createCharge({ ogrenci_id, odeme_turu, tutar, vade_tarihi, odeme_tarihi, aciklama }) {
+  await checkReferences({ ogrenci_id });
+
+  const { lastID } = await auditedRun(
+    'odemeler',
+    null,
+    `INSERT INTO odemeler (ogrenci_id, odeme_turu, tutar, odeme_tarihi, vade_tarihi, odendi, aciklama)
+     VALUES (?, ?, ?, COALESCE(?, date('now')), ?, 0, ?)`,
+    [ogrenci_id, odeme_turu, tutar, odeme_tarihi, vade_tarihi, aciklama]
+  );
+  return { message: 'Borç başarıyla oluşturuldu', id: lastID };
+}
+
+// Sadece ödenmemiş borç güncellenir; aynı borç iki kez ödenemez
+async function recordPayment(id, { odeme_yontemi, tahsil_tarihi }) {
+  const { changes } = await auditedRun(
+    'odemeler',
+    id,
+    `UPDATE odemeler SET odendi = 1, odeme_yontemi = ?, tahsil_tarihi = COALESCE(?, date('now')) WHERE id = ? AND odendi = 0`,
+    [odeme_yontemi, tahsil_tarihi, id]
+  );
+  if (changes === 0) {
+    const odeme = await dbGet(`SELECT id FROM odemeler WHERE id = ?`, [id]);
+    throw odeme ? httpError(409, 'Bu borç zaten ödenmiş') : httpError(404, 'Ödeme kaydı bulunamadı');
+  }
+  return { message: 'Ödeme başarıyla kaydedildi', changes };
+}
+
+async function getOverduePayments(sinifId) {
+  return dbAll(
+    `SELECT
+       p.*,
+       o.ad,
+       o.soyad,
+       o.veli_adi,
+       o.veli_telefonu,
+       s.sinif_adi,
+       s.sube,
+       CAST(julianday('now') - julianday(p.vade_tarihi) AS INTEGER) as gecikme_gun
+     FROM odemeler p
+     JOIN ogrenciler o ON p.ogrenci_id = o.id
+     LEFT JOIN siniflar s ON o.sinif_id = s.id
+     WHERE p.odendi = 0
+     AND p.vade_tarihi < date('now')
+     AND (? IS NULL OR o.sinif_id = ?)
+     ORDER BY p.vade_tarihi`,
+    [sinifId ?? null, sinifId ?? null]
+  );
+}
+
+async function getStudentBalance(id) {
+  // Kaydı silinmiş öğrencinin de borcu kalabilir, bu yüzden aktif kontrolü yapılmaz
+  if (!(await dbGet(`SELECT id FROM ogrenciler WHERE id = ?`, [id]))) {
+    throw httpError(404, 'Öğrenci bulunamadı');
+  }
+
+  const rows = await dbAll(
+    `SELECT
+       odeme_turu,
+       SUM(tutar) as toplam_borc,
+       SUM(CASE WHEN odendi = 1 THEN tutar ELSE 0 END) as odenen,
+       SUM(CASE WHEN odendi = 0 THEN tutar ELSE 0 END) as kalan
+     FROM odemeler
+     WHERE ogrenci_id = ?
+     GROUP BY odeme_turu
+     ORDER BY odeme_turu`,
+    [id]
+  );
+
+  const turlere_gore = rows.map((row) => ({
+    odeme_turu: row.odeme_turu,
+    toplam_borc: roundAmount(row.toplam_borc),
+    odenen: roundAmount(row.odenen),
+    kalan: roundAmount(row.kalan),
+  }));
+
+  return {
+    ogrenci_id: id,
+    toplam_borc: roundAmount(turlere_gore.reduce((sum, row) => sum + row.toplam_borc, 0)),
+    odenen: roundAmount(turlere_gore.reduce((sum, row) => sum + row.odenen, 0)),
+    kalan: roundAmount(turlere_gore.reduce((sum, row) => sum + row.kalan, 0)),
+    turlere_gore,
+  };
+}
+
+// Schedule API Functions
+
+// Aynı dönemde aynı gün, aynı öğretmenin veya aynı sınıfın saatleri çakışan başka bir dersi var mı?
+async function checkScheduleClash(slot, excludeId = null) {
+  if (slot.baslama_saati >= slot.bitis_saati) {
+    throw httpError(400, 'Bitiş saati başlama saatinden sonra olmalı');
+  }
+
+  const cakisanlar = await dbAll(
+    `SELECT
+       dp.*,
+       d.ders_adi,
+       s.sinif_adi,
+       s.sube,
+       t.ad || ' ' || t.soyad as ogretmen_adi
+     FROM ders_programi dp
+     JOIN dersler d ON dp.ders_id = d.id
+     JOIN siniflar s ON dp.sinif_id = s.id
+     JOIN ogretmenler t ON dp.ogretmen_id = t.id
+     WHERE dp.aktif = 1
+     AND dp.id IS NOT ?
+     AND dp.donem = ?
+     AND dp.gun = ?
+     AND (dp.ogretmen_id = ? OR dp.sinif_id = ?)
+     AND dp.baslama_saati < ?
+     AND dp.bitis_saati > ?`,
+    [excludeId, slot.donem, slot.gun, slot.ogretmen_id, slot.sinif_id, slot.bitis_saati, slot.baslama_saati]
+  );
+
+  if (cakisanlar.length > 0) {
+    const aciklama = cakisanlar.map((c) => (
+      `${c.gun} ${c.baslama_saati}-${c.bitis_saati} ${c.sinif_adi} ${c.sube} ${c.ders_adi} (${c.ogretmen_adi})`
+    ));
+    throw Object.assign(httpError(409, `Ders programı çakışması: ${aciklama.join('; ')}`), { cakisanlar });
+  }
+}
+
+// Çakışma kontrolü ve yazma aynı transaction'dadır; aynı anda gelen iki istek aynı saati birlikte alamaz
+async function createScheduleSlot(slot) {
+  const { lastID } = await withTransaction(async () => {
+    await checkReferences(slot);
+    await checkScheduleClash(slot);
+    return auditedRun(
+      'ders_programi',
+      null,
+      `INSERT INTO ders_programi (${SCHEDULE_COLUMNS.join(', ')}) VALUES (${SCHEDULE_COLUMNS.map(() => '?').join(', ')})`,
+      SCHEDULE_COLUMNS.map((column) => slot[column])
+    );
+  });
+  return { message: 'Ders programına eklendi', id: lastID };
+}
+
+async function updateScheduleSlot(id, fields) {
+  const { changes } = await withTransaction(async () => {
+    const mevcut = await dbGet(`SELECT * FROM ders_programi WHERE id = ? AND aktif = 1`, [id]);
+    if (!mevcut) {
+      throw httpError(404, 'Ders programı kaydı bulunamadı');
+    }
+
+    const columns = SCHEDULE_COLUMNS.filter((column) => fields[column] !== undefined);
+    if (columns.length === 0) {
+      throw httpError(400, 'Güncellenecek alan bulunamadı');
+    }
+
+    await checkReferences(fields);
+    await checkScheduleClash({ ...mevcut, ...fields }, mevcut.id);
+
+    return auditedRun(
+      'ders_programi',
+      id,
+      `UPDATE ders_programi SET ${columns.map((column) => `${column} = ?`).join(', ')} WHERE id = ?`,
+      [...columns.map((column) => fields[column]), id]
+    );
+  });
+  return { message: 'Ders programı güncellendi', changes };
+}
+
+async function deleteScheduleSlot(id) {
+  const { changes } = await auditedRun('ders_programi', id, `UPDATE ders_programi SET aktif = 0 WHERE id = ? AND aktif = 1`, [id]);
+  if (changes === 0) {
+    throw httpError(404, 'Ders programı kaydı bulunamadı');
+  }
+  return { message: 'Ders programından silindi', changes };
+}
+
+// Sınıfın veya öğretmenin haftalık programını günlere göre gruplar
+async function getWeeklySchedule({ sinif_id, ogretmen_id, donem, gun }) {
+  const rows = await dbAll(
+    `SELECT
+       dp.id,
+       dp.gun,
+       dp.baslama_saati,
+       dp.bitis_saati,
+       dp.donem,
+       dp.sinif_id,
+       s.sinif_adi,
+       s.sube,
+       dp.ders_id,
+       d.ders_adi,
+       d.ders_kodu,
+       dp.ogretmen_id,
+       t.ad || ' ' || t.soyad as ogretmen_adi
+     FROM ders_programi dp
+     JOIN dersler d ON dp.ders_id = d.id
+     JOIN siniflar s ON dp.sinif_id = s.id
+     JOIN ogretmenler t ON dp.ogretmen_id = t.id
+     WHERE dp.aktif = 1
+     AND (? IS NULL OR dp.sinif_id = ?)
+     AND (? IS NULL OR dp.ogretmen_id = ?)
+     AND (? IS NULL OR dp.donem = ?)
+     AND (? IS NULL OR dp.gun = ?)
+     ORDER BY dp.baslama_saati`,
+    [
+      sinif_id ?? null, sinif_id ?? null,
+      ogretmen_id ?? null, ogretmen_id ?? null,
+      donem ?? null, donem ?? null,
+      gun ?? null, gun ?? null,
+    ]
+  );
+
+  const gunler = {};
+  for (const gunAdi of GUNLER) {
+    const dersler = rows.filter((row) => row.gun === gunAdi);
+    if (dersler.length > 0) {
+      gunler[gunAdi] = dersler;
+    }
+  }
+  return { donem: donem ?? null, toplam_ders: rows.length, gunler };
+}
+
+// Grading Functions
+const round2 = (value) => Math.round(value * 100) / 100;
+
+// Not tarihinden dönemi bulur: Eylül-Ocak Güz, Şubat-Ağustos Bahar (örn. "2024-2025 Güz")
+function donemOf(tarih) {
+  const [yil, ay] = tarih.split('-').map(Number);
+  if (ay >= 9) {
+    return `${yil}-${yil + 1} Güz`;
+  }
+  if (ay === 1) {
+    return `${yil - 1}-${yil} Güz`;
+  }
+  return `${yil - 1}-${yil} Bahar`;
+}
+
+// Bir dersin notlarından politikaya göre ağırlıklı ortalama hesaplar.
+// Notu girilmemiş sınav türlerinin ağırlığı, girilmiş türlere oransal olarak dağıtılır.
+function weightedCourseAverage(notlar) {
+  const turlere_gore = {};
+  for (const not of notlar) {
+    (turlere_gore[not.sinav_turu] ??= []).push(not.not_degeri);
+  }
+
+  let toplamAgirlik = 0;
+  let toplam = 0;
+  const sinav_turleri = Object.entries(turlere_gore).map(([sinav_turu, degerler]) => {
+    const ortalama = degerler.reduce((sum, value) => sum + value, 0) / degerler.length;
+    const agirlik = gradingPolicy.agirliklar[sinav_turu] ?? 0;
+    toplamAgirlik += agirlik;
+    toplam += agirlik * ortalama;
+    return { sinav_turu, not_sayisi: degerler.length, ortalama: round2(ortalama), agirlik };
+  });
+
+  return {
+    ortalama: toplamAgirlik > 0 ? round2(toplam / toplamAgirlik) : null,
+    sinav_turleri,
+  };
+}
+
+// Kredi ağırlıklı genel ortalama
+function creditWeightedAverage(dersler) {
+  const notluDersler = dersler.filter((ders) => ders.ders_ortalama !== null);
+  const toplamKredi = notluDersler.reduce((sum, ders) => sum + ders.kredi, 0);
+  if (toplamKredi === 0) {
+    return 0;
+  }
+  return round2(notluDersler.reduce((sum, ders) => sum + ders.kredi * ders.ders_ortalama, 0) / toplamKredi);
+}
+
+async function getStudentGradeRows(ogrenciId) {
+  return dbAll(
+    `SELECT
+       n.ders_id,
+       d.ders_adi,
+       d.ders_kodu,
+       d.kredi,
+       n.sinav_turu,
+       n.not_degeri,
+       n.tarih
+     FROM notlar n
+     JOIN dersler d ON n.ders_id = d.id
+     WHERE n.ogrenci_id = ?
+     ORDER BY d.ders_kodu, n.tarih`,
+    [ogrenciId]
+  );
+}
+
+// Notları derslere göre gruplayıp ders ortalamalarını ve geçti/kaldı durumunu hesaplar
+function summarizeCourses(rows) {
+  const derslerMap = new Map();
+  for (const row of rows) {
+    if (!derslerMap.has(row.ders_id)) {
+      derslerMap.set(row.ders_id, {
+        ders_id: row.ders_id,
+        ders_adi: row.ders_adi,
+        ders_kodu: row.ders_kodu,
+        kredi: row.kredi,
+        notlar: [],
+      });
+    }
+    derslerMap.get(row.ders_id).notlar.push(row);
+  }
+
+  return [...derslerMap.values()].map(({ notlar, ...ders }) => {
+    const { ortalama, sinav_turleri } = weightedCourseAverage(notlar);
+    return {
+      ...ders,
+      toplam_not: notlar.length,
+      ders_ortalama: ortalama,
+      durum: ortalama === null ? 'Belirsiz' : (ortalama >= gradingPolicy.gecme_notu ? 'Geçti' : 'Kaldı'),
+      sinav_turleri,
+    };
+  });
+}
+
+async function calculateWeightedAverages(ogrenciId) {
+  if (!(await dbGet(`SELECT id FROM ogrenciler WHERE id = ?`, [ogrenciId]))) {
+    throw httpError(404, 'Öğrenci bulunamadı');
+  }
+  const dersler = summarizeCourses(await getStudentGradeRows(ogrenciId))
+    .sort((a, b) => (b.ders_ortalama ?? -1) - (a.ders_ortalama ?? -1));
+  return { genel_ortalama: creditWeightedAverage(dersler), dersler };
+}
+
+// Dönem dönem ders sonuçları, geçti/kaldı ve dönem ortalamaları
+async function getStudentTranscript(ogrenciId, donem = null) {
+  const ogrenci = await dbGet(
+    `SELECT o.id, o.ad, o.soyad, o.tc_no, s.sinif_adi, s.sube
+     FROM ogrenciler o
+     LEFT JOIN siniflar s ON o.sinif_id = s.id
+     WHERE o.id = ?`,
+    [ogrenciId]
+  );
+  if (!ogrenci) {
+    throw httpError(404, 'Öğrenci bulunamadı');
+  }
+
+  const donemler = new Map();
+  for (const row of await getStudentGradeRows(ogrenciId)) {
+    const rowDonem = donemOf(row.tarih);
+    if (donem && rowDonem !== donem) {
+      continue;
+    }
+    if (!donemler.has(rowDonem)) {
+      donemler.set(rowDonem, []);
+    }
+    donemler.get(rowDonem).push(row);
+  }
+
+  const donemSonuclari = [...donemler.entries()]
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([donemAdi, rows]) => {
+      const dersler = summarizeCourses(rows);
+      return {
+        donem: donemAdi,
+        dersler,
+        donem_ortalamasi: creditWeightedAverage(dersler),
+        toplam_kredi: dersler.reduce((sum, ders) => sum + ders.kredi, 0),
+        kazanilan_kredi: dersler.filter((ders) => ders.durum === 'Geçti').reduce((sum, ders) => sum + ders.kredi, 0),
+      };
+    });
+
+  const tumDersler = donemSonuclari.flatMap((sonuc) => sonuc.dersler);
+  return {
+    ogrenci,
+    donemler: donemSonuclari,
+    genel_ortalama: creditWeightedAverage(tumDersler),
+    not_politikasi: gradingPolicy,
+  };
+}
+
+// Report Card Functions
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// Dosya adları için Türkçe karakterleri ASCII'ye çevirir
+const slugify = (value) => String(value)
+  .replace(/[çÇ]/g, 'c').replace(/[ğĞ]/g, 'g').replace(/[ıİ]/g, 'i')
+  .replace(/[öÖ]/g, 'o').replace(/[şŞ]/g, 's').replace(/[üÜ]/g, 'u')
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, '-')
+  .replace(/^-|-$/g, '');
+
+const formatScore = (value) => (value === null || value === undefined ? '-' : String(value));
+
+// Karnede gösterilecek öğrenci, sınıf, not ve devamsızlık bilgilerini toplar
+async function getReportCardData(ogrenciId, donem = null) {
+  const ogrenci = await dbGet(
+    `SELECT
+       o.id, o.ad, o.soyad, o.tc_no, o.dogum_tarihi,
+       s.sinif_adi, s.seviye, s.sube,
+       t.ad || ' ' || t.soyad as sinif_ogretmeni
+     FROM ogrenciler o
+     LEFT JOIN siniflar s ON o.sinif_id = s.id
+     LEFT JOIN ogretmenler t ON s.ogretmen_id = t.id
+     WHERE o.id = ?`,
+    [ogrenciId]
+  );
+  if (!ogrenci) {
+    throw httpError(404, 'Öğrenci bulunamadı');
+  }
+
+  const inDonem = (row) => !donem || donemOf(row.tarih) === donem;
+
+  const dersler = summarizeCourses((await getStudentGradeRows(ogrenciId)).filter(inDonem));
+  const devamsizliklar = (await dbAll(
+    `SELECT tarih, devamsizlik_turu FROM devamsizlik WHERE ogrenci_id = ?`,
+    [ogrenciId]
+  )).filter(inDonem);
+
+  const devamsizlik = { toplam: devamsizliklar.length };
+  for (const tur of DEVAMSIZLIK_TURLERI) {
+    devamsizlik[tur] = devamsizliklar.filter((row) => row.devamsizlik_turu === tur).length;
+  }
+
+  return {
+    ogrenci,
+    donem: donem || 'Tüm dönemler',
+    dersler,
+    ortalama: creditWeightedAverage(dersler),
+    devamsizlik,
+    olusturma_tarihi: new Date().toISOString().slice(0, 10),
+  };
+}
+
+function renderReportCardHtml(karne) {
+  const { ogrenci, dersler, devamsizlik } = karne;
+  const turOrtalamasi = (ders, tur) => formatScore(ders.sinav_turleri.find((t) => t.sinav_turu === tur)?.ortalama);
+
+  const satirlar = dersler.map((ders) => `
+        <tr>
+          <td>${escapeHtml(ders.ders_kodu)}</td>
+          <td>${escapeHtml(ders.ders_adi)}</td>
+          <td>${ders.kredi}</td>
+          ${SINAV_TURLERI.map((tur) => `<td>${turOrtalamasi(ders, tur)}</td>`).join('')}
+          <td><strong>${formatScore(ders.ders_ortalama)}</strong></td>
+          <td>${escapeHtml(ders.durum)}</td>
+        </tr>`).join('');
+
+  return `<!DOCTYPE html>
+<html lang="tr">
+<head>
+  <meta charset="utf-8">
+  <title>Karne - ${escapeHtml(ogrenci.ad)} ${escapeHtml(ogrenci.soyad)}</title>
+  <style>
+    body { font-family: "DejaVu Sans", Arial, sans-serif; margin: 2em; color: #222; }
+    h1 { text-align: center; margin-bottom: 0.2em; }
+    .donem { text-align: center; color: #555; margin-top: 0; }
+    table { border-collapse: collapse; width: 100%; margin: 1em 0; }
+    th, td { border: 1px solid #999; padding: 4px 8px; text-align: center; }
+    th { background: #eee; }
+    .bilgi td { border: none; text-align: left; padding: 2px 8px; }
+    @media print { body { margin: 0; } }
+  </style>
+</head>
+<body>
+  <h1>Öğrenci Karnesi</h1>
+  <p class="donem">${escapeHtml(karne.donem)}</p>
+  <table class="bilgi">
+    <tr><td><strong>Adı Soyadı:</strong> ${escapeHtml(ogrenci.ad)} ${escapeHtml(ogrenci.soyad)}</td>
+        <td><strong>Öğrenci No:</strong> ${ogrenci.id}</td></tr>
+    <tr><td><strong>Sınıf:</strong> ${escapeHtml(ogrenci.sinif_adi ?? '-')} ${escapeHtml(ogrenci.sube ?? '')}</td>
+        <td><strong>Sınıf Öğretmeni:</strong> ${escapeHtml(ogrenci.sinif_ogretmeni ?? '-')}</td></tr>
+  </table>
+  <table>
+    <thead>
+      <tr>
+        <th>Kod</th><th>Ders</th><th>Kredi</th>
+        ${SINAV_TURLERI.map((tur) => `<th>${tur}</th>`).join('')}
+        <th>Ortalama</th><th>Durum</th>
+      </tr>
+    </thead>
+    <tbody>${satirlar || `
+        <tr><td colspan="${SINAV_TURLERI.length + 5}">Bu dönem için not bulunmuyor</td></tr>`}
+    </tbody>
+  </table>
+  <p><strong>Dönem Ortalaması:</strong> ${karne.ortalama.toFixed(2)}</p>
+  <p><strong>Devamsızlık:</strong>
+    ${DEVAMSIZLIK_TURLERI.map((tur) => `${tur}: ${devamsizlik[tur]}`).join(', ')} (Toplam: ${devamsizlik.toplam})</p>
+  <p><small>Oluşturma tarihi: ${karne.olusturma_tarihi}</small></p>
+</body>
+</html>
+`;
+}
+
+function renderReportCardPdf(karne) {
+  return new Promise((resolve, reject) => {
+    const { ogrenci, dersler, devamsizlik } = karne;
+    const doc = new PDFDocument({ size: 'A4', layout: 'landscape', margin: 40 });
+    const chunks = [];
+    doc.on('data', (chunk) => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    doc.registerFont('normal', PDF_FONT);
+    doc.registerFont('bold', PDF_FONT_BOLD);
+
+    doc.font('bold').fontSize(18).text('Öğrenci Karnesi', { align: 'center' });
+    doc.font('normal').fontSize(11).text(karne.donem, { align: 'center' }).moveDown();
+
+    doc.text(`Adı Soyadı: ${ogrenci.ad} ${ogrenci.soyad}        Öğrenci No: ${ogrenci.id}`);
+    doc.text(`Sınıf: ${ogrenci.sinif_adi ?? '-'} ${ogrenci.sube ?? ''}        Sınıf Öğretmeni: ${ogrenci.sinif_ogretmeni ?? '-'}`);
+    doc.moveDown();
+
+    const basliklar = ['Kod', 'Ders', 'Kredi', ...SINAV_TURLERI, 'Ortalama', 'Durum'];
+    const genislikler = [60, 130, 40, ...SINAV_TURLERI.map(() => 50), 60, 60];
+    const satir = (degerler, font) => {
+      doc.font(font).fontSize(9);
+      // Uzun ders adı alt satıra kayabilir; satır yüksekliği en uzun hücreye göre
+      const yukseklik = Math.max(16, ...degerler.map((deger, index) => (
+        doc.heightOfString(String(deger), { width: genislikler[index] }) + 4
+      )));
+      // Sayfa sonuna gelindiyse tablo yeni sayfada başlıkla devam eder
+      if (doc.y + yukseklik > doc.page.height - doc.page.margins.bottom) {
+        doc.addPage();
+        if (degerler !== basliklar) {
+          satir(basliklar, 'bold');
+          doc.font(font).fontSize(9);
+        }
+      }
+
+      let x = doc.page.margins.left;
+      const y = doc.y;
+      degerler.forEach((deger, index) => {
+        doc.text(String(deger), x, y, { width: genislikler[index], align: index === 1 ? 'left' : 'center' });
+        x += genislikler[index];
+      });
+      doc.x = doc.page.margins.left;
+      doc.y = y + yukseklik;
+    };
+
+    satir(basliklar, 'bold');
+    for (const ders of dersler) {
+      satir([
+        ders.ders_kodu,
+        ders.ders_adi,
+        ders.kredi,
+        ...SINAV_TURLERI.map((tur) => formatScore(ders.sinav_turleri.find((t) => t.sinav_turu === tur)?.ortalama)),
+        formatScore(ders.ders_ortalama),
+        ders.durum,
+      ], 'normal');
+    }
+    if (dersler.length === 0) {
+      satir(['', 'Bu dönem için not bulunmuyor'], 'normal');
+    }
+
+    doc.moveDown();
+    doc.font('bold').fontSize(11).text(`Dönem Ortalaması: ${karne.ortalama.toFixed(2)}`);
+    doc.font('normal').text(
+      `Devamsızlık: ${DEVAMSIZLIK_TURLERI.map((tur) => `${tur}: ${devamsizlik[tur]}`).join(', ')} (Toplam: ${devamsizlik.toplam})`
+    );
+    doc.moveDown().fontSize(8).text(`Oluşturma tarihi: ${karne.olusturma_tarihi}`);
+    doc.end();
+  });
+}
+
+// Karneyi istenen formatta üretir: { filename, mimeType, body }
+async function buildReportCard(ogrenciId, { donem, format = 'html' } = {}) {
+  const karne = await getReportCardData(ogrenciId, donem);
+  const filename = `karne-${karne.ogrenci.id}-${slugify(`${karne.ogrenci.ad} ${karne.ogrenci.soyad}`)}.${format}`;
+
+  if (format === 'pdf') {
+    return { filename, mimeType: 'application/pdf', body: await renderReportCardPdf(karne) };
+  }
+  return { filename, mimeType: 'text/html', body: renderReportCardHtml(karne) };
+}
+
+// Student Import Functions
+
+// Dosya başlıklarının ogrenciler kolonlarına eşlenmesi (slugify edilmiş başlık -> kolon)
+const STUDENT_IMPORT_HEADERS = {
+  tc_no: 'tc_no',
+  tc: 'tc_no',
+  tc_kimlik_no: 'tc_no',
+  ad: 'ad',
+  adi: 'ad',
+  soyad: 'soyad',
+  soyadi: 'soyad',
+  dogum_tarihi: 'dogum_tarihi',
+  cinsiyet: 'cinsiyet',
+  telefon: 'telefon',
+  email: 'email',
+  e_posta: 'email',
+  eposta: 'email',
+  adres: 'adres',
+  veli_adi: 'veli_adi',
+  veli: 'veli_adi',
+  veli_telefonu: 'veli_telefonu',
+  veli_telefon: 'veli_telefonu',
+  sinif_id: 'sinif_id',
+};
+
+function mapImportRow(raw) {
+  const row = {};
+  for (const [header, value] of Object.entries(raw)) {
+    const column = STUDENT_IMPORT_HEADERS[slugify(header).replace(/-/g, '_')];
+    if (column) {
+      row[column] = typeof value === 'string' ? value.trim() : value;
+    }
+  }
+  if (typeof row.cinsiyet === 'string') {
+    row.cinsiyet = row.cinsiyet.toLocaleUpperCase('tr-TR');
+  }
+  return row;
+}
+
+// XLSX hücre değerini düz değere çevirir (tarih, formül, zengin metin)
+function excelCellValue(value) {
+  if (value instanceof Date) {
+    return value.toISOString().slice(0, 10);
+  }
+  if (value && typeof value === 'object') {
+    if ('result' in value) return excelCellValue(value.result);
+    if ('text' in value) return value.text;
+    if ('richText' in value) return value.richText.map((part) => part.text).join('');
+  }
+  return value;
+}
+
+// CSV (virgül veya noktalı virgül ayraçlı) ya da XLSX dosyasını satır nesnelerine çevirir
+async function parseStudentFile(buffer, format) {
+  if (format === 'csv') {
+    try {
+      return parseCsv(buffer, {
+        bom: true,
+        columns: true,
+        delimiter: [',', ';'],
+        skip_empty_lines: true,
+        trim: true,
+      });
+    } catch (err) {
+      throw httpError(400, `CSV okunamadı: ${err.message}`);
+    }
+  }
+
+  const workbook = new ExcelJS.Workbook();
+  try {
+    await workbook.xlsx.load(buffer);
+  } catch (err) {
+    throw httpError(400, `XLSX okunamadı: ${err.message}`);
+  }
+  const sheet = workbook.worksheets[0];
+  if (!sheet) {
+    return [];
+  }
+
+  const headers = [];
+  sheet.getRow(1).eachCell((cell, col) => {
+    headers[col] = String(excelCellValue(cell.value) ?? '');
+  });
+
+  const rows = [];
+  sheet.eachRow((sheetRow, rowNumber) => {
+    if (rowNumber === 1) return;
+    const raw = {};
+    sheetRow.eachCell((cell, col) => {
+      if (headers[col]) {
+        raw[headers[col]] = excelCellValue(cell.value);
+      }
+    });
+    rows.push(raw);
+  });
+  return rows;
+}
+
+// Satırları doğrular ve eklenecek/güncellenecek kayıtları belirler (sınıf kontenjanları ve mevcut öğrenciler okunur)
+async function planStudentImport(rawRows) {
+  const siniflar = new Map((await dbAll(
+    `SELECT s.id, s.sinif_adi, s.sube, s.kontenjan,
+       (SELECT COUNT(*) FROM ogrenciler o WHERE o.sinif_id = s.id AND o.aktif = 1) as mevcut
+     FROM siniflar s
+     WHERE s.aktif = 1`
+  )).map((sinif) => [sinif.id, sinif]));
+  const mevcutOgrenciler = new Map((await dbAll(
+    `SELECT id, tc_no, sinif_id, aktif FROM ogrenciler`
+  )).map((ogrenci) => [ogrenci.tc_no, ogrenci]));
+
+  const dosyadakiTcNolar = new Map();
+  return rawRows.map((raw, index) => {
+    // Başlık satırı 1. satır olduğu için veri satırları 2'den başlar
+    const satir = index + 2;
+    const mapped = mapImportRow(raw);
+    const parsed = StudentImportRowSchema.safeParse(mapped);
+    if (!parsed.success) {
+      return {
+        satir,
+        tc_no: mapped.tc_no ?? null,
+        islem: 'hata',
+        hatalar: parsed.error.issues.map((issue) => `${issue.path.join('.')}: ${issue.message}`),
+      };
+    }
+
+    // Dosyada boş bırakılan alanlar güncellemede mevcut değeri ezmez
+    const ogrenci = Object.fromEntries(Object.entries(parsed.data).filter(([, value]) => value !== undefined));
+    const hatalar = [];
+    if (dosyadakiTcNolar.has(ogrenci.tc_no)) {
+      hatalar.push(`tc_no dosyada tekrar ediyor (satır ${dosyadakiTcNolar.get(ogrenci.tc_no)})`);
+    } else {
+      dosyadakiTcNolar.set(ogrenci.tc_no, satir);
+    }
+
+    const mevcut = mevcutOgrenciler.get(ogrenci.tc_no);
+    if (!mevcut && !isValidTcKimlikNo(ogrenci.tc_no)) {
+      hatalar.push('tc_no: Geçersiz TC Kimlik No');
+    }
+    if (ogrenci.sinif_id !== undefined) {
+      const sinif = siniflar.get(ogrenci.sinif_id);
+      if (!sinif) {
+        hatalar.push(`Bilinmeyen sinif_id: ${ogrenci.sinif_id}`);
+      } else if (!mevcut || !mevcut.aktif || mevcut.sinif_id !== ogrenci.sinif_id) {
+        // Sınıfa yeni katılan öğrenci kontenjandan düşülür
+        if (sinif.mevcut >= sinif.kontenjan) {
+          hatalar.push(`Sınıf kontenjanı dolu: ${sinif.sinif_adi} ${sinif.sube} (${sinif.mevcut}/${sinif.kontenjan})`);
+        } else {
+          sinif.mevcut += 1;
+        }
+      }
+    }
+
+    if (hatalar.length > 0) {
+      return { satir, tc_no: ogrenci.tc_no, islem: 'hata', hatalar };
+    }
+    // Pasif (silinmiş) öğrenci dosyada varsa yeniden aktif olur; raporda ayrıca belirtilir
+    return mevcut
+      ? { satir, tc_no: ogrenci.tc_no, islem: 'guncelle', id: mevcut.id, ...(!mevcut.aktif && { yeniden_aktif: true }), ogrenci }
+      : { satir, tc_no: ogrenci.tc_no, islem: 'ekle', ogrenci };
+  });
+}
+
+// Dry run değilse doğrulama ve yazma tek transaction'dadır: kontrol ile yazma arasında başka kayıt araya girmez.
+// Hatalı satır varsa hiçbir kayıt yazılmaz.
+async function importStudents(rawRows, { dryRun = true } = {}) {
+  if (dryRun) {
+    return importReport(await planStudentImport(rawRows), true);
+  }
+
+  return withTransaction(async () => {
+    const satirlar = await planStudentImport(rawRows);
+    const rapor = importReport(satirlar, false);
+    if (rapor.hatali > 0) {
+      const err = httpError(422, `${rapor.hatali} satırda hata var, hiçbir kayıt eklenmedi`);
+      err.details = rapor;
+      throw err;
+    }
+
+    for (const row of satirlar) {
+      const columns = Object.keys(row.ogrenci);
+      const values = columns.map((column) => row.ogrenci[column]);
+      if (row.islem === 'ekle') {
+        const result = await auditedRun(
+          'ogrenciler',
+          null,
+          `INSERT INTO ogrenciler (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`,
+          values
+        );
+        row.id = result.lastID;
+      } else {
+        // Dosyada bulunan öğrenci yeniden aktif hale gelir
+        await auditedRun(
+          'ogrenciler',
+          row.id,
+          `UPDATE ogrenciler SET ${columns.map((column) => `${column} = ?`).join(', ')}, aktif = 1 WHERE id = ?`,
+          [...values, row.id]
+        );
+      }
+    }
+    return importReport(satirlar, false);
+  });
+}
+
+function importReport(satirlar, dryRun) {
+  return {
+    dry_run: dryRun,
+    toplam_satir: satirlar.length,
+    eklenecek: satirlar.filter((row) => row.islem === 'ekle').length,
+    guncellenecek: satirlar.filter((row) => row.islem === 'guncelle').length,
+    yeniden_aktif_edilecek: satirlar.filter((row) => row.yeniden_aktif).length,
+    hatali: satirlar.filter((row) => row.islem === 'hata').length,
+    satirlar: satirlar.map(({ ogrenci, ...row }) => row),
+  };
+}
+
+// ======================
+// ÖZEL SORGU (custom_query) KORUMALARI
+// ======================
+
+// Rol başına sorgulanabilen tablolar ve okunamayan kolonlar ("tablo.kolon").
+// Öğretmen öğrenci tablolarını sadece kendi sınıfları için görebildiğinden bu tablolar serbest sorguya açılmaz.
+const CUSTOM_QUERY_ACCESS = {
+  admin: {
+    tablolar: ['ogrenciler', 'ogretmenler', 'siniflar', 'dersler', 'notlar', 'devamsizlik', 'odemeler', 'ders_programi'],
+    gizli_kolonlar: [],
+  },
+  ogretmen: {
+    tablolar: ['ogretmenler', 'siniflar', 'dersler', 'ders_programi'],
+    gizli_kolonlar: ['ogretmenler.maas'],
+  },
+};
+
+const CUSTOM_QUERY_LIMITS = {
+  maks_satir: Number(process.env.CUSTOM_QUERY_MAX_ROWS) || 1000,
+  zaman_asimi_ms: Number(process.env.CUSTOM_QUERY_TIMEOUT_MS) || 5000,
+  // Tahmini taranacak satır sayısı (iç içe tam taramaların satır sayıları çarpılır)
+  maks_maliyet: Number(process.env.CUSTOM_QUERY_MAX_COST) || 1000000,
+};
+
+// Derlenmiş sorguda bulunmaması gereken opcode'lar: yazma ve şema değişikliği
+const FORBIDDEN_OPCODES = new Set([
+  'OpenWrite', 'VUpdate', 'ParseSchema', 'CreateBtree', 'Destroy', 'Clear',
+  'DropTable', 'DropIndex', 'DropTrigger', 'Vacuum', 'IncrVacuum', 'JournalMode', 'SqlExec', 'Expire',
+]);
+const FORBIDDEN_FUNCTIONS = /^(sqlite_attach|sqlite_detach|load_extension)\(/;
+
+const connAll = (conn, query, params = []) => new Promise((resolve, reject) => {
+  conn.all(query, params, (err, rows) => (err ? reject(err) : resolve(rows)));
+});
+
+const quoteIdent = (name) => `"${name.replace(/"/g, '""')}"`;
+
+// Yorumları atar ve tek bir ifade olduğunu doğrular; string ve tırnaklı isimlerin içine bakılmaz
+function normalizeCustomQuery(query) {
+  const tokens = /'(?:[^']|'')*'|"(?:[^"]|"")*"|`[^`]*`|\[[^\]]*\]|--[^\n]*|\/\*[\s\S]*?(?:\*\/|$)|;|\s+|[^'"`[;\s/-]+|[\s\S]/g;
+  let sql = '';
+  let ended = false;
+  for (const [token] of query.matchAll(tokens)) {
+    if (token.startsWith('--') || token.startsWith('/*') || /^\s+$/.test(token)) {
+      sql += ' ';
+    } else if (token === ';') {
+      ended = true;
+    } else if (ended) {
+      throw httpError(400, 'Tek seferde sadece bir sorgu çalıştırılabilir');
+    } else {
+      sql += token;
+    }
+  }
+
+  sql = sql.trim();
+  if (!/^(SELECT|WITH)\b/i.test(sql)) {
+    throw httpError(400, 'Sadece SELECT (veya WITH ile başlayan) sorgular desteklenir');
+  }
+  return sql;
+}
+
+// Kök sayfa -> { tablo, kolonlar } (indekslerde kolonlar indeksteki sıraya göre)
+async function loadSchemaPages(conn) {
+  const pages = new Map([[1, { tablo: 'sqlite_master', kolonlar: [] }]]);
+  const objects = await connAll(conn, "SELECT type, name, tbl_name, rootpage FROM sqlite_master WHERE rootpage > 0");
+  for (const object of objects) {
+    const info = object.type === 'index'
+      ? await connAll(conn, `PRAGMA index_xinfo(${quoteIdent(object.name)})`)
+      : await connAll(conn, `PRAGMA table_info(${quoteIdent(object.name)})`);
+    const tableColumns = object.type === 'index'
+      ? (await connAll(conn, `PRAGMA table_info(${quoteIdent(object.tbl_name)})`)).map((column) => column.name)
+      : null;
+    pages.set(object.rootpage, {
+      tablo: object.tbl_name,
+      kolonlar: info.map((column) => (tableColumns ? tableColumns[column.cid] ?? 'rowid' : column.name)),
+    });
+  }
+  return pages;
+}
+
+// Döngüleri (Rewind ile başlayan tam taramalar) adres aralıklarına göre iç içe yerleştirir:
+// iç içe döngülerin satır sayıları çarpılır, art arda gelenler toplanır
+function estimateQueryCost(loops) {
+  const root = { son: Infinity, satir: 1, cocuklar: [] };
+  const stack = [root];
+  for (const loop of [...loops].sort((a, b) => a.bas - b.bas)) {
+    while (loop.bas >= stack[stack.length - 1].son) {
+      stack.pop();
+    }
+    const node = { ...loop, cocuklar: [] };
+    stack[stack.length - 1].cocuklar.push(node);
+    stack.push(node);
+  }
+  const cost = (node) => node.satir * Math.max(1, node.cocuklar.reduce((sum, child) => sum + cost(child), 0));
+  return cost(root);
+}
+
+// İndeksteki değerle karşılaştırma yapan opcode'lar (WHERE tc_no = ?, IN (SELECT tc_no ...) gibi aramalar)
+const INDEX_SEEK_OPCODES = new Set([
+  'SeekGE', 'SeekGT', 'SeekLE', 'SeekLT', 'SeekScan', 'Found', 'NotFound', 'NoConflict', 'IfNoHope',
+  'IdxGE', 'IdxGT', 'IdxLE', 'IdxLT',
+]);
+// Kolonun okunduğu yerle sonuç satırı arasında akış değişirse (coroutine, alt program, CASE) değer başka yerde de kullanılabilir
+const CONTROL_FLOW_OPCODES = new Set([
+  'Goto', 'Gosub', 'Return', 'Yield', 'InitCoroutine', 'EndCoroutine', 'Jump', 'Next', 'Prev', 'SorterNext', 'Halt',
+]);
+
+// Maskeli modda kişisel veri kolonları sonuca sadece doğrudan çıkabilir ki maskeleme sonuçtaki kolon adına göre yapılabilsin.
+// Column ile okunan register'ı ResultRow'dan önce başka bir işlem kullanıyorsa kolon bir ifade, filtre ya da gruplamada
+// kullanılıyordur ve sorgu reddedilir. ORDER BY'da değerler sıralanan kayıttan geri okunduğu için kaydın anahtar olmayan
+// alanları da izlenir; kişisel veriye göre sıralama ve bu kolonları içeren indekslerde arama da reddedilir.
+// Dönen liste: { sira, alan, kolon_sayisi } - sonuçtaki sira'ncı kolonun adı alan olmalı (bkz. assertMaskedColumnNames)
+function traceMaskedColumns(program, cursors) {
+  const korunan = new Set(Object.keys(piiPolicy.alanlar).filter((alan) => piiPolicy.alanlar[alan] !== 'goster'));
+  const reject = (alan) => {
+    throw httpError(403, `Kişisel veri kolonu (${alan}) maskeli modda sadece kendi adıyla seçilebilir; ifade, filtre, sıralama ya da gruplamada kullanılamaz`);
+  };
+  // Sıralanan geçici tablo/sorter ve ondan okuyan pseudo cursor -> (kayıttaki sıra -> alan)
+  const siraliAlanlar = new Map();
+  const cikislar = [];
+
+  program.forEach((op, index) => {
+    if (INDEX_SEEK_OPCODES.has(op.opcode) && cursors.has(op.p1)) {
+      const alan = cursors.get(op.p1).kolonlar.find((kolon) => korunan.has(kolon));
+      if (alan) {
+        reject(alan);
+      }
+    }
+    if (op.opcode === 'SorterData' && siraliAlanlar.has(op.p1)) {
+      siraliAlanlar.set(op.p3, siraliAlanlar.get(op.p1));
+      return;
+    }
+    if (op.opcode !== 'Column') {
+      return;
+    }
+    const alan = cursors.has(op.p1) ? cursors.get(op.p1).kolonlar[op.p2] : siraliAlanlar.get(op.p1)?.get(op.p2);
+    if (!korunan.has(alan)) {
+      return;
+    }
+
+    const register = op.p3;
+    const inRange = (start, count) => register >= start && register < start + count;
+    let next = index + 1;
+    while (next < program.length && !['ResultRow', 'MakeRecord'].includes(program[next].opcode)) {
+      const ara = program[next];
+      if (CONTROL_FLOW_OPCODES.has(ara.opcode)
+          || (ara.opcode === 'Column' ? ara.p3 === register : [ara.p1, ara.p2, ara.p3].includes(register))) {
+        break;
+      }
+      next += 1;
+    }
+
+    const hedef = program[next];
+    if (hedef?.opcode === 'ResultRow' && inRange(hedef.p1, hedef.p2)) {
+      cikislar.push({ sira: register - hedef.p1, alan, kolon_sayisi: hedef.p2 });
+      return;
+    }
+
+    // Kayıt sonradan sıralanan bir sorter'a ya da geçici indekse (ORDER BY ... LIMIT) yazılıyorsa
+    // ve kolon sıralama anahtarında değilse, değer oradan okunduğunda izlenmeye devam eder
+    const insert = program[next + 1];
+    const hedefCursor = insert?.p1;
+    const acilis = program.find((item) => ['SorterOpen', 'OpenEphemeral'].includes(item.opcode) && item.p1 === hedefCursor);
+    const anahtarSayisi = Number(/^k\((\d+),/.exec(acilis?.p4 ?? '')?.[1] ?? Infinity);
+    const sirali = program.some((item) => ['Sort', 'SorterSort'].includes(item.opcode) && item.p1 === hedefCursor);
+    if (hedef?.opcode === 'MakeRecord' && inRange(hedef.p1, hedef.p2)
+        && ['SorterInsert', 'IdxInsert'].includes(insert?.opcode) && insert.p2 === hedef.p3
+        && sirali && register - hedef.p1 >= anahtarSayisi) {
+      if (!siraliAlanlar.has(hedefCursor)) {
+        siraliAlanlar.set(hedefCursor, new Map());
+      }
+      siraliAlanlar.get(hedefCursor).set(register - hedef.p1, alan);
+      return;
+    }
+    reject(alan);
+  });
+  return cikislar;
+}
+
+// Doğrudan seçilen kişisel veri kolonları sonuçta kendi adını taşımalı (takma adla maskeden kaçırılamaz);
+// aynı adlı kolonlar tek anahtara düştüğünde sıra kaydığı için kolon sayısı da tutmalı
+function assertMaskedColumnNames(row, cikislar) {
+  const names = Object.keys(row);
+  const hatali = cikislar.find(({ sira, alan, kolon_sayisi }) => names.length !== kolon_sayisi || names[sira] !== alan);
+  if (hatali) {
+    throw httpError(403, `Kişisel veri kolonu (${hatali.alan}) maskeli modda takma adla seçilemez`);
+  }
+}
+
+// node-sqlite3 sqlite3_set_authorizer'ı dışarı açmadığından aynı kontrol sorgunun derlenmiş hâli (EXPLAIN) üzerinden yapılır:
+// OpenRead'in kök sayfasından okunan tablo, Column opcode'undan okunan kolon bulunur; görünümler ve CTE'ler de bu seviyede çözülmüş olur.
+// masked verilirse doğrudan seçilen kişisel veri kolonları döner (bkz. traceMaskedColumns).
+async function authorizeCustomQuery(conn, sql, params, principal, { masked = false } = {}) {
+  const access = CUSTOM_QUERY_ACCESS[principal?.rol];
+  if (!access) {
+    throw httpError(403, 'Özel sorgu çalıştırma yetkiniz yok');
+  }
+
+  const program = await connAll(conn, `EXPLAIN ${sql}`, params);
+  const pages = await loadSchemaPages(conn);
+  const cursors = new Map();
+  const loops = [];
+  const rowCounts = new Map();
+
+  for (const op of program) {
+    if (op.opcode === 'VOpen') {
+      throw httpError(403, 'Sanal tablolara (pragma_*, json_each vb.) sorgu izni yok');
+    }
+    if (FORBIDDEN_OPCODES.has(op.opcode) || (op.opcode === 'Transaction' && op.p2 !== 0)) {
+      throw httpError(403, `Sorgu salt okunur değil ya da izin verilmeyen bir işlem içeriyor (${op.opcode})`);
+    }
+    if ((op.opcode === 'Function' || op.opcode === 'PureFunc') && FORBIDDEN_FUNCTIONS.test(op.p4 ?? '')) {
+      throw httpError(403, `İzin verilmeyen fonksiyon: ${op.p4.replace(/\(.*$/, '')}`);
+    }
+
+    if (op.opcode === 'OpenRead') {
+      const page = pages.get(op.p2);
+      if (!page || !access.tablolar.includes(page.tablo)) {
+        throw httpError(403, `Bu tabloya sorgu izni yok: ${page?.tablo ?? `kök sayfa ${op.p2}`}`);
+      }
+      cursors.set(op.p1, page);
+    } else if (op.opcode === 'Column' && cursors.has(op.p1)) {
+      const page = cursors.get(op.p1);
+      const kolon = `${page.tablo}.${page.kolonlar[op.p2]}`;
+      if (access.gizli_kolonlar.includes(kolon)) {
+        throw httpError(403, `Bu kolona sorgu izni yok: ${kolon}`);
+      }
+    } else if ((op.opcode === 'Rewind' || op.opcode === 'Last') && cursors.has(op.p1)) {
+      const { tablo } = cursors.get(op.p1);
+      if (!rowCounts.has(tablo)) {
+        const [{ n }] = await connAll(conn, `SELECT MAX(rowid) AS n FROM ${quoteIdent(tablo)}`);
+        rowCounts.set(tablo, n || 0);
+      }
+      loops.push({ bas: op.addr, son: op.p2, satir: Math.max(1, rowCounts.get(tablo)) });
+    }
+  }
+
+  const tahmini_maliyet = estimateQueryCost(loops);
+  if (tahmini_maliyet > CUSTOM_QUERY_LIMITS.maks_maliyet) {
+    throw Object.assign(httpError(400, 'Sorgu çok maliyetli, filtre ya da indeksli bir koşul ekleyin'), {
+      details: { tahmini_maliyet, sinir: CUSTOM_QUERY_LIMITS.maks_maliyet },
+    });
+  }
+
+  return masked ? traceMaskedColumns(program, cursors) : [];
+}
+
+// Sorguyu ayrı, salt okunur bir bağlantıda çalıştırır: izin kontrolü, satır sınırı ve zaman aşımı ile.
+// Her sorgu kendi bağlantısını açar ki zaman aşımında interrupt() sadece o sorguyu kessin.
+// masked: sonuç kişisel veri politikasına göre maskelenecek (kişisel veri kolonları sadece kendi adıyla seçilebilir).
+async function runCustomQuery(principal, query, params = [], { masked = false } = {}) {
+  const sql = normalizeCustomQuery(query);
+  const conn = await new Promise((resolve, reject) => {
+    const opened = new sqlite3.Database('./database.db', sqlite3.OPEN_READONLY, (err) => (err ? reject(err) : resolve(opened)));
+  });
+  conn.configure('busyTimeout', 1000);
+
+  let timedOut = false;
+  const timer = setTimeout(() => {
+    timedOut = true;
+    conn.interrupt();
+  }, CUSTOM_QUERY_LIMITS.zaman_asimi_ms);
+
+  let statement = null;
+  try {
+    await connAll(conn, 'PRAGMA query_only = ON');
+    const kisiselKolonlar = await authorizeCustomQuery(conn, sql, params, principal, { masked });
+
+    statement = await new Promise((resolve, reject) => {
+      const prepared = conn.prepare(sql, params, (err) => (err ? reject(err) : resolve(prepared)));
+    });
+    const step = () => new Promise((resolve, reject) => {
+      statement.get((err, row) => (err ? reject(err) : resolve(row)));
+    });
+
+    const rows = [];
+    for (let row = await step(); row !== undefined; row = await step()) {
+      if (rows.length === 0 && kisiselKolonlar.length > 0) {
+        assertMaskedColumnNames(row, kisiselKolonlar);
+      }
+      if (rows.length === CUSTOM_QUERY_LIMITS.maks_satir) {
+        return { rows, kesildi: true };
+      }
+      rows.push(row);
+    }
+    return { rows, kesildi: false };
+  } catch (err) {
+    if (timedOut) {
+      throw httpError(408, `Sorgu ${CUSTOM_QUERY_LIMITS.zaman_asimi_ms} ms içinde tamamlanamadı ve durduruldu`);
+    }
+    if (!err.status && err.code === 'SQLITE_ERROR') {
+      err.status = 400;
+    }
+    throw err;
+  } finally {
+    clearTimeout(timer);
+    if (statement) {
+      await new Promise((resolve) => statement.finalize(resolve));
+    }
+    conn.close();
+  }
+}
+
+async function customQuery(principal, query, params = [], format = null, masker = null) {
+  const { rows, kesildi } = await runCustomQuery(principal, query, params, { masked: Boolean(masker && !masker.unmasked) });
+  const maskRows = masker ? masker.apply : (value) => value;
+
+  if (format) {
+    // Sonuç dosya olarak gömülü kaynak şeklinde döner
+    const file = await renderExport(format, maskRows(rows));
+    const { mimeType, extension } = EXPORT_FORMATS[format];
+    const uri = `export://sorgu-sonucu.${extension}`;
+    return {
+      content: [{
+        type: "resource",
+        resource: format === 'xlsx'
+          ? { uri, mimeType, blob: file.toString('base64') }
+          : { uri, mimeType, text: file.toString('utf8') },
+      }],
+    };
+  }
+
+  return {
+    content: [{
+      type: "text",
+      text: JSON.stringify({ data: rows, ...(kesildi && { kesildi, satir_siniri: CUSTOM_QUERY_LIMITS.maks_satir }) }, null, 2),
+    }],
+  };
+}
+
+// ======================
+// ŞEMA KAYNAKLARI (schema://)
+// ======================
+
+// custom_query yazılırken kolon adları tahmin edilmesin diye tablo ve kolon açıklamaları
+const TABLE_DESCRIPTIONS = {
+  ogrenciler: 'Öğrenci kayıtları. Silinen öğrenciler aktif = 0 ile tabloda kalır.',
+  ogretmenler: 'Öğretmen kayıtları',
+  siniflar: 'Sınıflar (örn. 9-A) ve sınıf öğretmenleri',
+  dersler: 'Ders kataloğu',
+  notlar: 'Öğrencilerin sınav, proje ve ödev notları',
+  devamsizlik: 'Öğrencilerin ders bazında devamsızlık kayıtları',
+  odemeler: 'Öğrenci borç ve ödeme kayıtları (tahakkuk odendi = 0, ödeme yapılınca odendi = 1)',
+  ders_programi: 'Haftalık ders programı (sınıf, ders, öğretmen, gün ve saat)',
+};
+
+const COLUMN_DESCRIPTIONS = {
+  ogrenciler: {
+    id: 'Öğrenci ID',
+    tc_no: 'TC Kimlik No (anonimleştirilen öğrencilerde ANONIM-<id>)',
+    ad: 'Ad',
+    soyad: 'Soyad',
+    dogum_tarihi: 'Doğum tarihi (YYYY-MM-DD)',
+    cinsiyet: 'Cinsiyet (E: erkek, K: kız)',
+    telefon: 'Öğrencinin telefonu',
+    email: 'Öğrencinin e-posta adresi',
+    adres: 'Ev adresi',
+    veli_adi: 'Velinin adı soyadı',
+    veli_telefonu: 'Velinin telefonu',
+    kayit_tarihi: 'Okula kayıt tarihi',
+    aktif: 'Kayıt aktif mi (0: silinmiş/pasif)',
+    sinif_id: 'Öğrencinin sınıfı (siniflar.id)',
+    pasif_tarihi: 'Kaydın pasife alındığı tarih',
+    anonimlestirme_tarihi: 'KVKK temizliğinde kişisel verilerin silindiği zaman',
+  },
+  ogretmenler: {
+    id: 'Öğretmen ID',
+    tc_no: 'TC Kimlik No',
+    ad: 'Ad',
+    soyad: 'Soyad',
+    dogum_tarihi: 'Doğum tarihi (YYYY-MM-DD)',
+    cinsiyet: 'Cinsiyet (E: erkek, K: kadın)',
+    telefon: 'Telefon',
+    email: 'E-posta adresi',
+    adres: 'Ev adresi',
+    brans: 'Branş (örn. Matematik)',
+    mezuniyet: 'Mezun olduğu okul/bölüm',
+    maas: 'Aylık maaş (TL)',
+    ise_baslama_tarihi: 'İşe başlama tarihi',
+    aktif: 'Görevde mi (0: ayrılmış)',
+  },
+  siniflar: {
+    id: 'Sınıf ID',
+    sinif_adi: 'Sınıf adı (örn. 9-A)',
+    seviye: 'Sınıf seviyesi (9-12)',
+    sube: 'Şube harfi (A, B, ...)',
+    ogretmen_id: 'Sınıf öğretmeni (ogretmenler.id)',
+    kontenjan: 'Sınıfın en fazla öğrenci sayısı',
+    aktif: 'Sınıf aktif mi',
+  },
+  dersler: {
+    id: 'Ders ID',
+    ders_adi: 'Ders adı (örn. Matematik)',
+    ders_kodu: 'Benzersiz ders kodu (örn. MAT101); ders kodu için bu kolon kullanılır',
+    kredi: 'Dersin kredisi (ağırlıklı ortalamada ağırlık)',
+    teorik_saat: 'Haftalık teorik ders saati',
+    pratik_saat: 'Haftalık uygulama saati',
+    aktif: 'Ders katalogda aktif mi',
+  },
+  notlar: {
+    id: 'Not ID',
+    ogrenci_id: 'Öğrenci (ogrenciler.id)',
+    ders_id: 'Ders (dersler.id)',
+    sinav_turu: 'Sınav türü',
+    not_degeri: 'Not (0-100)',
+    tarih: 'Sınav tarihi',
+    ogretmen_id: 'Notu veren öğretmen (ogretmenler.id)',
+    aciklama: 'Açıklama',
+  },
+  devamsizlik: {
+    id: 'Devamsızlık ID',
+    ogrenci_id: 'Öğrenci (ogrenciler.id)',
+    ders_id: 'Ders (dersler.id)',
+    tarih: 'Devamsızlık tarihi',
+    devamsizlik_turu: 'Devamsızlık türü (Mazeret ve Mazeretli aynı anlamda kullanılıyor)',
+    aciklama: 'Açıklama',
+    ogretmen_id: 'Yoklamayı alan öğretmen (ogretmenler.id)',
+  },
+  odemeler: {
+    id: 'Ödeme ID',
+    ogrenci_id: 'Öğrenci (ogrenciler.id)',
+    odeme_turu: 'Ödeme kalemi',
+    tutar: 'Tutar (TL)',
+    odeme_tarihi: 'Borcun tahakkuk tarihi',
+    vade_tarihi: 'Son ödeme tarihi; odendi = 0 ve vadesi geçmişse gecikmiş borçtur',
+    odendi: 'Ödendi mi (0: borç, 1: ödendi)',
+    odeme_yontemi: 'Ödeme yöntemi',
+    tahsil_tarihi: 'Ödemenin yapıldığı tarih (ödenmemiş borçta boş)',
+    aciklama: 'Açıklama',
+  },
+  ders_programi: {
+    id: 'Program kaydı ID',
+    sinif_id: 'Sınıf (siniflar.id)',
+    ders_id: 'Ders (dersler.id)',
+    ogretmen_id: 'Dersi veren öğretmen (ogretmenler.id)',
+    gun: 'Gün',
+    baslama_saati: 'Başlama saati (SS:DD)',
+    bitis_saati: 'Bitiş saati (SS:DD)',
+    donem: 'Dönem (örn. 2024-2025 Güz)',
+    aktif: 'Program kaydı geçerli mi',
+  },
+};
+
+const SCHEMA_SAMPLE_ROWS = 3;
+
+// CREATE TABLE metnindeki CHECK(...) ifadeleri (iç içe parantezler dahil)
+function checkConstraints(createSql) {
+  const checks = [];
+  const pattern = /\bCHECK\s*\(/gi;
+  for (let match = pattern.exec(createSql); match; match = pattern.exec(createSql)) {
+    let depth = 1;
+    let end = pattern.lastIndex;
+    for (; end < createSql.length && depth > 0; end += 1) {
+      if (createSql[end] === '(') depth += 1;
+      if (createSql[end] === ')') depth -= 1;
+    }
+    checks.push(createSql.slice(pattern.lastIndex, end - 1).trim());
+  }
+  return checks;
+}
+
+// Şema bilgisi custom_query yazmak için var; rol ve OAuth scope'u (query) custom_query'ye izin vermeli
+const schemaAccess = (principal) => {
+  const access = canUseTool(principal, ToolName.CUSTOM_QUERY) ? CUSTOM_QUERY_ACCESS[principal?.rol] : null;
+  if (!access) {
+    throw httpError(403, 'Şema bilgilerine erişim izniniz yok');
+  }
+  return access;
+};
+
+// schema:// kaynaklarında listelenecek tablolar; custom_query izni yoksa boş
+const queryableTables = (principal) => (
+  canUseTool(principal, ToolName.CUSTOM_QUERY) ? CUSTOM_QUERY_ACCESS[principal?.rol]?.tablolar ?? [] : []
+);
+
+// schema://tables: rolün sorgulayabildiği tablolar
+async function listSchemaTables(principal) {
+  const access = schemaAccess(principal);
+  const tablolar = [];
+  for (const tablo of access.tablolar) {
+    const [{ satir_sayisi }] = await dbAll(`SELECT COUNT(*) AS satir_sayisi FROM ${quoteIdent(tablo)}`);
+    tablolar.push({ ad: tablo, aciklama: TABLE_DESCRIPTIONS[tablo] ?? null, uri: `schema://table/${tablo}`, satir_sayisi });
+  }
+
+  return {
+    tablolar,
+    ipuclari: [
+      'Tarihler YYYY-MM-DD metni olarak tutulur, date(\'now\') ile karşılaştırılabilir',
+      'BOOLEAN kolonlar 0/1 değerlerini alır',
+      'Sadece SELECT veya WITH ile başlayan tek bir sorgu çalıştırılabilir',
+      `Sonuçlar en fazla ${CUSTOM_QUERY_LIMITS.maks_satir} satır döner, sorgu ${CUSTOM_QUERY_LIMITS.zaman_asimi_ms} ms'de kesilir`,
+    ],
+  };
+}
+
+// schema://table/{name}: kolonlar, CHECK ile izin verilen değerler, yabancı anahtarlar ve örnek satırlar.
+// Rolün okuyamadığı kolonlar (örn. öğretmen için ogretmenler.maas) gösterilmez.
+async function describeSchemaTable(tablo, principal) {
+  const access = schemaAccess(principal);
+  if (!access.tablolar.includes(tablo)) {
+    throw httpError(404, `Tablo bulunamadı ya da sorgu izni yok: ${tablo}`);
+  }
+
+  const [{ sql }] = await dbAll("SELECT sql FROM sqlite_master WHERE type = 'table' AND name = ?", [tablo]);
+  const columns = await dbAll(`PRAGMA table_info(${quoteIdent(tablo)})`);
+  const foreignKeys = await dbAll(`PRAGMA foreign_key_list(${quoteIdent(tablo)})`);
+  const uniqueColumns = new Set();
+  for (const index of await dbAll(`PRAGMA index_list(${quoteIdent(tablo)})`)) {
+    const indexColumns = await dbAll(`PRAGMA index_info(${quoteIdent(index.name)})`);
+    if (index.unique && indexColumns.length === 1) {
+      uniqueColumns.add(indexColumns[0].name);
+    }
+  }
+  const checks = checkConstraints(sql);
+
+  const kolonlar = columns
+    .filter((column) => !access.gizli_kolonlar.includes(`${tablo}.${column.name}`))
+    .map((column) => {
+      const columnChecks = checks.filter((check) => new RegExp(`\\b${column.name}\\b`).test(check));
+      const enumCheck = columnChecks.map((check) => check.match(new RegExp(`^${column.name}\\s+IN\\s*\\((.*)\\)$`, 's'))).find(Boolean);
+      const otherChecks = columnChecks.filter((check) => !new RegExp(`^${column.name}\\s+IN\\b`).test(check));
+      const foreignKey = foreignKeys.find((key) => key.from === column.name);
+      return {
+        ad: column.name,
+        tur: column.type,
+        zorunlu: column.notnull === 1 || column.pk > 0,
+        varsayilan: column.dflt_value,
+        ...(column.pk > 0 && { birincil_anahtar: true }),
+        ...(uniqueColumns.has(column.name) && { benzersiz: true }),
+        ...(enumCheck && { izin_verilen_degerler: [...enumCheck[1].matchAll(/'((?:[^']|'')*)'/g)].map((value) => value[1].replace(/''/g, "'")) }),
+        ...(otherChecks.length && { kontrol: otherChecks }),
+        ...(foreignKey && { referans: `${foreignKey.table}.${foreignKey.to ?? 'id'}` }),
+        aciklama: COLUMN_DESCRIPTIONS[tablo]?.[column.name] ?? null,
+      };
+    });
+
+  const ornek_satirlar = await dbAll(
+    `SELECT ${kolonlar.map((kolon) => quoteIdent(kolon.ad)).join(', ')} FROM ${quoteIdent(tablo)} ORDER BY rowid LIMIT ?`,
+    [SCHEMA_SAMPLE_ROWS]
+  );
+
+  return {
+    tablo,
+    aciklama: TABLE_DESCRIPTIONS[tablo] ?? null,
+    kolonlar,
+    yabanci_anahtarlar: foreignKeys.map((key) => ({ kolon: key.from, tablo: key.table, hedef_kolon: key.to ?? 'id' })),
+    ornek_satirlar,
+  };
+}
+
+// ======================
+// KAYIT KAYNAKLARI (ogrenci://, sinif://, ders://) VE ABONELİKLER
+// ======================
+
+const RESOURCE_PAGE_SIZE = 100;
+
+async function getStudentRecord(id) {
+  const row = await dbGet(
+    `SELECT o.*, s.sinif_adi, s.seviye
+     FROM ogrenciler o
+     LEFT JOIN siniflar s ON o.sinif_id = s.id
+     WHERE o.id = ?`,
+    [id]
+  );
+  if (!row) {
+    throw httpError(404, 'Öğrenci bulunamadı');
+  }
+  return row;
+}
+
+async function getClassRoster(sinifId) {
+  const sinif = await dbGet(
+    `SELECT s.id, s.sinif_adi, s.seviye, s.sube, s.kontenjan, t.ad || ' ' || t.soyad as ogretmen_adi
+     FROM siniflar s
+     LEFT JOIN ogretmenler t ON s.ogretmen_id = t.id
+     WHERE s.id = ?`,
+    [sinifId]
+  );
+  if (!sinif) {
+    throw httpError(404, 'Sınıf bulunamadı');
+  }
+  const ogrenciler = await dbAll(
+    `SELECT id, tc_no, ad, soyad, cinsiyet, dogum_tarihi, veli_adi, veli_telefonu
+     FROM ogrenciler
+     WHERE sinif_id = ? AND aktif = 1
+     ORDER BY soyad, ad`,
+    [sinifId]
+  );
+  return { ...sinif, mevcut: ogrenciler.length, ogrenciler };
+}
+
+async function getCourseRecord(id) {
+  const row = await dbGet(`SELECT * FROM dersler WHERE id = ?`, [id]);
+  if (!row) {
+    throw httpError(404, 'Ders bulunamadı');
+  }
+  return row;
+}
+
+// Kaynak şablonları; yetki kontrolü aynı veriyi dönen aracınkiyle (rol, OAuth scope, kayıt erişimi) aynıdır
+const RECORD_RESOURCES = [
+  {
+    uriTemplate: 'ogrenci://{id}',
+    pattern: /^ogrenci:\/\/(\d+)$/,
+    name: 'Öğrenci kaydı',
+    description: 'Öğrencinin kimlik, iletişim, veli ve sınıf bilgileri',
+    arac: ToolName.GET_STUDENT_BY_ID,
+    args: (id) => ({ id }),
+    read: getStudentRecord,
+    complete: (value, principal) => completeStudents(value, principal, { id: true }),
+  },
+  {
+    uriTemplate: 'ogrenci://{id}/karne',
+    pattern: /^ogrenci:\/\/(\d+)\/karne$/,
+    name: 'Öğrenci karnesi',
+    description: 'Ders bazında not ortalamaları, dönem ortalaması ve devamsızlık özeti',
+    arac: ToolName.GET_REPORT_CARD,
+    args: (id) => ({ id }),
+    read: (id) => getReportCardData(id),
+    complete: (value, principal) => completeStudents(value, principal, { id: true }),
+  },
+  {
+    uriTemplate: 'sinif://{id}/roster',
+    pattern: /^sinif:\/\/(\d+)\/roster$/,
+    name: 'Sınıf listesi',
+    description: 'Sınıf bilgileri, sınıf öğretmeni ve aktif öğrencilerin listesi',
+    arac: ToolName.GET_STUDENTS_BY_CLASS,
+    args: (id) => ({ sinif_id: id }),
+    read: getClassRoster,
+    complete: (value, principal) => completeClasses(value, principal, { id: true }),
+  },
+  {
+    uriTemplate: 'ders://{id}',
+    pattern: /^ders:\/\/(\d+)$/,
+    name: 'Ders',
+    description: 'Ders kataloğundaki kayıt (ad, kod, kredi, haftalık saatler)',
+    arac: ToolName.GET_COURSE,
+    args: (id) => ({ id }),
+    read: getCourseRecord,
+    complete: (value) => completeCourses(value),
+  },
+];
+
+// Kayıt kaynağını okur; uri bir kayıt kaynağı değilse undefined döner
+async function readRecordResource(uri, principal) {
+  for (const resource of RECORD_RESOURCES) {
+    const match = uri.match(resource.pattern);
+    if (match) {
+      const id = Number(match[1]);
+      await authorizeTool(principal, resource.arac, resource.args(id));
+      return resource.read(id);
+    }
+  }
+  return undefined;
+}
+
+// Kullanıcının erişebildiği kayıt kaynakları (öğrenciler, sınıf listeleri, dersler)
+async function listRecordResources(principal) {
+  const resources = [];
+  const mimeType = 'application/json';
+
+  if (canUseTool(principal, ToolName.GET_STUDENT_BY_ID)) {
+    const scope = studentScope(principal);
+    const students = await dbAll(
+      `SELECT o.id, o.ad, o.soyad FROM ogrenciler o WHERE o.aktif = 1${scope ? ` AND ${scope.condition}` : ''} ORDER BY o.id`,
+      scope?.params ?? []
+    );
+    for (const { id, ad, soyad } of students) {
+      resources.push({ uri: `ogrenci://${id}`, name: `${ad} ${soyad}`, mimeType });
+      if (canUseTool(principal, ToolName.GET_REPORT_CARD)) {
+        resources.push({ uri: `ogrenci://${id}/karne`, name: `${ad} ${soyad} karnesi`, mimeType });
+      }
+    }
+  }
+
+  if (canUseTool(principal, ToolName.GET_STUDENTS_BY_CLASS)) {
+    const classes = principal.rol === 'admin'
+      ? await dbAll(`SELECT id, sinif_adi FROM siniflar WHERE aktif = 1 ORDER BY seviye, sube`)
+      : await dbAll(
+        `SELECT id, sinif_adi FROM siniflar WHERE aktif = 1 AND id IN (${TEACHER_CLASSES_SQL}) ORDER BY seviye, sube`,
+        [principal.ogretmen_id, principal.ogretmen_id]
+      );
+    for (const { id, sinif_adi } of classes) {
+      resources.push({ uri: `sinif://${id}/roster`, name: `${sinif_adi} sınıf listesi`, mimeType });
+    }
+  }
+
+  if (canUseTool(principal, ToolName.GET_COURSE)) {
+    const courses = await dbAll(`SELECT id, ders_kodu, ders_adi FROM dersler WHERE aktif = 1 ORDER BY ders_kodu`);
+    for (const { id, ders_kodu, ders_adi } of courses) {
+      resources.push({ uri: `ders://${id}`, name: `${ders_kodu} ${ders_adi}`, mimeType });
+    }
+  }
+
+  return resources;
+}
+
+// resources/subscribe ile abone olunan uri'ler (MCP sunucusu -> uri kümesi).
+// Tüm yazmalar auditedRun'dan geçtiği için REST ya da MCP fark etmeden değişiklikler oradan bildirilir;
+// transaction içindeki yazmalar en dıştaki COMMIT'ten sonra bildirilir, geri alınan yazmalar bildirilmez.
+const resourceSubscriptions = new Map();
+let pendingResourceChanges = [];
+
+function scheduleResourceUpdates(tablo, onceki, sonraki) {
+  if (resourceSubscriptions.size === 0) return;
+  if (pendingResourceChanges.length === 0) {
+    setImmediate(flushResourceUpdates);
+  }
+  pendingResourceChanges.push({ tablo, rows: [onceki, sonraki].filter(Boolean) });
+}
+
+// Değişen satırın göründüğü kaynaklar; sınıf, öğretmen ve ders adları öğrenci kaydında, karnede ve sınıf listesinde de geçer
+async function affectedResourceUris(tablo, row) {
+  const reportCardUris = (students) => students.map(({ id }) => `ogrenci://${id}/karne`);
+
+  switch (tablo) {
+    case 'ogrenciler':
+      return [`ogrenci://${row.id}`, `ogrenci://${row.id}/karne`, ...(row.sinif_id == null ? [] : [`sinif://${row.sinif_id}/roster`])];
+    case 'notlar':
+    case 'devamsizlik':
+      return [`ogrenci://${row.ogrenci_id}/karne`];
+    case 'siniflar': {
+      const students = await dbAll(`SELECT id FROM ogrenciler WHERE sinif_id = ?`, [row.id]);
+      return [`sinif://${row.id}/roster`, ...students.map(({ id }) => `ogrenci://${id}`), ...reportCardUris(students)];
+    }
+    case 'ogretmenler': {
+      const classes = await dbAll(`SELECT id FROM siniflar WHERE ogretmen_id = ?`, [row.id]);
+      const students = await dbAll(
+        `SELECT o.id FROM ogrenciler o JOIN siniflar s ON o.sinif_id = s.id WHERE s.ogretmen_id = ?`,
+        [row.id]
+      );
+      return [...classes.map(({ id }) => `sinif://${id}/roster`), ...reportCardUris(students)];
+    }
+    case 'dersler': {
+      const students = await dbAll(`SELECT DISTINCT ogrenci_id as id FROM notlar WHERE ders_id = ?`, [row.id]);
+      return [`ders://${row.id}`, ...reportCardUris(students)];
+    }
+    default:
+      return [];
+  }
+}
+
+async function flushResourceUpdates() {
+  const changes = pendingResourceChanges;
+  pendingResourceChanges = [];
+
+  const uris = new Set();
+  try {
+    for (const { tablo, rows } of changes) {
+      for (const row of rows) {
+        (await affectedResourceUris(tablo, row)).forEach((uri) => uris.add(uri));
+      }
+    }
+  } catch (err) {
+    console.error('Kaynak güncelleme bildirimleri hazırlanamadı:', err.message);
+    return;
+  }
+
+  for (const [server, subscribed] of resourceSubscriptions) {
+    for (const uri of uris) {
+      if (subscribed.has(uri)) {
+        server.sendResourceUpdated({ uri }).catch((err) => console.error('resources/updated gönderilemedi:', err.message));
+      }
+    }
+  }
+}
+
+// ======================
+// PROMPTLAR
+// ======================
+
+// Prompt argümanı olarak öğrenci: ID ya da "Ad Soyad" (büyük/küçük harf ve Türkçe karakter farkı gözetilmez)
+async function resolveStudentArg(value, principal) {
+  const text = String(value).trim();
+  if (/^\d+$/.test(text)) {
+    return Number(text);
+  }
+
+  const scope = studentScope(principal);
+  const students = await dbAll(
+    `SELECT o.id, o.ad, o.soyad FROM ogrenciler o WHERE o.aktif = 1${scope ? ` AND ${scope.condition}` : ''}`,
+    scope?.params ?? []
+  );
+  const wanted = tokenize(text).join(' ');
+  const matches = students.filter((row) => tokenize(`${row.ad} ${row.soyad}`).join(' ') === wanted);
+  if (matches.length === 0) {
+    throw httpError(404, `Öğrenci bulunamadı: ${text}`);
+  }
+  if (matches.length > 1) {
+    throw httpError(409, `Bu isimde birden fazla öğrenci var, ID ile belirtin: ${matches.map((row) => row.id).join(', ')}`);
+  }
+  return matches[0].id;
+}
+
+// Prompt argümanı olarak sınıf: ID, "9-A" (seviye-şube) ya da sınıf adı
+async function resolveClassArg(value) {
+  const text = String(value).trim();
+  if (/^\d+$/.test(text)) {
+    return Number(text);
+  }
+
+  const seviyeSube = text.match(/^(\d+)\s*[-/ ]?\s*(\p{L})$/u);
+  const classes = await dbAll(`SELECT id, sinif_adi, seviye, sube FROM siniflar WHERE aktif = 1`);
+  const matches = classes.filter((row) => (seviyeSube
+    ? row.seviye === Number(seviyeSube[1]) && foldTurkish(row.sube) === foldTurkish(seviyeSube[2])
+    : foldTurkish(row.sinif_adi) === foldTurkish(text)));
+  if (matches.length === 0) {
+    throw httpError(404, `Sınıf bulunamadı: ${text}`);
+  }
+  if (matches.length > 1) {
+    throw httpError(409, `Bu adla birden fazla sınıf var, ID ya da seviye-şube (örn. 9-A) ile belirtin: ${matches.map((row) => row.id).join(', ')}`);
+  }
+  return matches[0].id;
+}
+
+// Verilen tarihin (varsayılan bugün) haftası, Pazartesi'den Pazar'a
+function weekRange(tarih = null) {
+  const date = tarih ? new Date(`${tarih}T00:00:00Z`) : new Date();
+  const pazartesi = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate() - ((date.getUTCDay() + 6) % 7)));
+  const pazar = new Date(pazartesi);
+  pazar.setUTCDate(pazartesi.getUTCDate() + 6);
+  return { baslangic: pazartesi.toISOString().slice(0, 10), bitis: pazar.toISOString().slice(0, 10) };
+}
+
+async function getStudentAttendanceRows(ogrenciId) {
+  return dbAll(
+    `SELECT d.tarih, d.devamsizlik_turu, dr.ders_adi, d.aciklama
+     FROM devamsizlik d
+     JOIN dersler dr ON d.ders_id = dr.id
+     WHERE d.ogrenci_id = ?
+     ORDER BY d.tarih DESC`,
+    [ogrenciId]
+  );
+}
+
+async function getUnpaidCharges(ogrenciId) {
+  return dbAll(
+    `SELECT
+       odeme_turu, tutar, vade_tarihi, aciklama,
+       CASE WHEN vade_tarihi < date('now') THEN CAST(julianday('now') - julianday(vade_tarihi) AS INTEGER) ELSE 0 END as gecikme_gun
+     FROM odemeler
+     WHERE ogrenci_id = ? AND odendi = 0
+     ORDER BY vade_tarihi`,
+    [ogrenciId]
+  );
+}
+
+const PromptStudentArgsSchema = z.object({
+  ogrenci: z.string({ message: "Öğrenci ID ya da ad soyad gerekli" }).trim().min(1, "Öğrenci ID ya da ad soyad gerekli"),
+});
+
+const ogrenciArgument = { name: 'ogrenci', description: 'Öğrenci ID ya da ad soyad (örn. 5 veya Emre Yılmaz)', required: true };
+
+// Her prompt verisini aldığı araçların yetki kontrolünden geçer (rol, OAuth scope, öğrenci/sınıf erişimi).
+// resolve argümanları bu araçların argümanlarına çevirir, build talimatı ve mesaja eklenecek verileri döner.
+const PROMPTS = {
+  [PromptName.PARENT_MEETING]: {
+    description: 'Veli görüşmesine hazırlık: öğrencinin notları, devamsızlığı ve ödeme durumuyla görüşme notu taslağı',
+    arguments: [
+      ogrenciArgument,
+      { name: 'konu', description: 'Görüşmenin konusu (örn. matematik notlarındaki düşüş)', required: false },
+    ],
+    roller: STAFF,
+    araclar: [ToolName.GET_STUDENT_BY_ID, ToolName.GET_REPORT_CARD, ToolName.GET_STUDENT_ATTENDANCE, ToolName.GET_STUDENT_BALANCE],
+    schema: PromptStudentArgsSchema.extend({ konu: z.string().optional() }),
+    resolve: async (args, principal) => ({ id: await resolveStudentArg(args.ogrenci, principal) }),
+    build: async ({ id }, args) => {
+      const karne = await getReportCardData(id);
+      const ogrenci = await getStudentRecord(id);
+      return {
+        talimat: [
+          `${ogrenci.ad} ${ogrenci.soyad} (${ogrenci.sinif_adi ?? 'sınıfı yok'}) için veli ${ogrenci.veli_adi ?? ''} ile yapılacak görüşmeye hazırlan.`,
+          args.konu ? `Görüşmenin konusu: ${args.konu}.` : null,
+          'Aşağıdaki verilere dayanarak şunları hazırla: öğrencinin güçlü olduğu ve desteğe ihtiyaç duyduğu dersler,',
+          `geçme notunun (${gradingPolicy.gecme_notu}) altında kalan dersler, devamsızlık durumu, varsa ödenmemiş borçlar,`,
+          'veliye sorulacak sorular ve önerilen eylem planı. Verilerde olmayan bir bilgiyi uydurma, yapıcı ve saygılı bir dil kullan.',
+        ].filter(Boolean).join(' '),
+        veriler: {
+          'Öğrenci': pickFields(ogrenci, 'id,ad,soyad,dogum_tarihi,cinsiyet,sinif_adi,kayit_tarihi,veli_adi,veli_telefonu'),
+          'Karne özeti (ders ortalamaları ve devamsızlık)': { ortalama: karne.ortalama, dersler: karne.dersler, devamsizlik: karne.devamsizlik },
+          'Son notlar': (await getStudentGradeRows(id)).sort((a, b) => b.tarih.localeCompare(a.tarih)).slice(0, 15),
+          'Devamsızlıklar': await getStudentAttendanceRows(id),
+          'Ödeme durumu': await getStudentBalance(id),
+        },
+      };
+    },
+  },
+
+  [PromptName.WEEKLY_CLASS_SUMMARY]: {
+    description: 'Sınıf öğretmeni için haftalık sınıf özeti: haftanın notları, devamsızlıkları ve takip edilmesi gereken öğrenciler',
+    arguments: [
+      { name: 'sinif', description: 'Sınıf ID ya da seviye-şube (örn. 9-A)', required: true },
+      { name: 'hafta', description: 'Haftanın herhangi bir günü (YYYY-MM-DD, varsayılan bu hafta)', required: false },
+    ],
+    roller: STAFF,
+    araclar: [ToolName.GET_CLASS_SUMMARY, ToolName.GET_STUDENTS_BY_CLASS],
+    schema: z.object({
+      sinif: z.string({ message: "Sınıf ID ya da seviye-şube gerekli" }).trim().min(1, "Sınıf ID ya da seviye-şube gerekli"),
+      hafta: DateSchema.optional(),
+    }),
+    resolve: async (args) => ({ sinif_id: await resolveClassArg(args.sinif) }),
+    build: async ({ sinif_id }, args) => {
+      const { baslangic, bitis } = weekRange(args.hafta);
+      const { ogrenciler, ...sinif } = await getClassRoster(sinif_id);
+
+      const ogrenci_durumlari = [];
+      for (const ogrenci of ogrenciler) {
+        const { genel_ortalama, dersler } = await calculateWeightedAverages(ogrenci.id);
+        const { toplam } = await dbGet(`SELECT COUNT(*) as toplam FROM devamsizlik WHERE ogrenci_id = ?`, [ogrenci.id]);
+        ogrenci_durumlari.push({
+          id: ogrenci.id,
+          ad_soyad: `${ogrenci.ad} ${ogrenci.soyad}`,
+          genel_ortalama,
+          kalan_dersler: dersler.filter((ders) => ders.durum === 'Kaldı').map((ders) => ders.ders_adi),
+          toplam_devamsizlik: toplam,
+        });
+      }
+
+      return {
+        talimat: [
+          `${sinif.sinif_adi} sınıfının öğretmeni ${sinif.ogretmen_adi ?? ''} için ${baslangic} - ${bitis} haftasının özetini hazırla.`,
+          'Haftanın notlarını ders bazında yorumla, devamsızlık yapan öğrencileri listele,',
+          `genel ortalaması ${gradingPolicy.gecme_notu} altında ya da kaldığı dersi olan öğrencileri takip listesine al`,
+          've gelecek hafta için kısa öneriler yaz. Kısa ve maddeler halinde yaz.',
+        ].join(' '),
+        veriler: {
+          'Sınıf': { ...sinif, hafta: { baslangic, bitis } },
+          'Haftanın notları': await dbAll(
+            `SELECT o.ad || ' ' || o.soyad as ogrenci, d.ders_adi, n.sinav_turu, n.not_degeri, n.tarih
+             FROM notlar n
+             JOIN ogrenciler o ON n.ogrenci_id = o.id
+             JOIN dersler d ON n.ders_id = d.id
+             WHERE o.sinif_id = ? AND o.aktif = 1 AND n.tarih BETWEEN ? AND ?
+             ORDER BY d.ders_adi, n.tarih`,
+            [sinif_id, baslangic, bitis]
+          ),
+          'Haftanın devamsızlıkları': await dbAll(
+            `SELECT o.ad || ' ' || o.soyad as ogrenci, dr.ders_adi, d.tarih, d.devamsizlik_turu
+             FROM devamsizlik d
+             JOIN ogrenciler o ON d.ogrenci_id = o.id
+             JOIN dersler dr ON d.ders_id = dr.id
+             WHERE o.sinif_id = ? AND o.aktif = 1 AND d.tarih BETWEEN ? AND ?
+             ORDER BY d.tarih`,
+            [sinif_id, baslangic, bitis]
+          ),
+          'Öğrencilerin genel durumu': ogrenci_durumlari,
+        },
+      };
+    },
+  },
+
+  [PromptName.PAYMENT_REMINDER_LETTER]: {
+    description: 'Ödenmemiş borçlar için veliye ödeme hatırlatma mektubu',
+    arguments: [
+      ogrenciArgument,
+      { name: 'son_odeme_tarihi', description: 'Mektupta verilecek yeni son ödeme tarihi (YYYY-MM-DD)', required: false },
+    ],
+    roller: ['admin'],
+    araclar: [ToolName.GET_STUDENT_BY_ID, ToolName.GET_STUDENT_PAYMENTS, ToolName.GET_STUDENT_BALANCE],
+    schema: PromptStudentArgsSchema.extend({ son_odeme_tarihi: DateSchema.optional() }),
+    resolve: async (args, principal) => ({ id: await resolveStudentArg(args.ogrenci, principal) }),
+    build: async ({ id }, args) => {
+      const ogrenci = await getStudentRecord(id);
+      return {
+        talimat: [
+          `${ogrenci.ad} ${ogrenci.soyad} öğrencisinin velisi ${ogrenci.veli_adi ?? ''} için okul idaresi adına resmi bir ödeme hatırlatma mektubu yaz.`,
+          'Ödenmemiş kalemleri tutar ve vade tarihleriyle bir tablo halinde ver, toplam kalan borcu belirt.',
+          args.son_odeme_tarihi ? `Son ödeme tarihi olarak ${args.son_odeme_tarihi} tarihini ver.` : null,
+          'Nazik ama net bir dil kullan, ödeme seçenekleri (nakit, kredi kartı, havale/EFT) için muhasebeye yönlendir.',
+          'Ödenmemiş borç yoksa mektup yazma, borç bulunmadığını belirt.',
+        ].filter(Boolean).join(' '),
+        veriler: {
+          'Öğrenci': { ad: ogrenci.ad, soyad: ogrenci.soyad, sinif_adi: ogrenci.sinif_adi, veli_adi: ogrenci.veli_adi },
+          'Ödenmemiş kalemler': await getUnpaidCharges(id),
+          'Bakiye': await getStudentBalance(id),
+        },
+      };
+    },
+  },
+
+  [PromptName.ATTENDANCE_WARNING_LETTER]: {
+    description: 'Devamsızlığı artan öğrencinin velisine devamsızlık uyarı mektubu',
+    arguments: [ogrenciArgument],
+    roller: STAFF,
+    araclar: [ToolName.GET_STUDENT_BY_ID, ToolName.GET_STUDENT_ATTENDANCE, ToolName.GET_REPORT_CARD],
+    schema: PromptStudentArgsSchema,
+    resolve: async (args, principal) => ({ id: await resolveStudentArg(args.ogrenci, principal) }),
+    build: async ({ id }) => {
+      const ogrenci = await getStudentRecord(id);
+      const karne = await getReportCardData(id);
+      return {
+        talimat: [
+          `${ogrenci.ad} ${ogrenci.soyad} (${ogrenci.sinif_adi ?? 'sınıfı yok'}) öğrencisinin velisi ${ogrenci.veli_adi ?? ''} için`,
+          'okul idaresi adına resmi bir devamsızlık uyarı mektubu yaz. Devamsızlık sayılarını türlerine göre (özellikle mazeretsiz)',
+          've en çok devamsızlık yapılan dersleri belirt, devamsızlığın notlara etkisine değin ve veliyi okulla görüşmeye davet et.',
+          'Verilerde olmayan bir bilgi ekleme.',
+        ].join(' '),
+        veriler: {
+          'Öğrenci': { ad: ogrenci.ad, soyad: ogrenci.soyad, sinif_adi: ogrenci.sinif_adi, veli_adi: ogrenci.veli_adi },
+          'Devamsızlık özeti': karne.devamsizlik,
+          'Devamsızlıklar': await getStudentAttendanceRows(id),
+          'Ders ortalamaları': karne.dersler.map(({ ders_adi, ders_ortalama, durum }) => ({ ders_adi, ders_ortalama, durum })),
+        },
+      };
+    },
+  },
+};
+
+const canUsePrompt = (principal, prompt) => (
+  prompt.roller.includes(principal?.rol) && prompt.araclar.every((arac) => canUseTool(principal, arac))
+);
+
+const listPrompts = (principal) => Object.entries(PROMPTS)
+  .filter(([, prompt]) => canUsePrompt(principal, prompt))
+  .map(([name, { description, arguments: args }]) => ({ name, description, arguments: args }));
+
+// Promptu verileriyle birlikte üretir; veriler maskeleyiciden (kişisel veri politikası) geçirilir
+async function getPrompt(name, args, principal, masker) {
+  const prompt = PROMPTS[name];
+  if (!prompt) {
+    throw httpError(404, `Unknown prompt: ${name}`);
+  }
+  if (!canUsePrompt(principal, prompt)) {
+    throw httpError(403, `Bu promptu kullanma yetkiniz yok: ${name}`);
+  }
+
+  const validated = validate(prompt.schema, args, 'Geçersiz prompt argümanları');
+  const toolArgs = await prompt.resolve(validated, principal);
+  for (const arac of prompt.araclar) {
+    await authorizeTool(principal, arac, toolArgs);
+  }
+
+  const { talimat, veriler } = await prompt.build(toolArgs, validated);
+  const bolumler = Object.entries(masker.apply(veriler))
+    .map(([baslik, veri]) => `## ${baslik}\n${JSON.stringify(veri, null, 2)}`);
+  return {
+    description: prompt.description,
+    messages: [{ role: 'user', content: { type: 'text', text: [talimat, ...bolumler].join('\n\n') } }],
+  };
+}
+
+// ======================
+// ARGÜMAN TAMAMLAMA (completion/complete)
+// ======================
+
+const COMPLETION_MAX_VALUES = 100;
+
+// Yazılan her kelime adayın bir kelimesinin başıyla eşleşmeli (örn. "emr yıl" -> "Emre Yılmaz"); boş değer hepsiyle eşleşir
+const matchesPartial = (text, partial) => {
+  const words = tokenize(text);
+  return tokenize(partial).every((part) => words.some((word) => word.startsWith(part)));
+};
+
+// Sayı yazıldıysa ID başlangıcına göre de eşleşir
+const matchesId = (id, partial) => /^\d+$/.test(partial.trim()) && String(id).startsWith(partial.trim());
+
+// Öğrenciler rolün görebildikleriyle sınırlıdır. Prompt argümanı için "Ad Soyad" önerilir; aynı adı taşıyan
+// birden fazla öğrenci varsa ad çözümlenemeyeceğinden (bkz. resolveStudentArg) ID önerilir
+async function completeStudents(partial, principal, { id = false } = {}) {
+  const scope = studentScope(principal);
+  const students = await dbAll(
+    `SELECT o.id, o.ad, o.soyad FROM ogrenciler o WHERE o.aktif = 1${scope ? ` AND ${scope.condition}` : ''} ORDER BY o.ad, o.soyad, o.id`,
+    scope?.params ?? []
+  );
+  const nameCounts = new Map();
+  for (const row of students) {
+    const key = tokenize(`${row.ad} ${row.soyad}`).join(' ');
+    nameCounts.set(key, (nameCounts.get(key) ?? 0) + 1);
+  }
+
+  return students
+    .filter((row) => matchesId(row.id, partial) || matchesPartial(`${row.ad} ${row.soyad}`, partial))
+    .map((row) => (id || nameCounts.get(tokenize(`${row.ad} ${row.soyad}`).join(' ')) > 1
+      ? String(row.id)
+      : `${row.ad} ${row.soyad}`));
+}
+
+// Sınıflar "9-A", "9A" ya da sınıf adıyla aranır; öğretmen yalnızca kendi sınıflarını görür
+async function completeClasses(partial, principal, { id = false } = {}) {
+  if (!STAFF.includes(principal?.rol)) {
+    return [];
+  }
+  const teacher = principal.rol === 'ogretmen';
+  const classes = await dbAll(
+    `SELECT id, sinif_adi, seviye, sube FROM siniflar WHERE aktif = 1${teacher ? ` AND id IN (${TEACHER_CLASSES_SQL})` : ''} ORDER BY seviye, sube`,
+    teacher ? [principal.ogretmen_id, principal.ogretmen_id] : []
+  );
+
+  return classes
+    .filter((row) => matchesId(row.id, partial) || matchesPartial(`${row.seviye}-${row.sube} ${row.seviye}${row.sube} ${row.sinif_adi}`, partial))
+    .map((row) => (id ? String(row.id) : `${row.seviye}-${row.sube}`));
+}
+
+// Dersler ad ya da ders koduyla aranır
+async function completeCourses(partial) {
+  const courses = await dbAll(`SELECT id, ders_adi, ders_kodu FROM dersler WHERE aktif = 1 ORDER BY ders_adi`);
+  return courses
+    .filter((row) => matchesId(row.id, partial) || matchesPartial(`${row.ders_adi} ${row.ders_kodu}`, partial))
+    .map((row) => String(row.id));
+}
+
+// ref: { type: 'ref/prompt', name } ya da { type: 'ref/resource', uri: <şablon> }; argument: { name, value }.
+// Kullanılamayan prompt/şablon ya da tamamlanamayan argüman için boş liste döner
+async function completeArgument(ref, argument, principal) {
+  const value = String(argument?.value ?? '');
+
+  if (ref?.type === 'ref/prompt') {
+    const prompt = PROMPTS[ref.name];
+    if (!prompt || !canUsePrompt(principal, prompt) || !prompt.arguments.some((arg) => arg.name === argument?.name)) {
+      return [];
+    }
+    if (argument.name === 'ogrenci') return completeStudents(value, principal);
+    if (argument.name === 'sinif') return completeClasses(value, principal);
+    return [];
+  }
+
+  if (ref?.type === 'ref/resource') {
+    if (ref.uri === 'schema://table/{name}' && argument?.name === 'name') {
+      return queryableTables(principal).filter((tablo) => tablo.startsWith(foldTurkish(value)));
+    }
+    const resource = RECORD_RESOURCES.find((item) => item.uriTemplate === ref.uri);
+    if (!resource || argument?.name !== 'id' || !canUseTool(principal, resource.arac)) {
+      return [];
+    }
+    return resource.complete(value, principal);
+  }
+
+  return [];
+}
+
+// MCP completion sonucu: en fazla 100 değer, toplam eşleşme sayısıyla
+async function complete(ref, argument, principal) {
+  const values = await completeArgument(ref, argument, principal);
+  return {
+    values: values.slice(0, COMPLETION_MAX_VALUES),
+    total: values.length,
+    hasMore: values.length > COMPLETION_MAX_VALUES,
+  };
 }
 
-async function getStudentsByClass(sinifId) {
-  return new Promise((resolve, reject) => {
-    const query = `
-      SELECT 
-        o.*, 
-        s.sinif_adi,
-        s.seviye
-      FROM ogrenciler o
-      JOIN siniflar s ON o.sinif_id = s.id
-      WHERE o.sinif_id = ? AND o.aktif = 1
-      ORDER BY o.ad, o.soyad
-    `;
-    
-    db.all(query, [sinifId], (err, rows) => {
-      if (err) {
-        reject(err);
-      } else {
-        resolve({
-          content: [{ type: "text", text: JSON.stringify({ data: rows }, null, 2) }],
-        });
-      }
-    });
-  });
+// ======================
+// KİŞİSEL VERİ MASKELEME (MCP araç sonuçları)
+// ======================
+
+// Alan kuralları: maskele (baştan ve sondan birkaç karakter görünür), gizle (alan açıkça istenmedikçe sonuçtan çıkarılır)
+// ya da goster. pii-policy.json ile değiştirilebilir, örn:
+// { "alanlar": { "veli_adi": "maskele", "email": "goster" }, "maskesiz_roller": ["admin"] }
+const DEFAULT_PII_POLICY = {
+  alanlar: {
+    tc_no: 'maskele',
+    telefon: 'maskele',
+    veli_telefonu: 'maskele',
+    email: 'maskele',
+    adres: 'gizle',
+  },
+  maskesiz_roller: ['admin'],
+};
+
+let piiPolicy = DEFAULT_PII_POLICY;
+try {
+  const custom = JSON.parse(readFileSync(join(__dirname, "pii-policy.json"), "utf-8"));
+  piiPolicy = {
+    alanlar: { ...DEFAULT_PII_POLICY.alanlar, ...custom.alanlar },
+    maskesiz_roller: custom.maskesiz_roller ?? DEFAULT_PII_POLICY.maskesiz_roller,
+  };
+} catch (err) {
+  if (err.code !== 'ENOENT') {
+    console.error('pii-policy.json okunamadı, varsayılan kişisel veri politikası kullanılıyor:', err.message);
+  }
 }
 
-async function searchStudents(searchTerm) {
-  return new Promise((resolve, reject) => {
-    const searchPattern = `%${searchTerm}%`;
-    const query = `
-      SELECT 
-        o.*, 
-        s.sinif_adi,
-        s.seviye
-      FROM ogrenciler o
-      LEFT JOIN siniflar s ON o.sinif_id = s.id
-      WHERE (o.ad LIKE ? OR o.soyad LIKE ? OR o.tc_no LIKE ?)
-      AND o.aktif = 1
-      ORDER BY o.ad, o.soyad
-    `;
-    
-    db.all(query, [searchPattern, searchPattern, searchPattern], (err, rows) => {
-      if (err) {
-        reject(err);
-      } else {
-        resolve({
-          content: [{ type: "text", text: JSON.stringify({ data: rows }, null, 2) }],
-        });
-      }
-    });
-  });
+// Maskesiz mod: rol politikada olmalı, OAuth token'ında ayrıca pii:unmasked scope'u gerekir
+const canUnmask = (principal) => (
+  piiPolicy.maskesiz_roller.includes(principal?.rol)
+  && (!principal.scope || principal.scope.includes('pii:unmasked'))
+);
+
+// Harf ve rakamları baştan keepStart, sondan keepEnd kadarı dışında yıldızlar; ayraçlar (-, boşluk) korunur
+function maskMiddle(value, keepStart, keepEnd) {
+  const chars = [...String(value)];
+  const positions = chars.flatMap((char, index) => (/[\p{L}\p{N}]/u.test(char) ? [index] : []));
+  const masked = new Set(positions.slice(keepStart, Math.max(keepStart, positions.length - keepEnd)));
+  return chars.map((char, index) => (masked.has(index) ? '*' : char)).join('');
 }
 
-async function getStudentAverage(id) {
-  return new Promise((resolve, reject) => {
-    const query = `
-      SELECT 
-        AVG(CAST(not_degeri as FLOAT)) as genel_ortalama,
-        COUNT(*) as toplam_not,
-        d.ders_adi,
-        AVG(CAST(n.not_degeri as FLOAT)) as ders_ortalama
-      FROM notlar n
-      JOIN dersler d ON n.ders_id = d.id
-      WHERE n.ogrenci_id = ?
-      GROUP BY d.id, d.ders_adi
-      ORDER BY ders_ortalama DESC
-    `;
-    
-    db.all(query, [id], (err, rows) => {
-      if (err) {
-        reject(err);
-      } else {
-        const genelOrtalama = rows.length > 0 ? 
-          rows.reduce((sum, row) => sum + row.ders_ortalama, 0) / rows.length : 0;
-        
-        resolve({
-          content: [{ 
-            type: "text", 
-            text: JSON.stringify({ 
-              data: {
-                genel_ortalama: genelOrtalama.toFixed(2),
-                ders_ortalamalari: rows
-              }
-            }, null, 2) 
-          }],
-        });
-      }
-    });
-  });
+const PII_MASKS = {
+  tc_no: (value) => maskMiddle(value, 3, 2),
+  telefon: (value) => maskMiddle(value, 4, 2),
+  veli_telefonu: (value) => maskMiddle(value, 4, 2),
+  email: (value) => {
+    const [local, domain] = String(value).split('@');
+    return domain === undefined ? maskMiddle(value, 1, 0) : `${maskMiddle(local, 1, 0)}@${domain}`;
+  },
+};
+
+// Araç argümanlarında açıkça istenen alanlar: liste araçlarında fields, custom_query'de sorguda adı geçen kolonlar
+function requestedPiiFields(name, args) {
+  if (name === ToolName.CUSTOM_QUERY) {
+    return Object.keys(piiPolicy.alanlar).filter((field) => new RegExp(`\\b${field}\\b`, 'i').test(args?.query ?? ''));
+  }
+  return typeof args?.fields === 'string' ? splitList(args.fields) : [];
 }
 
-async function customQuery(query, params = []) {
-  return new Promise((resolve, reject) => {
-    if (!query.trim().toUpperCase().startsWith('SELECT')) {
-      reject(new Error('Sadece SELECT sorguları desteklenir'));
-      return;
+// Bir araç çağrısının sonucunu politikaya göre maskeler; verilen kararlar (alan:karar -> adet) loglanmak üzere toplanır
+function createPiiMasker({ unmasked = false, requested = [] } = {}) {
+  const istenen = new Set(requested);
+  const kararlar = {};
+  const note = (field, karar) => {
+    kararlar[`${field}:${karar}`] = (kararlar[`${field}:${karar}`] || 0) + 1;
+  };
+
+  const apply = (value) => {
+    if (unmasked || value === null || typeof value !== 'object') {
+      return value;
     }
-    
-    db.all(query, params, (err, rows) => {
-      if (err) {
-        reject(err);
+    if (Array.isArray(value)) {
+      return value.map(apply);
+    }
+    const result = {};
+    for (const [key, field] of Object.entries(value)) {
+      const kural = piiPolicy.alanlar[key];
+      if (!kural || kural === 'goster' || field === null || typeof field === 'object') {
+        result[key] = apply(field);
+      } else if (kural === 'gizle' && !istenen.has(key)) {
+        note(key, 'gizlendi');
+      } else if (kural === 'gizle') {
+        note(key, 'istendi');
+        result[key] = field;
       } else {
-        resolve({
-          content: [{ type: "text", text: JSON.stringify({ data: rows }, null, 2) }],
-        });
+        // Bilinmeyen kurallar da maskele sayılır
+        note(key, 'maskelendi');
+        result[key] = (PII_MASKS[key] ?? ((text) => maskMiddle(text, 1, 1)))(field);
       }
-    });
-  });
+    }
+    return result;
+  };
+
+  return { apply, kararlar, unmasked };
 }
 
-const createMCPServer = () => {
+// Metin içerikteki JSON'a uygulanır; hata mesajları ve dosya kaynakları olduğu gibi kalır
+const maskToolResult = (result, masker) => ({
+  ...result,
+  content: result.content.map((item) => {
+    if (item.type !== 'text') {
+      return item;
+    }
+    try {
+      return { ...item, text: JSON.stringify(masker.apply(JSON.parse(item.text)), null, 2) };
+    } catch {
+      return item;
+    }
+  }),
+});
+
+const logPiiDecisions = (masker, { principal, kanal, oturum_id = null, arac }) => {
+  const ozet = Object.entries(masker.kararlar).map(([karar, adet]) => `${karar}=${adet}`).join(' ');
+  if (masker.unmasked || ozet) {
+    console.error(
+      `[PII] ${kanal} kullanici=${principal.sub} rol=${principal.rol} oturum=${oturum_id ?? '-'} arac=${arac ?? '-'} `
+      + `mod=${masker.unmasked ? 'maskesiz' : 'maskeli'}${ozet ? ` ${ozet}` : ''}`
+    );
+  }
+};
+
+const createMCPServer = ({ principal, unmasked = false }) => {
+  const showSalary = principal.rol === 'admin';
+
   const server = new Server(
     {
       name: "student-api-mcp",
@@ -346,13 +4662,13 @@ const createMCPServer = () => {
     const tools = [
       {
         name: ToolName.GET_ALL_STUDENTS,
-        description: "Tüm aktif öğrencileri sınıf bilgileriyle birlikte getir",
-        inputSchema: {},
+        description: "Aktif öğrencileri sayfalı getir (varsayılan 20 kayıt, devamı için next_cursor); sıralama, filtre ve alan seçimi desteklenir",
+        inputSchema: zodToJsonSchema(StudentListSchema),
       },
       {
         name: ToolName.GET_STUDENT_BY_ID,
         description: "ID ile öğrenci bilgilerini getir",
-        inputSchema: zodToJsonSchema(StudentIdSchema),
+        inputSchema: zodToJsonSchema(StudentDetailSchema),
       },
       {
         name: ToolName.GET_STUDENT_GRADES,
@@ -371,40 +4687,213 @@ const createMCPServer = () => {
       },
       {
         name: ToolName.GET_STUDENTS_BY_CLASS,
-        description: "Sınıfa göre öğrencileri getir",
-        inputSchema: zodToJsonSchema(ClassIdSchema),
+        description: "Sınıfa göre öğrencileri sayfalı getir (varsayılan 20 kayıt, devamı için next_cursor)",
+        inputSchema: zodToJsonSchema(StudentsByClassSchema),
+      },
+      {
+        name: ToolName.ADD_STUDENT,
+        description: "Yeni öğrenci ekle (TC Kimlik No, tarih, cinsiyet, telefon ve email doğrulanır)",
+        inputSchema: zodToJsonSchema(StudentSchema),
+      },
+      {
+        name: ToolName.UPDATE_STUDENT,
+        description: "Öğrenci bilgilerini güncelle (sadece gönderilen alanlar değişir, değişikliklerin öncesi/sonrası döner)",
+        inputSchema: zodToJsonSchema(UpdateStudentSchema),
+      },
+      {
+        name: ToolName.DELETE_STUDENT,
+        description: "Öğrenci sil (soft delete, restore_student ile geri alınabilir)",
+        inputSchema: zodToJsonSchema(StudentIdSchema),
+      },
+      {
+        name: ToolName.RESTORE_STUDENT,
+        description: "Silinmiş (pasif) öğrenciyi geri al",
+        inputSchema: zodToJsonSchema(StudentIdSchema),
       },
       {
         name: ToolName.SEARCH_STUDENTS,
-        description: "Öğrenci ara (isim, soyisim, TC)",
-        inputSchema: zodToJsonSchema(SearchSchema),
+        description: "Öğrenci ara (ad, soyad, TC, veli adı, telefon, email); Türkçe karakter ve yazım hatasına duyarsız, skora göre sıralı",
+        inputSchema: zodToJsonSchema(StudentSearchSchema),
       },
       {
         name: ToolName.GET_STUDENT_AVERAGE,
-        description: "Öğrencinin not ortalamasını getir",
+        description: "Öğrencinin not ortalamasını getir (sınav türü ve kredi ağırlıklı)",
+        inputSchema: zodToJsonSchema(StudentIdSchema),
+      },
+      {
+        name: ToolName.GET_ALL_TEACHERS,
+        description: "Tüm aktif öğretmenleri getir",
+        inputSchema: {},
+      },
+      {
+        name: ToolName.GET_TEACHER_BY_ID,
+        description: "ID ile öğretmen bilgilerini getir",
+        inputSchema: zodToJsonSchema(TeacherIdSchema),
+      },
+      {
+        name: ToolName.SEARCH_TEACHERS,
+        description: "Öğretmen ara (isim, soyisim, branş)",
+        inputSchema: zodToJsonSchema(SearchSchema),
+      },
+      {
+        name: ToolName.ADD_TEACHER,
+        description: "Yeni öğretmen ekle",
+        inputSchema: zodToJsonSchema(TeacherSchema),
+      },
+      {
+        name: ToolName.UPDATE_TEACHER,
+        description: "Öğretmen bilgilerini güncelle (sadece gönderilen alanlar)",
+        inputSchema: zodToJsonSchema(UpdateTeacherSchema),
+      },
+      {
+        name: ToolName.DELETE_TEACHER,
+        description: "Öğretmen sil (soft delete)",
+        inputSchema: zodToJsonSchema(TeacherIdSchema),
+      },
+      {
+        name: ToolName.GET_TEACHER_CLASSES,
+        description: "Öğretmenin sınıf öğretmeni olduğu sınıfları getir",
+        inputSchema: zodToJsonSchema(TeacherIdSchema),
+      },
+      {
+        name: ToolName.GET_TEACHER_LESSONS,
+        description: "Öğretmenin ders programındaki derslerini getir",
+        inputSchema: zodToJsonSchema(TeacherIdSchema),
+      },
+      {
+        name: ToolName.GET_TEACHER_GRADES,
+        description: "Öğretmenin girdiği notları getir",
+        inputSchema: zodToJsonSchema(TeacherIdSchema),
+      },
+      {
+        name: ToolName.GET_ALL_CLASSES,
+        description: "Tüm aktif sınıfları sınıf öğretmeni ve mevcut öğrenci sayısıyla getir",
+        inputSchema: {},
+      },
+      {
+        name: ToolName.GET_CLASS_BY_ID,
+        description: "ID ile sınıf bilgilerini getir",
+        inputSchema: zodToJsonSchema(ClassIdSchema),
+      },
+      {
+        name: ToolName.GET_CLASS_SUMMARY,
+        description: "Sınıf özeti: mevcut, kalan kontenjan ve cinsiyet dağılımı",
+        inputSchema: zodToJsonSchema(ClassIdSchema),
+      },
+      {
+        name: ToolName.ADD_CLASS,
+        description: "Yeni sınıf ekle",
+        inputSchema: zodToJsonSchema(ClassSchema),
+      },
+      {
+        name: ToolName.UPDATE_CLASS,
+        description: "Sınıf bilgilerini güncelle (sadece gönderilen alanlar)",
+        inputSchema: zodToJsonSchema(UpdateClassSchema),
+      },
+      {
+        name: ToolName.DELETE_CLASS,
+        description: "Sınıf sil (soft delete, sınıfta aktif öğrenci olmamalı)",
+        inputSchema: zodToJsonSchema(ClassIdSchema),
+      },
+      {
+        name: ToolName.LIST_COURSES,
+        description: "Ders kataloğunu getir (kredi, teorik/pratik saat)",
+        inputSchema: zodToJsonSchema(ListCoursesSchema),
+      },
+      {
+        name: ToolName.GET_COURSE,
+        description: "ID veya ders kodu ile ders bilgilerini getir",
+        inputSchema: zodToJsonSchema(GetCourseSchema),
+      },
+      {
+        name: ToolName.ADD_GRADE,
+        description: "Öğrenciye not gir (sınav türü: Yazılı, Sözlü, Proje, Ödev, Vize, Final)",
+        inputSchema: zodToJsonSchema(GradeSchema),
+      },
+      {
+        name: ToolName.UPDATE_GRADE,
+        description: "Girilmiş bir notu düzelt (sadece gönderilen alanlar)",
+        inputSchema: zodToJsonSchema(UpdateGradeToolSchema),
+      },
+      {
+        name: ToolName.RECORD_ATTENDANCE,
+        description: "Sınıf yoklaması kaydet: sınıf, ders, tarih ve gelmeyen öğrenciler (aynı gün tekrar eden kayıtlar atlanır)",
+        inputSchema: zodToJsonSchema(RollCallSchema),
+      },
+      {
+        name: ToolName.CREATE_CHARGE,
+        description: "Öğrenciye borç (tahakkuk) oluştur",
+        inputSchema: zodToJsonSchema(ChargeSchema),
+      },
+      {
+        name: ToolName.RECORD_PAYMENT,
+        description: "Bir borcu ödeme yöntemiyle birlikte ödendi olarak işaretle",
+        inputSchema: zodToJsonSchema(RecordPaymentToolSchema),
+      },
+      {
+        name: ToolName.GET_OVERDUE_PAYMENTS,
+        description: "Vadesi geçmiş ve ödenmemiş borçları getir",
+        inputSchema: zodToJsonSchema(OverduePaymentsSchema),
+      },
+      {
+        name: ToolName.GET_STUDENT_BALANCE,
+        description: "Öğrencinin toplam borç, ödenen ve kalan bakiyesini ödeme türüne göre getir",
         inputSchema: zodToJsonSchema(StudentIdSchema),
       },
+      {
+        name: ToolName.GET_CLASS_SCHEDULE,
+        description: "Sınıfın haftalık ders programını getir (örn. 10-B çarşamba günü hangi dersler var?)",
+        inputSchema: zodToJsonSchema(ClassScheduleSchema),
+      },
+      {
+        name: ToolName.GET_TEACHER_SCHEDULE,
+        description: "Öğretmenin haftalık ders programını getir",
+        inputSchema: zodToJsonSchema(TeacherScheduleSchema),
+      },
+      {
+        name: ToolName.GET_STUDENT_TRANSCRIPT,
+        description: "Öğrencinin transkripti: dönem dönem ders sonuçları, geçti/kaldı ve dönem ortalaması",
+        inputSchema: zodToJsonSchema(TranscriptSchema),
+      },
+      {
+        name: ToolName.GET_REPORT_CARD,
+        description: "Öğrencinin yazdırılabilir karnesini (HTML veya PDF) gömülü kaynak olarak getir",
+        inputSchema: zodToJsonSchema(ReportCardSchema),
+      },
+      {
+        name: ToolName.IMPORT_STUDENTS,
+        description: "CSV/XLSX dosyasından toplu öğrenci aktarımı (varsayılan dry_run: önce rapor)",
+        inputSchema: zodToJsonSchema(ImportStudentsSchema),
+      },
+      {
+        name: ToolName.GET_CHANGE_HISTORY,
+        description: "Bir kaydın değişiklik geçmişi: kim, hangi kanaldan (REST/MCP oturumu ve araç), ne zaman, önceki ve sonraki değerler",
+        inputSchema: zodToJsonSchema(AuditQuerySchema),
+      },
       {
         name: ToolName.CUSTOM_QUERY,
-        description: "Özel SELECT sorgusu çalıştır",
+        description: "Özel SELECT (veya WITH) sorgusu çalıştır. Salt okunur bağlantıda, rolün izinli tablo/kolonlarıyla (öğretmen: ogretmenler (maas hariç), siniflar, dersler, ders_programi), satır sınırı ve zaman aşımıyla çalışır",
         inputSchema: zodToJsonSchema(CustomQuerySchema),
       }
     ];
-    return { tools };
+    return { tools: tools.filter((tool) => canUseTool(principal, tool.name)) };
   });
 
   // Tool call handler
-  server.setRequestHandler(CallToolRequestSchema, async (request) => {
+  const callTool = async (request, masker) => {
     const { name, arguments: args } = request.params;
     
     try {
+      await authorizeTool(principal, name, args);
+
       switch (name) {
         case ToolName.GET_ALL_STUDENTS:
-          return await getAllStudents();
+          const studentListOptions = StudentListSchema.parse(args ?? {});
+          return toolResult(await listStudents(studentListOptions, { defaultLimit: MCP_PAGE_SIZE, principal }));
           
         case ToolName.GET_STUDENT_BY_ID:
-          const validatedId = StudentIdSchema.parse(args);
-          return await getStudentById(validatedId.id);
+          const validatedId = StudentDetailSchema.parse(args);
+          return await getStudentById(validatedId.id, validatedId.fields);
           
         case ToolName.GET_STUDENT_GRADES:
           const validatedGradesId = StudentIdSchema.parse(args);
@@ -419,77 +4908,381 @@ const createMCPServer = () => {
           return await getStudentPayments(validatedPaymentsId.id);
           
         case ToolName.GET_STUDENTS_BY_CLASS:
-          const validatedClassId = ClassIdSchema.parse(args);
-          return await getStudentsByClass(validatedClassId.sinif_id);
+          const { sinif_id: classListId, ...classListOptions } = StudentsByClassSchema.parse(args);
+          return toolResult(await listStudents(classListOptions, { sinifId: classListId, defaultLimit: MCP_PAGE_SIZE, principal }));
           
+        case ToolName.ADD_STUDENT:
+          return toolResult(await createStudent(args));
+
+        case ToolName.UPDATE_STUDENT:
+          const { id: updateStudentId, ...studentFields } = validate(UpdateStudentSchema, args, 'Geçersiz öğrenci bilgileri');
+          return toolResult(await patchStudent(updateStudentId, studentFields));
+
+        case ToolName.DELETE_STUDENT:
+          return toolResult(await deleteStudent(StudentIdSchema.parse(args).id));
+
+        case ToolName.RESTORE_STUDENT:
+          return toolResult(await restoreStudent(StudentIdSchema.parse(args).id));
+
         case ToolName.SEARCH_STUDENTS:
-          const validatedSearch = SearchSchema.parse(args);
-          return await searchStudents(validatedSearch.search);
+          const validatedSearch = StudentSearchSchema.parse(args);
+          return toolResult({ data: await searchStudents(validatedSearch.search, validatedSearch.limit, principal) });
           
         case ToolName.GET_STUDENT_AVERAGE:
           const validatedAverageId = StudentIdSchema.parse(args);
           return await getStudentAverage(validatedAverageId.id);
           
+        case ToolName.GET_ALL_TEACHERS:
+          return await getAllTeachers(showSalary);
+
+        case ToolName.GET_TEACHER_BY_ID:
+          const validatedTeacherId = TeacherIdSchema.parse(args);
+          return await getTeacherById(validatedTeacherId.id, showSalary);
+
+        case ToolName.SEARCH_TEACHERS:
+          const validatedTeacherSearch = SearchSchema.parse(args);
+          return await searchTeachers(validatedTeacherSearch.search, showSalary);
+
+        case ToolName.ADD_TEACHER:
+          const validatedTeacher = TeacherSchema.parse(args);
+          return await addTeacher(validatedTeacher);
+
+        case ToolName.UPDATE_TEACHER:
+          const { id: updateTeacherId, ...teacherFields } = UpdateTeacherSchema.parse(args);
+          return await updateTeacher(updateTeacherId, teacherFields);
+
+        case ToolName.DELETE_TEACHER:
+          const validatedDeleteTeacherId = TeacherIdSchema.parse(args);
+          return await deleteTeacher(validatedDeleteTeacherId.id);
+
+        case ToolName.GET_TEACHER_CLASSES:
+          const validatedTeacherClassesId = TeacherIdSchema.parse(args);
+          return await getTeacherClasses(validatedTeacherClassesId.id);
+
+        case ToolName.GET_TEACHER_LESSONS:
+          const validatedTeacherLessonsId = TeacherIdSchema.parse(args);
+          return await getTeacherLessons(validatedTeacherLessonsId.id);
+
+        case ToolName.GET_TEACHER_GRADES:
+          const validatedTeacherGradesId = TeacherIdSchema.parse(args);
+          return await getTeacherGrades(validatedTeacherGradesId.id);
+
+        case ToolName.GET_ALL_CLASSES:
+          return await getAllClasses();
+
+        case ToolName.GET_CLASS_BY_ID:
+          const validatedGetClassId = ClassIdSchema.parse(args);
+          return await getClassById(validatedGetClassId.sinif_id);
+
+        case ToolName.GET_CLASS_SUMMARY:
+          const validatedSummaryClassId = ClassIdSchema.parse(args);
+          return await getClassSummary(validatedSummaryClassId.sinif_id);
+
+        case ToolName.ADD_CLASS:
+          const validatedClass = ClassSchema.parse(args);
+          return await addClass(validatedClass);
+
+        case ToolName.UPDATE_CLASS:
+          const { sinif_id: updateClassId, ...classFields } = UpdateClassSchema.parse(args);
+          return await updateClass(updateClassId, classFields);
+
+        case ToolName.DELETE_CLASS:
+          const validatedDeleteClassId = ClassIdSchema.parse(args);
+          return await deleteClass(validatedDeleteClassId.sinif_id);
+
+        case ToolName.LIST_COURSES:
+          const validatedListCourses = ListCoursesSchema.parse(args ?? {});
+          return await listCourses(validatedListCourses.include_inactive);
+
+        case ToolName.GET_COURSE:
+          const validatedCourse = GetCourseSchema.parse(args);
+          return await getCourse(validatedCourse);
+
+        case ToolName.ADD_GRADE:
+          const validatedGrade = GradeSchema.parse(args);
+          return toolResult(await createGrade(validatedGrade));
+
+        case ToolName.UPDATE_GRADE:
+          const { id: updateGradeId, ...gradeFields } = UpdateGradeToolSchema.parse(args);
+          return toolResult(await updateGrade(updateGradeId, gradeFields));
+
+        case ToolName.RECORD_ATTENDANCE:
+          const validatedRollCall = RollCallSchema.parse(args);
+          return toolResult(await recordAttendance(validatedRollCall));
+
+        case ToolName.CREATE_CHARGE:
+          const validatedCharge = ChargeSchema.parse(args);
+          return toolResult(await createCharge(validatedCharge));
+
+        case ToolName.RECORD_PAYMENT:
+          const { id: paymentId, ...payment } = RecordPaymentToolSchema.parse(args);
+          return toolResult(await recordPayment(paymentId, payment));
+
+        case ToolName.GET_OVERDUE_PAYMENTS:
+          const validatedOverdue = OverduePaymentsSchema.parse(args ?? {});
+          return toolResult({ data: await getOverduePayments(validatedOverdue.sinif_id) });
+
+        case ToolName.GET_STUDENT_BALANCE:
+          const validatedBalanceId = StudentIdSchema.parse(args);
+          return toolResult({ data: await getStudentBalance(validatedBalanceId.id) });
+
+        case ToolName.GET_CLASS_SCHEDULE:
+          const validatedClassSchedule = ClassScheduleSchema.parse(args);
+          return toolResult({ data: await getWeeklySchedule(validatedClassSchedule) });
+
+        case ToolName.GET_TEACHER_SCHEDULE:
+          const validatedTeacherSchedule = TeacherScheduleSchema.parse(args);
+          return toolResult({ data: await getWeeklySchedule(validatedTeacherSchedule) });
+
+        case ToolName.GET_STUDENT_TRANSCRIPT:
+          const validatedTranscript = TranscriptSchema.parse(args);
+          return toolResult({ data: await getStudentTranscript(validatedTranscript.id, validatedTranscript.donem) });
+
+        case ToolName.GET_REPORT_CARD:
+          const { id: reportCardId, ...reportCardOptions } = ReportCardSchema.parse(args);
+          const reportCard = await buildReportCard(reportCardId, reportCardOptions);
+          const reportCardUri = `karne://ogrenci/${reportCardId}/karne.${reportCardOptions.format || 'html'}`;
+          return {
+            content: [{
+              type: "resource",
+              resource: reportCard.mimeType === 'application/pdf'
+                ? { uri: reportCardUri, mimeType: reportCard.mimeType, blob: reportCard.body.toString('base64') }
+                : { uri: reportCardUri, mimeType: reportCard.mimeType, text: reportCard.body },
+            }],
+          };
+
+        case ToolName.IMPORT_STUDENTS:
+          const importArgs = ImportStudentsSchema.parse(args);
+          const importFile = importArgs.format === 'xlsx'
+            ? Buffer.from(importArgs.content, 'base64')
+            : Buffer.from(importArgs.content, 'utf8');
+          const importRows = await parseStudentFile(importFile, importArgs.format);
+          return toolResult(await importStudents(importRows, { dryRun: importArgs.dry_run }));
+
+        case ToolName.GET_CHANGE_HISTORY:
+          return toolResult(await getChangeHistory(AuditQuerySchema.parse(args)));
+
         case ToolName.CUSTOM_QUERY:
           const validatedQuery = CustomQuerySchema.parse(args);
-          return await customQuery(validatedQuery.query, validatedQuery.params);
+          return await customQuery(principal, validatedQuery.query, validatedQuery.params, validatedQuery.format, masker);
           
         default:
           throw new Error(`Unknown tool: ${name}`);
       }
     } catch (error) {
+      const details = error.details ? `\n${JSON.stringify(error.details, null, 2)}` : '';
       return {
-        content: [{ type: "text", text: `Error: ${error.message}` }],
+        content: [{ type: "text", text: `Error: ${error.message}${details}` }],
         isError: true,
       };
     }
+  };
+
+  // Araçla yapılan değişiklikler denetim kaydına MCP oturumu ve araç adıyla yazılır,
+  // sonuçlar kişisel veri politikasına göre maskelenir
+  server.setRequestHandler(CallToolRequestSchema, (request, extra) => auditContext.run(
+    { aktor: principal.sub, rol: principal.rol, kanal: 'MCP', oturum_id: extra.sessionId ?? null, arac: request.params.name },
+    async () => {
+      const { name, arguments: args } = request.params;
+      const masker = createPiiMasker({ unmasked, requested: requestedPiiFields(name, args) });
+      const result = maskToolResult(await callTool(request, masker), masker);
+      logPiiDecisions(masker, { principal, kanal: 'MCP', oturum_id: extra.sessionId, arac: name });
+      return result;
+    }
+  ));
+
+  // Resources: custom_query yazarken kullanılacak şema bilgisi (rolün sorgulayabildiği tablolar)
+  // ve öğrenci, sınıf listesi, ders kayıtları
+  const schemaTables = queryableTables(principal);
+
+  const readResource = async (uri, masker) => {
+    const record = await readRecordResource(uri, principal);
+    if (record !== undefined) {
+      return masker.apply(record);
+    }
+    if (uri === 'schema://tables') {
+      return listSchemaTables(principal);
+    }
+    const table = uri.match(/^schema:\/\/table\/([^/]+)$/);
+    if (table) {
+      const schema = await describeSchemaTable(decodeURIComponent(table[1]), principal);
+      return { ...schema, ornek_satirlar: masker.apply(schema.ornek_satirlar) };
+    }
+    throw new Error(`Unknown resource: ${uri}`);
+  };
+
+  server.setRequestHandler(ListResourcesRequestSchema, async (request) => {
+    const schemaResources = schemaTables.length ? [
+      {
+        uri: 'schema://tables',
+        name: 'Veritabanı tabloları',
+        description: 'custom_query ile sorgulanabilen tablolar, satır sayıları ve SQL ipuçları',
+        mimeType: 'application/json',
+      },
+      ...schemaTables.map((tablo) => ({
+        uri: `schema://table/${tablo}`,
+        name: `${tablo} tablosu`,
+        description: TABLE_DESCRIPTIONS[tablo],
+        mimeType: 'application/json',
+      })),
+    ] : [];
+
+    // Öğrenci sayısı kadar kaynak olabileceği için sayfalı döner; cursor bir sonraki sayfanın başlangıcıdır
+    const resources = [...schemaResources, ...(await listRecordResources(principal))];
+    const offset = Number(request.params?.cursor) || 0;
+    const nextOffset = offset + RESOURCE_PAGE_SIZE;
+    return {
+      resources: resources.slice(offset, nextOffset),
+      ...(nextOffset < resources.length && { nextCursor: String(nextOffset) }),
+    };
+  });
+
+  server.setRequestHandler(ListResourceTemplatesRequestSchema, async () => ({
+    resourceTemplates: [
+      ...(schemaTables.length ? [{
+        uriTemplate: 'schema://table/{name}',
+        name: 'Tablo şeması',
+        description: 'Kolonlar, türler, CHECK ile izin verilen değerler, yabancı anahtarlar, Türkçe açıklamalar ve örnek satırlar',
+        mimeType: 'application/json',
+      }] : []),
+      ...RECORD_RESOURCES
+        .filter((resource) => canUseTool(principal, resource.arac))
+        .map(({ uriTemplate, name, description }) => ({ uriTemplate, name, description, mimeType: 'application/json' })),
+    ],
+  }));
+
+  // Örnek satırlar araç sonuçları gibi kişisel veri politikasına göre maskelenir
+  server.setRequestHandler(ReadResourceRequestSchema, async (request, extra) => {
+    const { uri } = request.params;
+    const masker = createPiiMasker({ unmasked });
+    const payload = await readResource(uri, masker);
+    logPiiDecisions(masker, { principal, kanal: 'MCP', oturum_id: extra.sessionId, arac: uri });
+    return {
+      contents: [{ uri, mimeType: 'application/json', text: JSON.stringify(payload, null, 2) }],
+    };
+  });
+
+  // Abonelik: kaynak okunabiliyorsa (var ve yetki varsa) kaydedilir, değişince resources/updated gönderilir
+  const subscriptions = new Set();
+
+  server.setRequestHandler(SubscribeRequestSchema, async (request) => {
+    const { uri } = request.params;
+    await readResource(uri, createPiiMasker({ unmasked }));
+    subscriptions.add(uri);
+    resourceSubscriptions.set(server, subscriptions);
+    return {};
   });
 
-  // Prompt handlers (minimal implementation as we focus on tools)
-  server.setRequestHandler(ListPromptsRequestSchema, async () => {
-    return { prompts: [] };
+  server.setRequestHandler(UnsubscribeRequestSchema, async (request) => {
+    subscriptions.delete(request.params.uri);
+    if (subscriptions.size === 0) {
+      resourceSubscriptions.delete(server);
+    }
+    return {};
   });
 
-  server.setRequestHandler(GetPromptRequestSchema, async (request) => {
-    throw new Error(`Unknown prompt: ${request.params.name}`);
+  // Prompts: okul iş akışları (veli görüşmesi, haftalık sınıf özeti, ödeme ve devamsızlık mektupları)
+  server.setRequestHandler(ListPromptsRequestSchema, async () => ({
+    prompts: listPrompts(principal),
+  }));
+
+  server.setRequestHandler(GetPromptRequestSchema, async (request, extra) => {
+    const { name, arguments: args } = request.params;
+    const masker = createPiiMasker({ unmasked });
+    const prompt = await getPrompt(name, args, principal, masker).catch((err) => {
+      // Hatalı argümanlar JSON-RPC hatasında alan bazında görünsün
+      throw err.details ? new Error(`${err.message}: ${JSON.stringify(err.details)}`) : err;
+    });
+    logPiiDecisions(masker, { principal, kanal: 'MCP', oturum_id: extra.sessionId, arac: name });
+    return prompt;
   });
 
+  // Completions: prompt argümanları ve kaynak şablonu ID'leri canlı veritabanından önerilir
+  server.setRequestHandler(CompleteRequestSchema, async (request) => ({
+    completion: await complete(request.params.ref, request.params.argument, principal),
+  }));
+
   const cleanup = async () => {
-    // Cleanup logic if needed
+    resourceSubscriptions.delete(server);
   };
 
-  return { server, cleanup };
-};
+  return { server, cleanup };
+};
+
+// ======================
+// OTURUM
+// ======================
+
+// API anahtarıyla JWT oturumu aç: { api_key } -> { token }
+app.post('/api/oturum', (req, res) => {
+  const principal = apiKeys.get(req.body?.api_key);
+  if (!principal) {
+    res.status(401).json({ error: 'Geçersiz API anahtarı' });
+    return;
+  }
+  res.json({ token: signSession(principal), token_type: 'Bearer', expires_in: JWT_EXPIRES_IN, rol: principal.rol });
+});
+
+// Bundan sonraki tüm /api endpoint'leri kimlik doğrulaması ister.
+// Yapılan değişiklikler denetim kaydına istek sahibi ve istek satırıyla yazılır.
+app.use('/api', requireAuth, (req, res, next) => {
+  auditContext.run(
+    { aktor: req.auth.sub, rol: req.auth.rol, kanal: 'REST', istek: `${req.method} ${req.originalUrl}` },
+    next
+  );
+});
+
+// Oturum sahibi ve kullanabileceği MCP araçları (mcp-server.js araç listesini buna göre filtreler)
+app.get('/api/oturum', (req, res) => {
+  res.json({
+    data: {
+      ...req.auth,
+      araclar: Object.values(ToolName).filter((name) => canUseTool(req.auth, name)),
+      pii: { alanlar: piiPolicy.alanlar, maskesiz_izinli: canUnmask(req.auth) },
+    },
+  });
+});
+
+// JSON yanıtlar kişisel veri politikasına göre maskelenir (?fields= ile açıkça istenen gizli alanlar gelir).
+// Maskesiz yanıtı sadece maskesiz_roller'daki kimlikler alır; X-PII-Mask: 1 ile onlar da maskeli ister
+// (mcp-server.js maskeli modda), X-PII-Mask: 0 ile maskesiz isteği loglanır. Dosya üreten ya da istenen alanları
+// başka yerden okuyan endpoint'ler req.piiMasker'ı kullanır veya değiştirir. /api/oturum politikanın kendisini
+// döndüğü için bundan önce gelir.
+app.use('/api', (req, res, next) => {
+  const istek = req.get('X-PII-Mask');
+  const arac = `${req.method} ${req.baseUrl}${req.path}`;
+  const log = (masker) => res.on('finish', () => logPiiDecisions(masker, { principal: req.auth, kanal: 'REST', arac }));
+
+  if (canUnmask(req.auth) && istek !== '1') {
+    if (istek === '0') {
+      log(createPiiMasker({ unmasked: true }));
+    }
+    next();
+    return;
+  }
+
+  if (istek === '0') {
+    console.error(`[PII] REST kullanici=${req.auth.sub} rol=${req.auth.rol} arac=${arac} maskesiz mod için yetki yok, maskeleniyor`);
+  }
+  req.piiMasker = createPiiMasker({ requested: typeof req.query.fields === 'string' ? splitList(req.query.fields) : [] });
+  const json = res.json.bind(res);
+  res.json = (body) => json(req.piiMasker.apply(body));
+  log(req.piiMasker);
+  next();
+});
 
 // Keep the original REST API endpoints
 // ======================
 // ÖĞRENCİLER API ENDPOINTS
 // ======================
 
-// Tüm öğrencileri getir
+// Öğrencileri getir (sayfalı, filtrelenebilir)
 app.get('/api/ogrenciler', (req, res) => {
-  const query = `
-    SELECT 
-      o.*,
-      s.sinif_adi,
-      s.seviye
-    FROM ogrenciler o
-    LEFT JOIN siniflar s ON o.sinif_id = s.id
-    WHERE o.aktif = 1
-    ORDER BY o.ad, o.soyad
-  `;
-  
-  db.all(query, [], (err, rows) => {
-    if (err) {
-      res.status(500).json({ error: err.message });
-      return;
-    }
-    res.json({ data: rows });
-  });
+  sendStudentList(req, res, null, 'ogrenciler');
 });
 
 // ID'ye göre öğrenci getir
-app.get('/api/ogrenciler/:id', (req, res) => {
+app.get('/api/ogrenciler/:id', studentParam(), (req, res) => {
   const query = `
     SELECT 
       o.*, 
@@ -509,63 +5302,284 @@ app.get('/api/ogrenciler/:id', (req, res) => {
       res.status(404).json({ error: 'Öğrenci bulunamadı' });
       return;
     }
-    res.json({ data: row });
+    try {
+      res.json({ data: pickFields(row, req.query.fields) });
+    } catch (error) {
+      res.status(error.status).json({ error: error.message });
+    }
   });
 });
 
 // Öğrenci notlarını getir
-app.get('/api/ogrenciler/:id/notlar', (req, res) => {
+app.get('/api/ogrenciler/:id/notlar', studentParam(), (req, res) => {
   const query = `
     SELECT 
       n.*, 
       d.ders_adi,
-      d.kod as ders_kodu
+      d.ders_kodu
     FROM notlar n
     JOIN dersler d ON n.ders_id = d.id
     WHERE n.ogrenci_id = ?
     ORDER BY n.tarih DESC
   `;
   
-  db.all(query, [req.params.id], (err, rows) => {
-    if (err) {
-      res.status(500).json({ error: err.message });
-      return;
-    }
-    res.json({ data: rows });
-  });
+  sendRows(req, res, query, [req.params.id], `ogrenci-${req.params.id}-notlar`);
 });
 
 // Öğrenci devamsızlıklarını getir
-app.get('/api/ogrenciler/:id/devamsizlik', (req, res) => {
+app.get('/api/ogrenciler/:id/devamsizlik', studentParam(), (req, res) => {
   const query = `
     SELECT 
       d.*, 
       dr.ders_adi,
-      dr.kod as ders_kodu
+      dr.ders_kodu
     FROM devamsizlik d
     JOIN dersler dr ON d.ders_id = dr.id
     WHERE d.ogrenci_id = ?
     ORDER BY d.tarih DESC
   `;
   
-  db.all(query, [req.params.id], (err, rows) => {
+  sendRows(req, res, query, [req.params.id], `ogrenci-${req.params.id}-devamsizlik`);
+});
+
+// Öğrenci ödemelerini getir
+app.get('/api/ogrenciler/:id/odemeler', studentParam(), (req, res) => {
+  const query = `
+    SELECT *
+    FROM odemeler
+    WHERE ogrenci_id = ?
+    ORDER BY odeme_tarihi DESC
+  `;
+  
+  sendRows(req, res, query, [req.params.id], `ogrenci-${req.params.id}-odemeler`);
+});
+
+// Sınıfa göre öğrenciler
+app.get('/api/siniflar/:sinifId/ogrenciler', classParam('sinifId', 'admin', 'ogretmen'), (req, res) => {
+  sendStudentList(req, res, Number(req.params.sinifId), `sinif-${req.params.sinifId}-ogrenciler`);
+});
+
+// Öğrenci listeleri için ortak cevap.
+// ?limit=&offset=&cursor=&sort=&fields=&seviye=&sube=&cinsiyet=&kayit_baslangic=&kayit_bitis=
+// Dışa aktarmada limit verilmezse tüm liste stream edilir.
+function sendStudentList(req, res, sinifId, name) {
+  const parsed = StudentListSchema.safeParse(req.query);
+  if (!parsed.success) {
+    res.status(400).json({ error: 'Geçersiz liste parametreleri', details: parsed.error.issues });
+    return;
+  }
+
+  try {
+    if (exportFormatOf(req)) {
+      const { query, params } = buildStudentListQuery(resolveListOptions(parsed.data), sinifId, req.auth);
+      sendRows(req, res, query, params, name);
+      return;
+    }
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+    return;
+  }
+
+  listStudents(parsed.data, { sinifId, defaultLimit: REST_PAGE_SIZE, principal: req.auth })
+    .then((result) => res.json(result))
+    .catch((err) => res.status(err.status || 500).json({ error: err.message }));
+}
+
+// Öğrenci ara (ad, soyad, TC, veli adı, telefon, email); sonuçlar skora göre sıralı (?limit=)
+app.get('/api/ogrenciler/ara/:search', (req, res) => {
+  const parsed = StudentSearchSchema.safeParse({ ...req.query, search: req.params.search });
+  if (!parsed.success) {
+    res.status(400).json({ error: 'Geçersiz arama', details: parsed.error.issues });
+    return;
+  }
+
+  searchStudents(parsed.data.search, parsed.data.limit, req.auth)
+    .then((rows) => res.json({ data: rows }))
+    .catch((err) => res.status(500).json({ error: err.message }));
+});
+
+// Öğrenci not ortalaması (sınav türü ve kredi ağırlıklı)
+app.get('/api/ogrenciler/:id/ortalama', studentParam(), (req, res) => {
+  calculateWeightedAverages(req.params.id)
+    .then(({ genel_ortalama, dersler }) => {
+      res.json({
+        data: {
+          genel_ortalama: genel_ortalama.toFixed(2),
+          ders_ortalamalari: dersler,
+          not_politikasi: gradingPolicy
+        }
+      });
+    })
+    .catch((err) => res.status(err.status || 500).json({ error: err.message }));
+});
+
+// Öğrenci transkripti (?donem=2024-2025 Güz)
+app.get('/api/ogrenciler/:id/transkript', studentParam(), (req, res) => {
+  getStudentTranscript(req.params.id, req.query.donem || null)
+    .then((transcript) => res.json({ data: transcript }))
+    .catch((err) => res.status(err.status || 500).json({ error: err.message }));
+});
+
+// Öğrenci karnesi (?donem=...&format=html|pdf)
+app.get('/api/ogrenciler/:id/karne', studentParam(), (req, res) => {
+  const parsed = ReportCardOptionsSchema.safeParse(req.query);
+  if (!parsed.success) {
+    res.status(400).json({ error: 'Geçersiz karne isteği', details: parsed.error.issues });
+    return;
+  }
+
+  buildReportCard(req.params.id, parsed.data)
+    .then(({ filename, mimeType, body }) => {
+      res.type(mimeType);
+      res.set('Content-Disposition', `${mimeType === 'application/pdf' ? 'attachment' : 'inline'}; filename="${filename}"`);
+      res.send(body);
+    })
+    .catch((err) => res.status(err.status || 500).json({ error: err.message }));
+});
+
+// Geçerli not politikası (ağırlıklar ve geçme notu)
+app.get('/api/not-politikasi', (req, res) => {
+  res.json({ data: gradingPolicy });
+});
+
+// Yeni öğrenci ekle
+app.post('/api/ogrenciler', adminOnly, (req, res) => {
+  createStudent(req.body)
+    .then((result) => res.json(result))
+    .catch((err) => res.status(err.status || 500).json({ error: err.message, details: err.details }));
+});
+
+// CSV/XLSX dosyasından toplu öğrenci aktarımı.
+// Dosya istek gövdesinde ham olarak gönderilir (Content-Type: text/csv veya xlsx).
+// Varsayılan sadece rapor döner (dry run), kayıtları yazmak için ?dry_run=0 gönderilir.
+app.post('/api/ogrenciler/ice-aktar', adminOnly, express.raw({ type: ['text/csv', XLSX_MIME, 'application/octet-stream'], limit: '10mb' }), (req, res) => {
+  if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+    res.status(400).json({ error: 'Dosya içeriği bulunamadı (Content-Type: text/csv veya xlsx olmalı)' });
+    return;
+  }
+  const format = req.query.format || (req.is(XLSX_MIME) ? 'xlsx' : 'csv');
+  if (!['csv', 'xlsx'].includes(format)) {
+    res.status(400).json({ error: 'Desteklenmeyen format, csv veya xlsx olmalı' });
+    return;
+  }
+  const dryRun = !['0', 'false'].includes(req.query.dry_run);
+
+  parseStudentFile(req.body, format)
+    .then((rows) => importStudents(rows, { dryRun }))
+    .then((rapor) => res.json(rapor))
+    .catch((err) => res.status(err.status || 500).json({ error: err.message, details: err.details }));
+});
+
+// Öğrenci güncelle
+app.put('/api/ogrenciler/:id', adminOnly, (req, res) => {
+  replaceStudent(req.params.id, req.body)
+    .then((result) => res.json(result))
+    .catch((err) => res.status(err.status || 500).json({ error: err.message, details: err.details }));
+});
+
+// Öğrenci kısmi güncelle (sadece gönderilen alanlar, cevapta önceki/yeni değerler)
+app.patch('/api/ogrenciler/:id', adminOnly, (req, res) => {
+  patchStudent(req.params.id, req.body)
+    .then((result) => res.json(result))
+    .catch((err) => res.status(err.status || 500).json({ error: err.message, details: err.details }));
+});
+
+// KVKK: saklama süresi dolan pasif öğrencileri anonimleştir.
+// Varsayılan olarak sadece rapor döner, uygulamak için ?dry_run=0 (?saklama_suresi_gun=... ile süre değiştirilebilir)
+app.post('/api/ogrenciler/kvkk-temizlik', adminOnly, (req, res) => {
+  const parsed = KvkkPurgeSchema.safeParse(req.query);
+  if (!parsed.success) {
+    res.status(400).json({ error: 'Geçersiz parametre', details: parsed.error.issues });
+    return;
+  }
+
+  purgeInactiveStudents(parsed.data)
+    .then((rapor) => res.json(rapor))
+    .catch((err) => res.status(err.status || 500).json({ error: err.message }));
+});
+
+// Silinmiş (pasif) öğrenciyi geri al
+app.post('/api/ogrenciler/:id/geri-al', adminOnly, (req, res) => {
+  restoreStudent(req.params.id)
+    .then((result) => res.json(result))
+    .catch((err) => res.status(err.status || 500).json({ error: err.message }));
+});
+
+// Öğrenci sil (soft delete)
+app.delete('/api/ogrenciler/:id', adminOnly, (req, res) => {
+  deleteStudent(req.params.id)
+    .then((result) => res.json(result))
+    .catch((err) => res.status(err.status || 500).json({ error: err.message }));
+});
+
+// ======================
+// ÖĞRETMENLER API ENDPOINTS
+// ======================
+
+// Tüm öğretmenleri getir
+app.get('/api/ogretmenler', staffOnly, (req, res) => {
+  const query = `
+    SELECT *
+    FROM ogretmenler
+    WHERE aktif = 1
+    ORDER BY ad, soyad
+  `;
+
+  db.all(query, [], (err, rows) => {
     if (err) {
       res.status(500).json({ error: err.message });
       return;
     }
-    res.json({ data: rows });
+    res.json({ data: canSeeSalary(req) ? rows : rows.map(hideSalary) });
   });
 });
 
-// Öğrenci ödemelerini getir
-app.get('/api/ogrenciler/:id/odemeler', (req, res) => {
+// Öğretmen ara (isim, soyisim, branş)
+app.get('/api/ogretmenler/ara/:search', staffOnly, (req, res) => {
+  const searchTerm = `%${req.params.search}%`;
   const query = `
     SELECT *
-    FROM odemeler
-    WHERE ogrenci_id = ?
-    ORDER BY tarih DESC
+    FROM ogretmenler
+    WHERE (ad LIKE ? OR soyad LIKE ? OR brans LIKE ?)
+    AND aktif = 1
+    ORDER BY ad, soyad
   `;
-  
+
+  db.all(query, [searchTerm, searchTerm, searchTerm], (err, rows) => {
+    if (err) {
+      res.status(500).json({ error: err.message });
+      return;
+    }
+    res.json({ data: canSeeSalary(req) ? rows : rows.map(hideSalary) });
+  });
+});
+
+// ID'ye göre öğretmen getir
+app.get('/api/ogretmenler/:id', staffOnly, (req, res) => {
+  const query = `SELECT * FROM ogretmenler WHERE id = ?`;
+
+  db.get(query, [req.params.id], (err, row) => {
+    if (err) {
+      res.status(500).json({ error: err.message });
+      return;
+    }
+    if (!row) {
+      res.status(404).json({ error: 'Öğretmen bulunamadı' });
+      return;
+    }
+    res.json({ data: canSeeSalary(req) ? row : hideSalary(row) });
+  });
+});
+
+// Öğretmenin sınıf öğretmeni olduğu sınıflar
+app.get('/api/ogretmenler/:id/siniflar', teacherSelf(), (req, res) => {
+  const query = `
+    SELECT *
+    FROM siniflar
+    WHERE ogretmen_id = ? AND aktif = 1
+    ORDER BY seviye, sube
+  `;
+
   db.all(query, [req.params.id], (err, rows) => {
     if (err) {
       res.status(500).json({ error: err.message });
@@ -575,20 +5589,23 @@ app.get('/api/ogrenciler/:id/odemeler', (req, res) => {
   });
 });
 
-// Sınıfa göre öğrenciler
-app.get('/api/siniflar/:sinifId/ogrenciler', (req, res) => {
+// Öğretmenin ders programındaki dersleri
+app.get('/api/ogretmenler/:id/dersler', teacherSelf(), (req, res) => {
   const query = `
-    SELECT 
-      o.*, 
+    SELECT
+      dp.*,
+      d.ders_adi,
+      d.ders_kodu,
       s.sinif_adi,
-      s.seviye
-    FROM ogrenciler o
-    JOIN siniflar s ON o.sinif_id = s.id
-    WHERE o.sinif_id = ? AND o.aktif = 1
-    ORDER BY o.ad, o.soyad
+      s.sube
+    FROM ders_programi dp
+    JOIN dersler d ON dp.ders_id = d.id
+    JOIN siniflar s ON dp.sinif_id = s.id
+    WHERE dp.ogretmen_id = ? AND dp.aktif = 1
+    ORDER BY dp.donem, dp.gun, dp.baslama_saati
   `;
-  
-  db.all(query, [req.params.sinifId], (err, rows) => {
+
+  db.all(query, [req.params.id], (err, rows) => {
     if (err) {
       res.status(500).json({ error: err.message });
       return;
@@ -597,22 +5614,241 @@ app.get('/api/siniflar/:sinifId/ogrenciler', (req, res) => {
   });
 });
 
-// Öğrenci ara (isim, soyisim, TC)
-app.get('/api/ogrenciler/ara/:search', (req, res) => {
-  const searchTerm = `%${req.params.search}%`;
+// Öğretmenin girdiği notlar
+app.get('/api/ogretmenler/:id/notlar', teacherSelf(), (req, res) => {
   const query = `
-    SELECT 
-      o.*, 
+    SELECT
+      n.*,
+      o.ad as ogrenci_adi,
+      o.soyad as ogrenci_soyadi,
+      d.ders_adi,
+      d.ders_kodu
+    FROM notlar n
+    JOIN ogrenciler o ON n.ogrenci_id = o.id
+    JOIN dersler d ON n.ders_id = d.id
+    WHERE n.ogretmen_id = ?
+    ORDER BY n.tarih DESC
+  `;
+
+  db.all(query, [req.params.id], (err, rows) => {
+    if (err) {
+      res.status(500).json({ error: err.message });
+      return;
+    }
+    res.json({ data: rows });
+  });
+});
+
+// Yeni öğretmen ekle
+app.post('/api/ogretmenler', adminOnly, validateBody(TeacherSchema, 'Geçersiz öğretmen bilgisi'), (req, res) => {
+  const query = `
+    INSERT INTO ogretmenler (${TEACHER_COLUMNS.join(', ')})
+    VALUES (${TEACHER_COLUMNS.map(() => '?').join(', ')})
+  `;
+
+  auditedRun('ogretmenler', null, query, TEACHER_COLUMNS.map((column) => req.body[column]))
+    .then(({ lastID }) => res.json({ message: 'Öğretmen başarıyla eklendi', id: lastID }))
+    .catch((err) => res.status(500).json({ error: err.message }));
+});
+
+// Öğretmen güncelle (sadece gönderilen alanlar)
+app.put('/api/ogretmenler/:id', adminOnly, (req, res) => {
+  patchTeacher(req.params.id, req.body)
+    .then((result) => res.json(result))
+    .catch((err) => res.status(err.status || 500).json({ error: err.message, details: err.details }));
+});
+
+// Öğretmen sil (soft delete)
+app.delete('/api/ogretmenler/:id', adminOnly, (req, res) => {
+  const query = `UPDATE ogretmenler SET aktif = 0 WHERE id = ? AND aktif = 1`;
+
+  auditedRun('ogretmenler', req.params.id, query, [req.params.id])
+    .then(({ changes }) => {
+      if (changes === 0) {
+        res.status(404).json({ error: 'Öğretmen bulunamadı' });
+        return;
+      }
+      res.json({ message: 'Öğretmen başarıyla silindi', changes });
+    })
+    .catch((err) => res.status(500).json({ error: err.message }));
+});
+
+// ======================
+// SINIFLAR API ENDPOINTS
+// ======================
+
+// Tüm sınıfları getir
+app.get('/api/siniflar', staffOnly, (req, res) => {
+  const query = `
+    SELECT
+      s.*,
+      t.ad || ' ' || t.soyad as ogretmen_adi,
+      (SELECT COUNT(*) FROM ogrenciler o WHERE o.sinif_id = s.id AND o.aktif = 1) as mevcut
+    FROM siniflar s
+    LEFT JOIN ogretmenler t ON s.ogretmen_id = t.id
+    WHERE s.aktif = 1
+    ORDER BY s.seviye, s.sube
+  `;
+
+  db.all(query, [], (err, rows) => {
+    if (err) {
+      res.status(500).json({ error: err.message });
+      return;
+    }
+    res.json({ data: rows });
+  });
+});
+
+// ID'ye göre sınıf getir
+app.get('/api/siniflar/:id', classParam('id', 'admin', 'ogretmen'), (req, res) => {
+  const query = `
+    SELECT
+      s.*,
+      t.ad || ' ' || t.soyad as ogretmen_adi
+    FROM siniflar s
+    LEFT JOIN ogretmenler t ON s.ogretmen_id = t.id
+    WHERE s.id = ?
+  `;
+
+  db.get(query, [req.params.id], (err, row) => {
+    if (err) {
+      res.status(500).json({ error: err.message });
+      return;
+    }
+    if (!row) {
+      res.status(404).json({ error: 'Sınıf bulunamadı' });
+      return;
+    }
+    res.json({ data: row });
+  });
+});
+
+// Sınıf özeti (mevcut, kalan kontenjan, cinsiyet dağılımı)
+app.get('/api/siniflar/:id/ozet', classParam('id', 'admin', 'ogretmen'), (req, res) => {
+  const query = `
+    SELECT
+      s.id,
       s.sinif_adi,
-      s.seviye
-    FROM ogrenciler o
-    LEFT JOIN siniflar s ON o.sinif_id = s.id
-    WHERE (o.ad LIKE ? OR o.soyad LIKE ? OR o.tc_no LIKE ?)
-    AND o.aktif = 1
-    ORDER BY o.ad, o.soyad
+      s.seviye,
+      s.sube,
+      t.ad || ' ' || t.soyad as ogretmen_adi,
+      s.kontenjan,
+      COUNT(o.id) as mevcut,
+      s.kontenjan - COUNT(o.id) as kalan_kontenjan,
+      SUM(CASE WHEN o.cinsiyet = 'E' THEN 1 ELSE 0 END) as erkek,
+      SUM(CASE WHEN o.cinsiyet = 'K' THEN 1 ELSE 0 END) as kiz
+    FROM siniflar s
+    LEFT JOIN ogretmenler t ON s.ogretmen_id = t.id
+    LEFT JOIN ogrenciler o ON o.sinif_id = s.id AND o.aktif = 1
+    WHERE s.id = ?
+    GROUP BY s.id
+  `;
+
+  db.get(query, [req.params.id], (err, row) => {
+    if (err) {
+      res.status(500).json({ error: err.message });
+      return;
+    }
+    if (!row) {
+      res.status(404).json({ error: 'Sınıf bulunamadı' });
+      return;
+    }
+    res.json({ data: row });
+  });
+});
+
+// Yeni sınıf ekle
+app.post('/api/siniflar', adminOnly, validateBody(ClassSchema, 'Geçersiz sınıf bilgisi'), (req, res) => {
+  const columns = CLASS_COLUMNS.filter((column) => req.body[column] !== undefined);
+  const query = `
+    INSERT INTO siniflar (${columns.join(', ')})
+    VALUES (${columns.map(() => '?').join(', ')})
+  `;
+
+  auditedRun('siniflar', null, query, columns.map((column) => req.body[column]))
+    .then(({ lastID }) => res.json({ message: 'Sınıf başarıyla eklendi', id: lastID }))
+    .catch((err) => res.status(500).json({ error: err.message }));
+});
+
+// Sınıf güncelle (sadece gönderilen alanlar)
+app.put('/api/siniflar/:id', adminOnly, (req, res) => {
+  patchClass(req.params.id, req.body)
+    .then((result) => res.json(result))
+    .catch((err) => res.status(err.status || 500).json({ error: err.message, details: err.details }));
+});
+
+// Sınıfın tüm karneleri tek zip dosyasında (?donem=...&format=html|pdf)
+app.get('/api/siniflar/:id/karne', classParam('id', 'admin', 'ogretmen'), async (req, res) => {
+  const parsed = ReportCardOptionsSchema.safeParse(req.query);
+  if (!parsed.success) {
+    res.status(400).json({ error: 'Geçersiz karne isteği', details: parsed.error.issues });
+    return;
+  }
+
+  try {
+    const sinif = await dbGet(`SELECT id, sinif_adi, sube FROM siniflar WHERE id = ?`, [req.params.id]);
+    if (!sinif) {
+      res.status(404).json({ error: 'Sınıf bulunamadı' });
+      return;
+    }
+    const ogrenciler = await dbAll(
+      `SELECT id FROM ogrenciler WHERE sinif_id = ? AND aktif = 1 ORDER BY ad, soyad`,
+      [sinif.id]
+    );
+
+    const archive = archiver('zip');
+    archive.on('error', (err) => res.destroy(err));
+    res.attachment(`karneler-${slugify(`${sinif.sinif_adi} ${sinif.sube}`)}.zip`);
+    archive.pipe(res);
+
+    for (const ogrenci of ogrenciler) {
+      const { filename, body } = await buildReportCard(ogrenci.id, parsed.data);
+      archive.append(body, { name: filename });
+    }
+    await archive.finalize();
+  } catch (err) {
+    if (res.headersSent) {
+      res.destroy(err);
+    } else {
+      res.status(err.status || 500).json({ error: err.message });
+    }
+  }
+});
+
+// Sınıf sil (soft delete, sınıfta aktif öğrenci olmamalı)
+app.delete('/api/siniflar/:id', adminOnly, (req, res) => {
+  const query = `
+    UPDATE siniflar SET aktif = 0
+    WHERE id = ? AND aktif = 1
+    AND NOT EXISTS (SELECT 1 FROM ogrenciler WHERE sinif_id = siniflar.id AND aktif = 1)
+  `;
+
+  auditedRun('siniflar', req.params.id, query, [req.params.id])
+    .then(({ changes }) => {
+      if (changes === 0) {
+        res.status(409).json({ error: 'Sınıf bulunamadı veya sınıfta hâlâ aktif öğrenci var' });
+        return;
+      }
+      res.json({ message: 'Sınıf başarıyla silindi', changes });
+    })
+    .catch((err) => res.status(500).json({ error: err.message }));
+});
+
+// ======================
+// DERSLER API ENDPOINTS
+// ======================
+
+// Ders kataloğu (?include_inactive=1 ile pasif dersler de gelir)
+app.get('/api/dersler', staffOnly, (req, res) => {
+  const includeInactive = req.query.include_inactive === '1' || req.query.include_inactive === 'true';
+  const query = `
+    SELECT *
+    FROM dersler
+    ${includeInactive ? '' : 'WHERE aktif = 1'}
+    ORDER BY ders_kodu
   `;
-  
-  db.all(query, [searchTerm, searchTerm, searchTerm], (err, rows) => {
+
+  db.all(query, [], (err, rows) => {
     if (err) {
       res.status(500).json({ error: err.message });
       return;
@@ -621,116 +5857,384 @@ app.get('/api/ogrenciler/ara/:search', (req, res) => {
   });
 });
 
-// Öğrenci not ortalaması
-app.get('/api/ogrenciler/:id/ortalama', (req, res) => {
-  const query = `
-    SELECT 
-      AVG(CAST(not_degeri as FLOAT)) as genel_ortalama,
-      COUNT(*) as toplam_not,
-      d.ders_adi,
-      AVG(CAST(n.not_degeri as FLOAT)) as ders_ortalama
-    FROM notlar n
-    JOIN dersler d ON n.ders_id = d.id
-    WHERE n.ogrenci_id = ?
-    GROUP BY d.id, d.ders_adi
-    ORDER BY ders_ortalama DESC
-  `;
-  
-  db.all(query, [req.params.id], (err, rows) => {
+// Ders koduna göre ders getir
+app.get('/api/dersler/kod/:dersKodu', staffOnly, (req, res) => {
+  const query = `SELECT * FROM dersler WHERE ders_kodu = ? COLLATE NOCASE`;
+
+  db.get(query, [req.params.dersKodu], (err, row) => {
     if (err) {
       res.status(500).json({ error: err.message });
       return;
     }
-    // Genel ortalama hesapla
-    const genelOrtalama = rows.length > 0 ? 
-      rows.reduce((sum, row) => sum + row.ders_ortalama, 0) / rows.length : 0;
-    
-    res.json({ 
-      data: {
-        genel_ortalama: genel_ortalama.toFixed(2),
-        ders_ortalamalari: rows
-      }
-    });
+    if (!row) {
+      res.status(404).json({ error: 'Ders bulunamadı' });
+      return;
+    }
+    res.json({ data: row });
   });
 });
 
-// Yeni öğrenci ekle
-app.post('/api/ogrenciler', (req, res) => {
-  const { tc_no, ad, soyad, dogum_tarihi, cinsiyet, telefon, email, adres, veli_adi, veli_telefonu, sinif_id } = req.body;
-  
-  const query = `
-    INSERT INTO ogrenciler (tc_no, ad, soyad, dogum_tarihi, cinsiyet, telefon, email, adres, veli_adi, veli_telefonu, sinif_id)
-    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-  `;
-  
-  db.run(query, [tc_no, ad, soyad, dogum_tarihi, cinsiyet, telefon, email, adres, veli_adi, veli_telefonu, sinif_id], function(err) {
+// ID'ye göre ders getir
+app.get('/api/dersler/:id', staffOnly, (req, res) => {
+  const query = `SELECT * FROM dersler WHERE id = ?`;
+
+  db.get(query, [req.params.id], (err, row) => {
     if (err) {
       res.status(500).json({ error: err.message });
       return;
     }
-    res.json({ message: 'Öğrenci başarıyla eklendi', id: this.lastID });
+    if (!row) {
+      res.status(404).json({ error: 'Ders bulunamadı' });
+      return;
+    }
+    res.json({ data: row });
   });
 });
 
-// Öğrenci güncelle
-app.put('/api/ogrenciler/:id', (req, res) => {
-  const { tc_no, ad, soyad, dogum_tarihi, cinsiyet, telefon, email, adres, veli_adi, veli_telefonu, sinif_id, aktif } = req.body;
-  
+// Yeni ders ekle
+app.post('/api/dersler', adminOnly, validateBody(CourseSchema, 'Geçersiz ders bilgisi'), (req, res) => {
+  const columns = COURSE_COLUMNS.filter((column) => req.body[column] !== undefined);
   const query = `
-    UPDATE ogrenciler 
-    SET tc_no = ?, ad = ?, soyad = ?, dogum_tarihi = ?, cinsiyet = ?, 
-        telefon = ?, email = ?, adres = ?, veli_adi = ?, veli_telefonu = ?, 
-        sinif_id = ?, aktif = ?
-    WHERE id = ?
+    INSERT INTO dersler (${columns.join(', ')})
+    VALUES (${columns.map(() => '?').join(', ')})
   `;
-  
-  db.run(query, [tc_no, ad, soyad, dogum_tarihi, cinsiyet, telefon, email, adres, veli_adi, veli_telefonu, sinif_id, aktif, req.params.id], function(err) {
-    if (err) {
-      res.status(500).json({ error: err.message });
-      return;
-    }
-    res.json({ message: 'Öğrenci başarıyla güncellendi', changes: this.changes });
-  });
+
+  auditedRun('dersler', null, query, columns.map((column) => req.body[column]))
+    .then(({ lastID }) => res.json({ message: 'Ders başarıyla eklendi', id: lastID }))
+    .catch((err) => {
+      const error = courseWriteError(err);
+      res.status(error.status || 500).json({ error: error.message });
+    });
 });
 
-// Öğrenci sil (soft delete)
-app.delete('/api/ogrenciler/:id', (req, res) => {
-  const query = `UPDATE ogrenciler SET aktif = 0 WHERE id = ?`;
-  
-  db.run(query, [req.params.id], function(err) {
+// Ders güncelle (sadece gönderilen alanlar)
+app.put('/api/dersler/:id', adminOnly, (req, res) => {
+  patchCourse(req.params.id, req.body)
+    .then((result) => res.json(result))
+    .catch((err) => res.status(err.status || 500).json({ error: err.message, details: err.details }));
+});
+
+// Ders sil (soft delete)
+app.delete('/api/dersler/:id', adminOnly, (req, res) => {
+  const query = `UPDATE dersler SET aktif = 0 WHERE id = ? AND aktif = 1`;
+
+  auditedRun('dersler', req.params.id, query, [req.params.id])
+    .then(({ changes }) => {
+      if (changes === 0) {
+        res.status(404).json({ error: 'Ders bulunamadı' });
+        return;
+      }
+      res.json({ message: 'Ders başarıyla silindi', changes });
+    })
+    .catch((err) => res.status(500).json({ error: err.message }));
+});
+
+// ======================
+// NOTLAR API ENDPOINTS
+// ======================
+
+// Yeni not ekle
+app.post('/api/notlar', guard((req) => assertGradeWrite(req.auth, req.body ?? {})), validateBody(GradeSchema, 'Geçersiz not bilgisi'), (req, res) => {
+  createGrade(req.body)
+    .then((result) => res.json(result))
+    .catch((err) => res.status(err.status || 500).json({ error: err.message }));
+});
+
+// Bir sınıfın sınav sonuçlarını toplu ekle (tek transaction)
+app.post('/api/notlar/toplu', guard((req) => assertGradeWrite(req.auth, { sinif_id: req.body?.sinif_id, ogretmen_id: req.body?.ogretmen_id })), validateBody(BulkGradeSchema, 'Geçersiz not listesi'), (req, res) => {
+  createGradesBulk(req.body)
+    .then((result) => res.json(result))
+    .catch((err) => res.status(err.status || 500).json({ error: err.message }));
+});
+
+// Not düzelt (sadece gönderilen alanlar, ogretmen_id zorunlu)
+app.put('/api/notlar/:id', guard((req) => assertGradeWrite(req.auth, { not_id: req.params.id, ogretmen_id: req.body?.ogretmen_id, ogrenci_id: req.body?.ogrenci_id })), validateBody(UpdateGradeSchema, 'Geçersiz not bilgisi'), (req, res) => {
+  updateGrade(req.params.id, req.body)
+    .then((result) => res.json(result))
+    .catch((err) => res.status(err.status || 500).json({ error: err.message }));
+});
+
+// Not sil
+app.delete('/api/notlar/:id', guard((req) => assertGradeWrite(req.auth, { not_id: req.params.id })), (req, res) => {
+  deleteGrade(req.params.id)
+    .then((result) => res.json(result))
+    .catch((err) => res.status(err.status || 500).json({ error: err.message }));
+});
+
+// ======================
+// DEVAMSIZLIK API ENDPOINTS
+// ======================
+
+// Sınıf yoklaması kaydet (tek transaction, tekrar eden kayıtlar atlanır)
+app.post('/api/yoklama', guard((req) => assertGradeWrite(req.auth, { sinif_id: req.body?.sinif_id, ogretmen_id: req.body?.ogretmen_id })), validateBody(RollCallSchema, 'Geçersiz yoklama bilgisi'), (req, res) => {
+  recordAttendance(req.body)
+    .then((result) => res.json(result))
+    .catch((err) => res.status(err.status || 500).json({ error: err.message }));
+});
+
+// ======================
+// ÖDEMELER API ENDPOINTS
+// ======================
+
+// Vadesi geçmiş ödenmemiş borçlar (?sinif_id= ile sınıfa göre)
+app.get('/api/odemeler/gecikmis', adminOnly, (req, res) => {
+  const sinifId = req.query.sinif_id ? Number(req.query.sinif_id) : null;
+
+  Promise.resolve()
+    .then(() => {
+      const format = exportFormatOf(req);
+      return getOverduePayments(sinifId).then((rows) => (
+        format ? sendExport(res, format, rows, 'gecikmis-odemeler') : res.json({ data: rows })
+      ));
+    })
+    .catch((err) => res.status(err.status || 500).json({ error: err.message }));
+});
+
+// Öğrenciye borç oluştur
+app.post('/api/odemeler', adminOnly, validateBody(ChargeSchema, 'Geçersiz borç bilgisi'), (req, res) => {
+  createCharge(req.body)
+    .then((result) => res.json(result))
+    .catch((err) => res.status(err.status || 500).json({ error: err.message }));
+});
+
+// Borcu ödendi olarak işaretle
+app.post('/api/odemeler/:id/ode', adminOnly, validateBody(PaymentSchema, 'Geçersiz ödeme bilgisi'), (req, res) => {
+  recordPayment(req.params.id, req.body)
+    .then((result) => res.json(result))
+    .catch((err) => res.status(err.status || 500).json({ error: err.message }));
+});
+
+// Öğrenci bakiyesi (toplam, ödenen, kalan; ödeme türüne göre)
+app.get('/api/ogrenciler/:id/bakiye', studentParam(), (req, res) => {
+  getStudentBalance(Number(req.params.id))
+    .then((balance) => res.json({ data: balance }))
+    .catch((err) => res.status(err.status || 500).json({ error: err.message }));
+});
+
+// ======================
+// DERS PROGRAMI API ENDPOINTS
+// ======================
+
+// Sınıfın haftalık ders programı (?donem=...&gun=...)
+app.get('/api/siniflar/:id/program', classParam(), (req, res) => {
+  const filters = ScheduleFilterSchema.safeParse(req.query);
+  if (!filters.success) {
+    res.status(400).json({ error: 'Geçersiz filtre', details: filters.error.issues });
+    return;
+  }
+
+  getWeeklySchedule({ ...filters.data, sinif_id: Number(req.params.id) })
+    .then((program) => res.json({ data: program }))
+    .catch((err) => res.status(err.status || 500).json({ error: err.message }));
+});
+
+// Öğretmenin haftalık ders programı (?donem=...&gun=...)
+app.get('/api/ogretmenler/:id/program', teacherSelf(), (req, res) => {
+  const filters = ScheduleFilterSchema.safeParse(req.query);
+  if (!filters.success) {
+    res.status(400).json({ error: 'Geçersiz filtre', details: filters.error.issues });
+    return;
+  }
+
+  getWeeklySchedule({ ...filters.data, ogretmen_id: Number(req.params.id) })
+    .then((program) => res.json({ data: program }))
+    .catch((err) => res.status(err.status || 500).json({ error: err.message }));
+});
+
+// ID'ye göre ders programı kaydı getir (sınıf programında olduğu gibi kaydın sınıfına erişim gerekir)
+app.get('/api/ders-programi/:id', guard(async (req) => {
+  const slot = await dbGet(`SELECT sinif_id FROM ders_programi WHERE id = ?`, [req.params.id]);
+  if (slot) {
+    await assertClassAccess(req.auth, slot.sinif_id);
+  }
+}), (req, res) => {
+  const query = `
+    SELECT
+      dp.*,
+      d.ders_adi,
+      s.sinif_adi,
+      s.sube,
+      t.ad || ' ' || t.soyad as ogretmen_adi
+    FROM ders_programi dp
+    JOIN dersler d ON dp.ders_id = d.id
+    JOIN siniflar s ON dp.sinif_id = s.id
+    JOIN ogretmenler t ON dp.ogretmen_id = t.id
+    WHERE dp.id = ?
+  `;
+
+  db.get(query, [req.params.id], (err, row) => {
     if (err) {
       res.status(500).json({ error: err.message });
       return;
     }
-    res.json({ message: 'Öğrenci başarıyla silindi', changes: this.changes });
+    if (!row) {
+      res.status(404).json({ error: 'Ders programı kaydı bulunamadı' });
+      return;
+    }
+    res.json({ data: row });
   });
 });
 
+// Ders programına ders ekle (öğretmen/sınıf çakışması kontrol edilir)
+app.post('/api/ders-programi', adminOnly, validateBody(ScheduleSlotSchema, 'Geçersiz ders programı bilgisi'), (req, res) => {
+  createScheduleSlot(req.body)
+    .then((result) => res.json(result))
+    .catch((err) => res.status(err.status || 500).json({ error: err.message, cakisanlar: err.cakisanlar }));
+});
+
+// Ders programı kaydını güncelle (sadece gönderilen alanlar)
+app.put('/api/ders-programi/:id', adminOnly, validateBody(ScheduleSlotSchema.partial(), 'Geçersiz ders programı bilgisi'), (req, res) => {
+  updateScheduleSlot(Number(req.params.id), req.body)
+    .then((result) => res.json(result))
+    .catch((err) => res.status(err.status || 500).json({ error: err.message, cakisanlar: err.cakisanlar }));
+});
+
+// Ders programından sil (soft delete)
+app.delete('/api/ders-programi/:id', adminOnly, (req, res) => {
+  deleteScheduleSlot(req.params.id)
+    .then((result) => res.json(result))
+    .catch((err) => res.status(err.status || 500).json({ error: err.message }));
+});
+
+// ======================
+// ŞEMA API ENDPOINTS
+// ======================
+
+// mcp-server.js schema:// kaynaklarını buradan okur; örnek satırlar kişisel veri politikasına göre maskelenir
+app.get('/api/schema', (req, res) => {
+  listSchemaTables(req.auth)
+    .then((result) => res.json({ data: result }))
+    .catch((err) => res.status(err.status || 500).json({ error: err.message }));
+});
+
+app.get('/api/schema/:tablo', (req, res) => {
+  describeSchemaTable(req.params.tablo, req.auth)
+    .then((schema) => res.json({ data: schema }))
+    .catch((err) => res.status(err.status || 500).json({ error: err.message }));
+});
+
+// ======================
+// KAYIT KAYNAKLARI API ENDPOINTS
+// ======================
+
+// mcp-server.js ogrenci://, sinif://, ders:// kaynaklarını buradan listeler ve okur
+app.get('/api/kaynaklar', (req, res) => {
+  const sablonlar = RECORD_RESOURCES
+    .filter((resource) => canUseTool(req.auth, resource.arac))
+    .map(({ uriTemplate, name, description }) => ({ uriTemplate, name, description }));
+
+  listRecordResources(req.auth)
+    .then((resources) => res.json({ data: resources, sablonlar }))
+    .catch((err) => res.status(err.status || 500).json({ error: err.message }));
+});
+
+// ?uri=ogrenci://5/karne; kişisel veriler politikaya göre maskelenir
+app.get('/api/kaynaklar/oku', (req, res) => {
+  const uri = String(req.query.uri ?? '');
+
+  readRecordResource(uri, req.auth)
+    .then((record) => {
+      if (record === undefined) {
+        res.status(404).json({ error: `Bilinmeyen kaynak: ${uri}` });
+        return;
+      }
+      res.json({ data: record });
+    })
+    .catch((err) => res.status(err.status || 500).json({ error: err.message }));
+});
+
+// ======================
+// PROMPT API ENDPOINTS
+// ======================
+
+// mcp-server.js promptları buradan listeler ve üretir; veriler politikaya göre maskelenir
+app.get('/api/promptlar', (req, res) => {
+  res.json({ data: listPrompts(req.auth) });
+});
+
+app.post('/api/promptlar/:name', (req, res) => {
+  // Veriler prompt metnine gömüldüğü için maskeleme metin üretilirken yapılır
+  getPrompt(req.params.name, req.body ?? {}, req.auth, req.piiMasker ?? createPiiMasker({ unmasked: true }))
+    .then((prompt) => res.json({ data: prompt }))
+    .catch((err) => res.status(err.status || 500).json({ error: err.message, details: err.details }));
+});
+
+// mcp-server.js argüman tamamlamayı buradan yapar; gövde MCP completion/complete parametreleriyle aynıdır
+app.post('/api/tamamla', (req, res) => {
+  complete(req.body?.ref, req.body?.argument, req.auth)
+    .then((completion) => res.json({ data: completion }))
+    .catch((err) => res.status(err.status || 500).json({ error: err.message }));
+});
+
+// ======================
+// DENETİM KAYDI API ENDPOINTS
+// ======================
+
+// Değişiklik geçmişi (?entity=ogrenciler&id=5&limit=50&offset=0)
+app.get('/api/audit', adminOnly, (req, res) => {
+  const parsed = AuditQuerySchema.safeParse(req.query);
+  if (!parsed.success) {
+    res.status(400).json({ error: 'Geçersiz denetim sorgusu', details: parsed.error.issues });
+    return;
+  }
+
+  getChangeHistory(parsed.data)
+    .then((result) => res.json(result))
+    .catch((err) => res.status(err.status || 500).json({ error: err.message }));
+});
+
 // Özel sorgu endpoint'i (Claude için)
-app.post('/api/custom-query', (req, res) => {
-  const { query, params = [] } = req.body;
-  
-  // Güvenlik kontrolü - sadece SELECT sorgularına izin ver
-  if (!query.trim().toUpperCase().startsWith('SELECT')) {
-    res.status(400).json({ error: 'Sadece SELECT sorguları desteklenir' });
+// Salt okunur bağlantıda çalışır; tablo/kolon izinleri, satır sınırı ve zaman aşımı için bkz. runCustomQuery
+app.post('/api/custom-query', staffOnly, (req, res) => {
+  const parsed = CustomQuerySchema.safeParse(req.body);
+  if (!parsed.success) {
+    res.status(400).json({ error: 'Geçersiz sorgu', details: parsed.error.issues });
     return;
   }
-  
-  db.all(query, params, (err, rows) => {
-    if (err) {
-      res.status(500).json({ error: err.message });
-      return;
-    }
-    res.json({ data: rows });
-  });
+  const { query, params = [] } = parsed.data;
+
+  let format;
+  try {
+    format = exportFormatOf(req);
+  } catch (err) {
+    res.status(err.status).json({ error: err.message });
+    return;
+  }
+
+  // Maskeli modda gizli alanlar sorguda kolon adı yazılınca gelir; dosya çıktıları da burada maskelenir
+  if (req.piiMasker) {
+    req.piiMasker = createPiiMasker({ requested: requestedPiiFields(ToolName.CUSTOM_QUERY, { query }) });
+  }
+
+  runCustomQuery(req.auth, query, params, { masked: Boolean(req.piiMasker) })
+    .then(({ rows, kesildi }) => {
+      if (kesildi) {
+        // Satır sınırına ulaşıldı, dosya çıktılarında da header ile bildirilir
+        res.set('X-Sonuc-Kesildi', '1');
+      }
+      if (format) {
+        return sendExport(res, format, req.piiMasker ? req.piiMasker.apply(rows) : rows, 'sorgu-sonucu');
+      }
+      res.json({ data: rows, ...(kesildi && { kesildi, satir_siniri: CUSTOM_QUERY_LIMITS.maks_satir }) });
+    })
+    .catch((err) => res.status(err.status || 500).json({ error: err.message, details: err.details }));
 });
 
 // SSE Transport Setup
 const transports = new Map();
+// Oturumu açan kimlik; /message isteklerini sadece aynı kimlik gönderebilir
+const sessionOwners = new Map();
+
+// ?maskesiz=1 ile kişisel veriler maskelenmeden döner (sadece pii-policy.json'daki maskesiz_roller)
+app.get("/sse", requireMcpAuth, async (req, res) => {
+  const unmasked = ['1', 'true'].includes(req.query.maskesiz);
+  if (unmasked && !canUnmask(req.auth)) {
+    res.status(403).json({ error: 'Maskesiz mod için yetkiniz yok' });
+    return;
+  }
 
-app.get("/sse", async (req, res) => {
   let transport;
-  const { server, cleanup } = createMCPServer();
+  const { server, cleanup } = createMCPServer({ principal: req.auth, unmasked });
 
   if (req?.query?.sessionId) {
     const sessionId = req?.query?.sessionId;
@@ -739,23 +6243,27 @@ app.get("/sse", async (req, res) => {
   } else {
     transport = new SSEServerTransport("/message", res);
     transports.set(transport.sessionId, transport);
+    sessionOwners.set(transport.sessionId, req.auth.sub);
     await server.connect(transport);
     console.error("Client Connected: ", transport.sessionId);
 
     server.onclose = async () => {
       console.error("Client Disconnected: ", transport.sessionId);
       transports.delete(transport.sessionId);
+      sessionOwners.delete(transport.sessionId);
       await cleanup();
     };
   }
 });
 
-app.post("/message", async (req, res) => {
+app.post("/message", requireMcpAuth, async (req, res) => {
   const sessionId = req?.query?.sessionId;
   const transport = transports.get(sessionId);
-  if (transport) {
+  if (transport && sessionOwners.get(sessionId) !== req.auth.sub) {
+    res.status(403).json({ error: "Bu oturuma erişim yetkiniz yok" });
+  } else if (transport) {
     console.error("Client Message from", sessionId);
-    await transport.handlePostMessage(req, res);
+    await transport.handlePostMessage(req, res, req.body);
   } else {
     console.error(`No transport found for sessionId ${sessionId}`);
     res.status(404).json({ error: "Session not found" });
@@ -767,13 +6275,382 @@ app.get('/', (req, res) => {
   res.json({ status: 'ok', name: 'student-api-mcp' });
 });
 
-// Claude MCP compatibility endpoints
+// ======================
+// OAUTH 2.1 (uzak MCP istemcileri için)
+// ======================
+
+const ACCESS_TOKEN_TTL = 60 * 60;
+const REFRESH_TOKEN_TTL = 30 * 24 * 60 * 60;
+const AUTH_CODE_TTL = 5 * 60;
+
+const sha256 = (value) => createHash('sha256').update(value).digest();
+const hashToken = (token) => sha256(token).toString('hex');
+const nowSeconds = () => Math.floor(Date.now() / 1000);
+
+const publicUrl = (req) => process.env.PUBLIC_URL || `${req.protocol}://${req.get('host')}`;
+
+// OAuth hataları RFC 6749 formatında döner: { error, error_description }
+const oauthError = (status, error, description) => Object.assign(new Error(description), { status, oauth: error });
+
+const sendOAuthError = (res, err) => {
+  if (err.oauth) {
+    res.status(err.status).json({ error: err.oauth, error_description: err.message });
+  } else {
+    res.status(500).json({ error: 'server_error', error_description: err.message });
+  }
+};
+
+// Yetki kodları kısa ömürlü ve tek kullanımlık olduğu için bellekte tutulur
+const authorizationCodes = new Map();
+
+// Yarıda bırakılan yetkilendirmelerin kodları birikmesin diye yeni kod verilirken süresi dolanlar silinir
+function sweepAuthorizationCodes() {
+  const now = nowSeconds();
+  for (const [code, grant] of authorizationCodes) {
+    if (grant.bitis < now) {
+      authorizationCodes.delete(code);
+    }
+  }
+}
+
+// https ya da yerel (localhost) http adresleri kabul edilir
+const isAllowedRedirectUri = (uri) => {
+  try {
+    const url = new URL(uri);
+    return !url.hash && (url.protocol === 'https:'
+      || (url.protocol === 'http:' && ['localhost', '127.0.0.1', '[::1]'].includes(url.hostname)));
+  } catch {
+    return false;
+  }
+};
+
+const parseScope = (scope) => {
+  const scopes = scope ? String(scope).split(' ').filter(Boolean) : Object.keys(OAUTH_SCOPES);
+  const unknown = scopes.filter((item) => !OAUTH_SCOPES[item]);
+  if (unknown.length > 0) {
+    throw oauthError(400, 'invalid_scope', `Bilinmeyen scope: ${unknown.join(', ')}`);
+  }
+  return scopes;
+};
+
+async function getOAuthClient(clientId) {
+  const client = clientId && await dbGet(`SELECT * FROM oauth_istemciler WHERE client_id = ?`, [clientId]);
+  if (!client) {
+    throw oauthError(401, 'invalid_client', 'İstemci bulunamadı');
+  }
+  return { ...client, redirect_uris: JSON.parse(client.redirect_uris) };
+}
+
+// Token ve revoke endpoint'lerinde istemci doğrulaması (client_secret_basic, client_secret_post veya public istemci)
+async function authenticateOAuthClient(req) {
+  let clientId = req.body.client_id;
+  let clientSecret = req.body.client_secret;
+  const [scheme, credentials] = (req.get('Authorization') || '').split(' ');
+  if (scheme === 'Basic' && credentials) {
+    const decoded = Buffer.from(credentials, 'base64').toString('utf8');
+    const separator = decoded.indexOf(':');
+    clientId = decodeURIComponent(decoded.slice(0, separator));
+    clientSecret = decodeURIComponent(decoded.slice(separator + 1));
+  }
+
+  const client = await getOAuthClient(clientId);
+  if (client.token_endpoint_auth_method !== 'none'
+      && (!clientSecret || hashToken(clientSecret) !== client.client_secret_hash)) {
+    throw oauthError(401, 'invalid_client', 'İstemci doğrulanamadı');
+  }
+  return client;
+}
+
+async function issueOAuthTokens(clientId, principal, scopes) {
+  const accessToken = randomBytes(32).toString('base64url');
+  const refreshToken = randomBytes(32).toString('base64url');
+  const kimlik = JSON.stringify(principalClaims(principal));
+  const scope = scopes.join(' ');
+
+  // İkisi birlikte yazılır; refresh token kaydı olmayan bir access token kalmaz
+  await withTransaction(async () => {
+    await dbRun(
+      `INSERT INTO oauth_tokenlar (token_hash, tur, client_id, kimlik, scope, bitis, refresh_hash) VALUES (?, 'access', ?, ?, ?, ?, ?)`,
+      [hashToken(accessToken), clientId, kimlik, scope, nowSeconds() + ACCESS_TOKEN_TTL, hashToken(refreshToken)]
+    );
+    await dbRun(
+      `INSERT INTO oauth_tokenlar (token_hash, tur, client_id, kimlik, scope, bitis) VALUES (?, 'refresh', ?, ?, ?, ?)`,
+      [hashToken(refreshToken), clientId, kimlik, scope, nowSeconds() + REFRESH_TOKEN_TTL]
+    );
+  });
+
+  return {
+    access_token: accessToken,
+    token_type: 'Bearer',
+    expires_in: ACCESS_TOKEN_TTL,
+    refresh_token: refreshToken,
+    scope,
+  };
+}
+
+async function findOAuthToken(token, tur) {
+  const row = await dbGet(
+    `SELECT * FROM oauth_tokenlar WHERE token_hash = ? AND tur = ? AND iptal = 0 AND bitis > ?`,
+    [hashToken(token), tur, nowSeconds()]
+  );
+  return row ?? null;
+}
+
+// MCP endpoint'lerinde kullanılan access token'ı kimliğe çevirir
+async function findOAuthAccessToken(token) {
+  const row = await findOAuthToken(token, 'access');
+  if (!row) {
+    return null;
+  }
+  return { ...JSON.parse(row.kimlik), scope: row.scope.split(' '), client_id: row.client_id };
+}
+
+// Yetkilendirme sunucusu bilgileri (RFC 8414)
+app.get('/.well-known/oauth-authorization-server', (req, res) => {
+  const base = publicUrl(req);
+  res.json({
+    issuer: base,
+    authorization_endpoint: `${base}/authorize`,
+    token_endpoint: `${base}/token`,
+    registration_endpoint: `${base}/register`,
+    revocation_endpoint: `${base}/revoke`,
+    response_types_supported: ['code'],
+    grant_types_supported: ['authorization_code', 'refresh_token'],
+    code_challenge_methods_supported: ['S256'],
+    token_endpoint_auth_methods_supported: ['none', 'client_secret_basic', 'client_secret_post'],
+    revocation_endpoint_auth_methods_supported: ['none', 'client_secret_basic', 'client_secret_post'],
+    scopes_supported: Object.keys(OAUTH_SCOPES),
+  });
+});
+
+// Korunan kaynak (MCP endpoint'leri) bilgileri (RFC 9728)
+app.get('/.well-known/oauth-protected-resource', (req, res) => {
+  const base = publicUrl(req);
+  res.json({
+    resource: `${base}/sse`,
+    authorization_servers: [base],
+    scopes_supported: Object.keys(OAUTH_SCOPES),
+    bearer_methods_supported: ['header'],
+  });
+});
+
+// Dinamik istemci kaydı (RFC 7591)
 app.post('/register', (req, res) => {
-  res.json({ result: 'ok' });
+  const {
+    redirect_uris: redirectUris,
+    client_name: clientName = null,
+    token_endpoint_auth_method: authMethod = 'none',
+  } = req.body ?? {};
+
+  if (!Array.isArray(redirectUris) || redirectUris.length === 0 || !redirectUris.every(isAllowedRedirectUri)) {
+    res.status(400).json({
+      error: 'invalid_redirect_uri',
+      error_description: 'redirect_uris https ya da localhost adreslerinden oluşmalı',
+    });
+    return;
+  }
+  if (!['none', 'client_secret_basic', 'client_secret_post'].includes(authMethod)) {
+    res.status(400).json({ error: 'invalid_client_metadata', error_description: 'Desteklenmeyen token_endpoint_auth_method' });
+    return;
+  }
+
+  const clientId = randomBytes(16).toString('hex');
+  const clientSecret = authMethod === 'none' ? null : randomBytes(32).toString('base64url');
+
+  dbRun(
+    `INSERT INTO oauth_istemciler (client_id, client_secret_hash, client_name, redirect_uris, token_endpoint_auth_method)
+     VALUES (?, ?, ?, ?, ?)`,
+    [clientId, clientSecret && hashToken(clientSecret), clientName, JSON.stringify(redirectUris), authMethod]
+  )
+    .then(() => {
+      res.status(201).json({
+        client_id: clientId,
+        ...(clientSecret ? { client_secret: clientSecret, client_secret_expires_at: 0 } : {}),
+        client_id_issued_at: nowSeconds(),
+        client_name: clientName ?? undefined,
+        redirect_uris: redirectUris,
+        grant_types: ['authorization_code', 'refresh_token'],
+        response_types: ['code'],
+        token_endpoint_auth_method: authMethod,
+      });
+    })
+    .catch((err) => sendOAuthError(res, err));
 });
 
-app.get('/.well-known/oauth-authorization-server', (req, res) => {
-  res.json({});
+// Yetkilendirme isteğini doğrular; redirect_uri doğrulanamazsa hata istemciye yönlendirilmez
+async function validateAuthorizationRequest(params) {
+  const client = await getOAuthClient(params.client_id).catch(() => {
+    throw httpError(400, 'Geçersiz client_id');
+  });
+  if (!params.redirect_uri || !client.redirect_uris.includes(params.redirect_uri)) {
+    throw httpError(400, 'redirect_uri istemciye kayıtlı değil');
+  }
+  if (params.response_type !== 'code') {
+    throw oauthError(400, 'unsupported_response_type', 'Sadece response_type=code desteklenir');
+  }
+  if (!params.code_challenge || params.code_challenge_method !== 'S256') {
+    throw oauthError(400, 'invalid_request', 'PKCE gerekli (code_challenge_method=S256)');
+  }
+  return { client, scopes: parseScope(params.scope) };
+}
+
+const redirectWith = (res, redirectUri, params) => {
+  const url = new URL(redirectUri);
+  for (const [key, value] of Object.entries(params)) {
+    if (value !== undefined) url.searchParams.set(key, value);
+  }
+  res.redirect(url.toString());
+};
+
+const AUTHORIZE_PARAMS = ['response_type', 'client_id', 'redirect_uri', 'scope', 'state', 'code_challenge', 'code_challenge_method'];
+
+function renderConsentPage(client, scopes, params, error = null) {
+  const hidden = AUTHORIZE_PARAMS
+    .filter((key) => params[key] !== undefined)
+    .map((key) => `<input type="hidden" name="${key}" value="${escapeHtml(params[key])}">`)
+    .join('\n      ');
+  return `<!DOCTYPE html>
+<html lang="tr">
+<head>
+  <meta charset="utf-8">
+  <title>Yetkilendirme</title>
+  <style>
+    body { font-family: Arial, sans-serif; max-width: 480px; margin: 3em auto; color: #222; }
+    .hata { color: #b00020; }
+    button { padding: 6px 16px; margin-right: 8px; }
+  </style>
+</head>
+<body>
+  <h2>${escapeHtml(client.client_name || client.client_id)} erişim istiyor</h2>
+  <p>İstenen izinler:</p>
+  <ul>
+    ${scopes.map((scope) => `<li>${escapeHtml(OAUTH_SCOPES[scope])} <small>(${scope})</small></li>`).join('\n    ')}
+  </ul>
+  ${error ? `<p class="hata">${escapeHtml(error)}</p>` : ''}
+  <form method="post" action="/authorize">
+      ${hidden}
+    <p><label>API anahtarınız: <input type="password" name="api_key" required></label></p>
+    <button type="submit" name="karar" value="izin">İzin ver</button>
+    <button type="submit" name="karar" value="red" formnovalidate>Reddet</button>
+  </form>
+</body>
+</html>
+`;
+}
+
+// Yetkilendirme (izin) sayfası
+app.get('/authorize', (req, res) => {
+  validateAuthorizationRequest(req.query)
+    .then(({ client, scopes }) => res.send(renderConsentPage(client, scopes, req.query)))
+    .catch((err) => {
+      if (err.oauth && req.query.redirect_uri) {
+        redirectWith(res, req.query.redirect_uri, { error: err.oauth, error_description: err.message, state: req.query.state });
+      } else {
+        res.status(err.status || 500).send(escapeHtml(err.message));
+      }
+    });
+});
+
+// İzin formu: kullanıcı kendi API anahtarıyla kimliğini doğrular, istemciye yetki kodu gönderilir
+app.post('/authorize', express.urlencoded({ extended: false }), (req, res) => {
+  validateAuthorizationRequest(req.body)
+    .then(({ client, scopes }) => {
+      const { redirect_uri: redirectUri, state } = req.body;
+      if (req.body.karar !== 'izin') {
+        redirectWith(res, redirectUri, { error: 'access_denied', state });
+        return;
+      }
+
+      const principal = apiKeys.get(req.body.api_key);
+      if (!principal) {
+        res.status(401).send(renderConsentPage(client, scopes, req.body, 'Geçersiz API anahtarı'));
+        return;
+      }
+
+      sweepAuthorizationCodes();
+      const code = randomBytes(32).toString('base64url');
+      authorizationCodes.set(code, {
+        client_id: client.client_id,
+        redirect_uri: redirectUri,
+        code_challenge: req.body.code_challenge,
+        scopes,
+        principal,
+        bitis: nowSeconds() + AUTH_CODE_TTL,
+      });
+      redirectWith(res, redirectUri, { code, state });
+    })
+    .catch((err) => res.status(err.status || 500).send(escapeHtml(err.message)));
+});
+
+// Token endpoint: authorization_code (PKCE) ve refresh_token (rotasyonlu)
+app.post('/token', express.urlencoded({ extended: false }), (req, res) => {
+  res.set('Cache-Control', 'no-store');
+
+  authenticateOAuthClient(req)
+    .then(async (client) => {
+      if (req.body.grant_type === 'authorization_code') {
+        const grant = authorizationCodes.get(req.body.code);
+        authorizationCodes.delete(req.body.code);
+        if (!grant || grant.bitis < nowSeconds() || grant.client_id !== client.client_id) {
+          throw oauthError(400, 'invalid_grant', 'Yetki kodu geçersiz ya da süresi dolmuş');
+        }
+        if (req.body.redirect_uri !== grant.redirect_uri) {
+          throw oauthError(400, 'invalid_grant', 'redirect_uri eşleşmiyor');
+        }
+        const challenge = sha256(String(req.body.code_verifier ?? '')).toString('base64url');
+        if (challenge !== grant.code_challenge) {
+          throw oauthError(400, 'invalid_grant', 'code_verifier doğrulanamadı');
+        }
+        return issueOAuthTokens(client.client_id, grant.principal, grant.scopes);
+      }
+
+      if (req.body.grant_type === 'refresh_token') {
+        const row = await findOAuthToken(String(req.body.refresh_token ?? ''), 'refresh');
+        if (!row || row.client_id !== client.client_id) {
+          throw oauthError(400, 'invalid_grant', 'Refresh token geçersiz ya da süresi dolmuş');
+        }
+        // İstenirse daha dar bir scope alınabilir, genişletilemez
+        const granted = row.scope.split(' ');
+        const scopes = req.body.scope ? parseScope(req.body.scope) : granted;
+        if (!scopes.every((scope) => granted.includes(scope))) {
+          throw oauthError(400, 'invalid_scope', 'Refresh token ile scope genişletilemez');
+        }
+        const principal = principalBySub(JSON.parse(row.kimlik).sub);
+        if (!principal) {
+          throw oauthError(400, 'invalid_grant', 'Token sahibinin API anahtarı artık geçerli değil');
+        }
+        // Aynı refresh token'la eşzamanlı gelen isteklerden sadece biri yeni token alır
+        return withTransaction(async () => {
+          const { changes } = await dbRun(
+            `UPDATE oauth_tokenlar SET iptal = 1 WHERE token_hash = ? AND iptal = 0`,
+            [row.token_hash]
+          );
+          if (changes === 0) {
+            throw oauthError(400, 'invalid_grant', 'Refresh token geçersiz ya da süresi dolmuş');
+          }
+          return issueOAuthTokens(client.client_id, principal, scopes);
+        });
+      }
+
+      throw oauthError(400, 'unsupported_grant_type', 'Desteklenmeyen grant_type');
+    })
+    .then((tokens) => res.json(tokens))
+    .catch((err) => sendOAuthError(res, err));
+});
+
+// Token iptali (RFC 7009): bilinmeyen token için de 200 döner.
+// Refresh token iptal edilince onunla birlikte verilen access token da geçersiz olur.
+app.post('/revoke', express.urlencoded({ extended: false }), (req, res) => {
+  authenticateOAuthClient(req)
+    .then((client) => {
+      const tokenHash = hashToken(String(req.body.token ?? ''));
+      return dbRun(
+        `UPDATE oauth_tokenlar SET iptal = 1 WHERE (token_hash = ? OR refresh_hash = ?) AND client_id = ?`,
+        [tokenHash, tokenHash, client.client_id]
+      );
+    })
+    .then(() => res.sendStatus(200))
+    .catch((err) => sendOAuthError(res, err));
 });
 
 // Start server
@@ -786,6 +6663,20 @@ app.listen(PORT, () => {
   console.log(`📝 REST API endpoints available at /api/*`);
 });
 
+// KVKK temizliği KVKK_PURGE_INTERVAL_HOURS verilmişse açılışta ve sonra bu aralıkla kendiliğinden çalışır
+const KVKK_PURGE_INTERVAL_HOURS = Number(process.env.KVKK_PURGE_INTERVAL_HOURS);
+const runScheduledPurge = () => {
+  auditContext.run({ aktor: 'kvkk-temizlik', kanal: 'SISTEM' }, () => {
+    purgeInactiveStudents({ saklama_suresi_gun: KVKK_RETENTION_DAYS, dry_run: false })
+      .then((rapor) => console.log(`KVKK temizliği: ${rapor.anonimlestirilen} öğrenci anonimleştirildi (${rapor.rapor_dosyasi})`))
+      .catch((err) => console.error('KVKK temizliği başarısız:', err.message));
+  });
+};
+if (KVKK_PURGE_INTERVAL_HOURS > 0) {
+  runScheduledPurge();
+  setInterval(runScheduledPurge, KVKK_PURGE_INTERVAL_HOURS * 60 * 60 * 1000);
+}
+
 // Graceful shutdown
 process.on('SIGINT', () => {
   db.close((err) => {
@@ -2,11 +2,66 @@
 
 import { Server } from '@modelcontextprotocol/sdk/server/index.js';
 import { StdioServerTransport } from '@modelcontextprotocol/sdk/server/stdio.js';
-import { CallToolRequestSchema, ListToolsRequestSchema } from '@modelcontextprotocol/sdk/types.js';
+import {
+  CallToolRequestSchema,
+  ListToolsRequestSchema,
+  ListPromptsRequestSchema,
+  GetPromptRequestSchema,
+  ListResourcesRequestSchema,
+  ListResourceTemplatesRequestSchema,
+  ReadResourceRequestSchema,
+  CompleteRequestSchema,
+} from '@modelcontextprotocol/sdk/types.js';
 import axios from 'axios';
 
 const API_BASE_URL = process.env.API_BASE_URL || 'http://localhost:3000/api';
 
+// Liste araçlarında LLM bağlamını doldurmamak için varsayılan sayfa boyutu
+const MCP_PAGE_SIZE = 20;
+
+// API kimlik bilgisi: app.js'deki ADMIN_API_KEY / api-keys.json'daki bir anahtar ya da /api/oturum'dan alınan token.
+// Rol (admin, ogretmen, veli) hangi araçların görüneceğini belirler.
+if (process.env.API_KEY) {
+  axios.defaults.headers.common['X-API-Key'] = process.env.API_KEY;
+} else if (process.env.API_TOKEN) {
+  axios.defaults.headers.common['Authorization'] = `Bearer ${process.env.API_TOKEN}`;
+}
+
+// Oturum bilgisi (rol, araçlar, kişisel veri politikası); API'ye ulaşılamazsa null
+async function sessionInfo() {
+  try {
+    const session = await axios.get(`${API_BASE_URL}/oturum`);
+    return session.data.data;
+  } catch (error) {
+    console.error('Oturum bilgisi alınamadı:', error.response?.data?.error || error.message);
+    return null;
+  }
+}
+
+// Oturum sahibinin kullanabileceği araçlar; API'ye ulaşılamazsa hiçbir araç gösterilmez
+async function allowedTools() {
+  const session = await sessionInfo();
+  return new Set(session?.araclar ?? []);
+}
+
+// ======================
+// KİŞİSEL VERİ MASKELEME
+// ======================
+
+// Maskeleme sunucuda (app.js, pii-policy.json) yapılır; yetkisi olmayan roller her durumda maskeli veri alır.
+// Maskeli modda tüm isteklere X-PII-Mask: 1 eklenir. PII_UNMASKED=1 ile X-PII-Mask: 0 gönderilir, sunucu bunu
+// sadece maskesiz_roller'da kabul eder ve loglar; izin açılışta bir kez sorulur, API'ye ulaşılamazsa sonuçlar maskeli kalır.
+const unmaskedRequested = ['1', 'true'].includes(process.env.PII_UNMASKED);
+const session = unmaskedRequested ? await sessionInfo() : null;
+const PII_UNMASKED = unmaskedRequested && Boolean(session?.pii?.maskesiz_izinli);
+if (unmaskedRequested && !PII_UNMASKED) {
+  console.error('[PII] maskesiz mod için yetki yok, sonuçlar maskeleniyor');
+}
+if (PII_UNMASKED) {
+  console.error(`[PII] kullanici=${session.sub} rol=${session.rol} mod=maskesiz`);
+}
+axios.defaults.headers.common['X-PII-Mask'] = PII_UNMASKED ? '0' : '1';
+
 const server = new Server(
   {
     name: 'students-api',
@@ -15,20 +70,36 @@ const server = new Server(
   {
     capabilities: {
       tools: {},
+      resources: {},
+      prompts: {},
+      completions: {},
     },
   }
 );
 
 // Mevcut araçları listele
 server.setRequestHandler(ListToolsRequestSchema, async () => {
+  const allowed = await allowedTools();
   return {
     tools: [
       {
         name: 'get_all_students',
-        description: 'Tüm aktif öğrencileri sınıf bilgileriyle birlikte getir',
+        description: 'Aktif öğrencileri sayfalı getir (varsayılan 20 kayıt, devamı için next_cursor); sıralama, filtre ve alan seçimi desteklenir',
         inputSchema: {
           type: 'object',
-          properties: {},
+          properties: {
+            limit: { type: 'integer', description: 'Sayfa boyutu (varsayılan 20, en fazla 500)' },
+            offset: { type: 'integer', description: 'Atlanacak kayıt sayısı' },
+            cursor: { type: 'string', description: 'Önceki sayfanın next_cursor değeri (diğer parametreler cursor içinde taşınır)' },
+            sort: { type: 'string', description: 'Sıralama alanları, virgülle; azalan için başına - (örn. soyad,-kayit_tarihi)' },
+            fields: { type: 'string', description: 'Dönecek alanlar, virgülle (örn. id,ad,soyad,sinif_adi)' },
+            seviye: { type: 'integer', description: 'Sınıf seviyesi' },
+            sube: { type: 'string', description: 'Şube (örn. A)' },
+            cinsiyet: { type: 'string', enum: ['E', 'K'], description: 'Cinsiyet (E/K)' },
+            kayit_baslangic: { type: 'string', description: 'Kayıt tarihi başlangıcı (YYYY-MM-DD)' },
+            kayit_bitis: { type: 'string', description: 'Kayıt tarihi bitişi (YYYY-MM-DD)' },
+            include_inactive: { type: 'boolean', description: 'Pasif (silinmiş/arşivlenmiş) öğrencileri de getir (sadece admin)' },
+          },
         },
       },
       {
@@ -41,6 +112,10 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
               type: 'integer',
               description: 'Öğrenci ID',
             },
+            fields: {
+              type: 'string',
+              description: 'Dönecek alanlar, virgülle (adres gibi gizli alanlar sadece burada istenirse gelir)',
+            },
           },
           required: ['id'],
         },
@@ -89,7 +164,7 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
       },
       {
         name: 'get_students_by_class',
-        description: 'Sınıfa göre öğrencileri getir',
+        description: 'Sınıfa göre öğrencileri sayfalı getir (varsayılan 20 kayıt, devamı için next_cursor)',
         inputSchema: {
           type: 'object',
           properties: {
@@ -97,13 +172,24 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
               type: 'integer',
               description: 'Sınıf ID',
             },
+            limit: { type: 'integer', description: 'Sayfa boyutu (varsayılan 20, en fazla 500)' },
+            offset: { type: 'integer', description: 'Atlanacak kayıt sayısı' },
+            cursor: { type: 'string', description: 'Önceki sayfanın next_cursor değeri (diğer parametreler cursor içinde taşınır)' },
+            sort: { type: 'string', description: 'Sıralama alanları, virgülle; azalan için başına - (örn. soyad,-kayit_tarihi)' },
+            fields: { type: 'string', description: 'Dönecek alanlar, virgülle (örn. id,ad,soyad,sinif_adi)' },
+            seviye: { type: 'integer', description: 'Sınıf seviyesi' },
+            sube: { type: 'string', description: 'Şube (örn. A)' },
+            cinsiyet: { type: 'string', enum: ['E', 'K'], description: 'Cinsiyet (E/K)' },
+            kayit_baslangic: { type: 'string', description: 'Kayıt tarihi başlangıcı (YYYY-MM-DD)' },
+            kayit_bitis: { type: 'string', description: 'Kayıt tarihi bitişi (YYYY-MM-DD)' },
+            include_inactive: { type: 'boolean', description: 'Pasif (silinmiş/arşivlenmiş) öğrencileri de getir (sadece admin)' },
           },
           required: ['sinif_id'],
         },
       },
       {
         name: 'search_students',
-        description: 'Öğrenci ara (isim, soyisim, TC)',
+        description: 'Öğrenci ara (ad, soyad, TC, veli adı, telefon, email); Türkçe karakter ve yazım hatasına duyarsız, skora göre sıralı',
         inputSchema: {
           type: 'object',
           properties: {
@@ -111,13 +197,17 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
               type: 'string',
               description: 'Arama terimi',
             },
+            limit: {
+              type: 'integer',
+              description: 'En fazla kaç sonuç dönsün (varsayılan 20)',
+            },
           },
           required: ['search'],
         },
       },
       {
         name: 'get_student_average',
-        description: 'Öğrencinin not ortalamasını getir',
+        description: 'Öğrencinin not ortalamasını getir (sınav türü ve kredi ağırlıklı)',
         inputSchema: {
           type: 'object',
           properties: {
@@ -131,7 +221,7 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
       },
       {
         name: 'add_student',
-        description: 'Yeni öğrenci ekle',
+        description: 'Yeni öğrenci ekle (TC Kimlik No, tarih, cinsiyet, telefon ve email doğrulanır)',
         inputSchema: {
           type: 'object',
           properties: {
@@ -152,7 +242,7 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
       },
       {
         name: 'update_student',
-        description: 'Öğrenci bilgilerini güncelle',
+        description: 'Öğrenci bilgilerini güncelle (sadece gönderilen alanlar değişir, değişikliklerin öncesi/sonrası döner)',
         inputSchema: {
           type: 'object',
           properties: {
@@ -175,7 +265,7 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
       },
       {
         name: 'delete_student',
-        description: 'Öğrenci sil (soft delete)',
+        description: 'Öğrenci sil (soft delete, restore_student ile geri alınabilir)',
         inputSchema: {
           type: 'object',
           properties: {
@@ -188,158 +278,1030 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
         },
       },
       {
-        name: 'custom_query',
-        description: 'Özel SELECT sorgusu çalıştır',
+        name: 'restore_student',
+        description: 'Silinmiş (pasif) öğrenciyi geri al',
         inputSchema: {
           type: 'object',
           properties: {
-            query: {
-              type: 'string',
-              description: 'SQL SELECT sorgusu',
+            id: { type: 'integer', description: 'Öğrenci ID' },
+          },
+          required: ['id'],
+        },
+      },
+      {
+        name: 'get_all_teachers',
+        description: 'Tüm aktif öğretmenleri getir',
+        inputSchema: {
+          type: 'object',
+          properties: {},
+        },
+      },
+      {
+        name: 'get_teacher_by_id',
+        description: 'ID ile öğretmen bilgilerini getir',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            id: {
+              type: 'integer',
+              description: 'Öğretmen ID',
             },
-            params: {
-              type: 'array',
-              description: 'Sorgu parametreleri',
-              items: {
-                type: 'string',
-              },
+          },
+          required: ['id'],
+        },
+      },
+      {
+        name: 'search_teachers',
+        description: 'Öğretmen ara (isim, soyisim, branş)',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            search: {
+              type: 'string',
+              description: 'Arama terimi',
             },
           },
-          required: ['query'],
+          required: ['search'],
         },
       },
-    ],
-  };
-});
-
-// Araç çağrılarını işle
-server.setRequestHandler(CallToolRequestSchema, async (request) => {
-  const { name, arguments: args } = request.params;
-
-  try {
-    switch (name) {
-      case 'get_all_students':
-        const allStudents = await axios.get(`${API_BASE_URL}/ogrenciler`);
-        return {
-          content: [
-            {
-              type: 'text',
-              text: JSON.stringify(allStudents.data, null, 2),
+      {
+        name: 'add_teacher',
+        description: 'Yeni öğretmen ekle',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            tc_no: { type: 'string', description: 'TC Kimlik No' },
+            ad: { type: 'string', description: 'Ad' },
+            soyad: { type: 'string', description: 'Soyad' },
+            dogum_tarihi: { type: 'string', description: 'Doğum Tarihi (YYYY-MM-DD)' },
+            cinsiyet: { type: 'string', description: 'Cinsiyet (E/K)' },
+            telefon: { type: 'string', description: 'Telefon' },
+            email: { type: 'string', description: 'Email' },
+            adres: { type: 'string', description: 'Adres' },
+            brans: { type: 'string', description: 'Branş' },
+            mezuniyet: { type: 'string', description: 'Mezuniyet' },
+            maas: { type: 'number', description: 'Maaş' },
+            ise_baslama_tarihi: { type: 'string', description: 'İşe Başlama Tarihi (YYYY-MM-DD)' },
+          },
+          required: ['tc_no', 'ad', 'soyad', 'dogum_tarihi', 'cinsiyet', 'brans'],
+        },
+      },
+      {
+        name: 'update_teacher',
+        description: 'Öğretmen bilgilerini güncelle (sadece gönderilen alanlar)',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            id: { type: 'integer', description: 'Öğretmen ID' },
+            tc_no: { type: 'string', description: 'TC Kimlik No' },
+            ad: { type: 'string', description: 'Ad' },
+            soyad: { type: 'string', description: 'Soyad' },
+            dogum_tarihi: { type: 'string', description: 'Doğum Tarihi (YYYY-MM-DD)' },
+            cinsiyet: { type: 'string', description: 'Cinsiyet (E/K)' },
+            telefon: { type: 'string', description: 'Telefon' },
+            email: { type: 'string', description: 'Email' },
+            adres: { type: 'string', description: 'Adres' },
+            brans: { type: 'string', description: 'Branş' },
+            mezuniyet: { type: 'string', description: 'Mezuniyet' },
+            maas: { type: 'number', description: 'Maaş' },
+            ise_baslama_tarihi: { type: 'string', description: 'İşe Başlama Tarihi (YYYY-MM-DD)' },
+          },
+          required: ['id'],
+        },
+      },
+      {
+        name: 'delete_teacher',
+        description: 'Öğretmen sil (soft delete)',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            id: {
+              type: 'integer',
+              description: 'Öğretmen ID',
             },
-          ],
-        };
-
-      case 'get_student_by_id':
-        const student = await axios.get(`${API_BASE_URL}/ogrenciler/${args.id}`);
-        return {
-          content: [
-            {
-              type: 'text',
-              text: JSON.stringify(student.data, null, 2),
+          },
+          required: ['id'],
+        },
+      },
+      {
+        name: 'get_teacher_classes',
+        description: 'Öğretmenin sınıf öğretmeni olduğu sınıfları getir',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            id: {
+              type: 'integer',
+              description: 'Öğretmen ID',
             },
-          ],
-        };
-
-      case 'get_student_grades':
-        const grades = await axios.get(`${API_BASE_URL}/ogrenciler/${args.id}/notlar`);
-        return {
-          content: [
-            {
-              type: 'text',
-              text: JSON.stringify(grades.data, null, 2),
+          },
+          required: ['id'],
+        },
+      },
+      {
+        name: 'get_teacher_lessons',
+        description: 'Öğretmenin ders programındaki derslerini getir',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            id: {
+              type: 'integer',
+              description: 'Öğretmen ID',
             },
-          ],
-        };
-
-      case 'get_student_attendance':
-        const attendance = await axios.get(`${API_BASE_URL}/ogrenciler/${args.id}/devamsizlik`);
-        return {
-          content: [
-            {
-              type: 'text',
-              text: JSON.stringify(attendance.data, null, 2),
+          },
+          required: ['id'],
+        },
+      },
+      {
+        name: 'get_teacher_grades',
+        description: 'Öğretmenin girdiği notları getir',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            id: {
+              type: 'integer',
+              description: 'Öğretmen ID',
             },
-          ],
-        };
-
-      case 'get_student_payments':
-        const payments = await axios.get(`${API_BASE_URL}/ogrenciler/${args.id}/odemeler`);
-        return {
-          content: [
-            {
-              type: 'text',
-              text: JSON.stringify(payments.data, null, 2),
+          },
+          required: ['id'],
+        },
+      },
+      {
+        name: 'get_all_classes',
+        description: 'Tüm aktif sınıfları sınıf öğretmeni ve mevcut öğrenci sayısıyla getir',
+        inputSchema: {
+          type: 'object',
+          properties: {},
+        },
+      },
+      {
+        name: 'get_class_by_id',
+        description: 'ID ile sınıf bilgilerini getir',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            sinif_id: {
+              type: 'integer',
+              description: 'Sınıf ID',
             },
-          ],
-        };
-
-      case 'get_students_by_class':
-        const classStudents = await axios.get(`${API_BASE_URL}/siniflar/${args.sinif_id}/ogrenciler`);
-        return {
-          content: [
-            {
-              type: 'text',
-              text: JSON.stringify(classStudents.data, null, 2),
+          },
+          required: ['sinif_id'],
+        },
+      },
+      {
+        name: 'get_class_summary',
+        description: 'Sınıf özeti: mevcut, kalan kontenjan ve cinsiyet dağılımı',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            sinif_id: {
+              type: 'integer',
+              description: 'Sınıf ID',
             },
-          ],
-        };
-
-      case 'search_students':
-        const searchResults = await axios.get(`${API_BASE_URL}/ogrenciler/ara/${args.search}`);
-        return {
-          content: [
-            {
-              type: 'text',
-              text: JSON.stringify(searchResults.data, null, 2),
+          },
+          required: ['sinif_id'],
+        },
+      },
+      {
+        name: 'add_class',
+        description: 'Yeni sınıf ekle',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            sinif_adi: { type: 'string', description: 'Sınıf Adı (örn. 9. Sınıf)' },
+            seviye: { type: 'integer', description: 'Seviye (9-12)' },
+            sube: { type: 'string', description: 'Şube (A, B, ...)' },
+            ogretmen_id: { type: 'integer', description: 'Sınıf Öğretmeni ID' },
+            kontenjan: { type: 'integer', description: 'Kontenjan (varsayılan 30)' },
+          },
+          required: ['sinif_adi', 'seviye', 'sube'],
+        },
+      },
+      {
+        name: 'update_class',
+        description: 'Sınıf bilgilerini güncelle (sadece gönderilen alanlar)',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            sinif_id: { type: 'integer', description: 'Sınıf ID' },
+            sinif_adi: { type: 'string', description: 'Sınıf Adı (örn. 9. Sınıf)' },
+            seviye: { type: 'integer', description: 'Seviye (9-12)' },
+            sube: { type: 'string', description: 'Şube (A, B, ...)' },
+            ogretmen_id: { type: 'integer', description: 'Sınıf Öğretmeni ID' },
+            kontenjan: { type: 'integer', description: 'Kontenjan (varsayılan 30)' },
+          },
+          required: ['sinif_id'],
+        },
+      },
+      {
+        name: 'delete_class',
+        description: 'Sınıf sil (soft delete, sınıfta aktif öğrenci olmamalı)',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            sinif_id: {
+              type: 'integer',
+              description: 'Sınıf ID',
             },
-          ],
+          },
+          required: ['sinif_id'],
+        },
+      },
+      {
+        name: 'list_courses',
+        description: 'Ders kataloğunu getir (kredi, teorik/pratik saat)',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            include_inactive: {
+              type: 'boolean',
+              description: 'Pasif dersleri de getir',
+            },
+          },
+        },
+      },
+      {
+        name: 'get_course',
+        description: 'ID veya ders kodu ile ders bilgilerini getir',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            id: { type: 'integer', description: 'Ders ID' },
+            ders_kodu: { type: 'string', description: 'Ders Kodu (örn. MAT101)' },
+          },
+        },
+      },
+      {
+        name: 'add_grade',
+        description: 'Öğrenciye not gir (sınav türü: Yazılı, Sözlü, Proje, Ödev, Vize, Final)',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            ogrenci_id: { type: 'integer', description: 'Öğrenci ID' },
+            ders_id: { type: 'integer', description: 'Ders ID' },
+            sinav_turu: { type: 'string', description: 'Sınav Türü (Yazılı, Sözlü, Proje, Ödev, Vize, Final)' },
+            not_degeri: { type: 'integer', description: 'Not (0-100)' },
+            ogretmen_id: { type: 'integer', description: 'Notu giren öğretmen ID' },
+            tarih: { type: 'string', description: 'Tarih (YYYY-MM-DD, varsayılan bugün)' },
+            aciklama: { type: 'string', description: 'Açıklama' },
+          },
+          required: ['ogrenci_id', 'ders_id', 'sinav_turu', 'not_degeri', 'ogretmen_id'],
+        },
+      },
+      {
+        name: 'update_grade',
+        description: 'Girilmiş bir notu düzelt (sadece gönderilen alanlar)',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            id: { type: 'integer', description: 'Not ID' },
+            ogrenci_id: { type: 'integer', description: 'Öğrenci ID' },
+            ders_id: { type: 'integer', description: 'Ders ID' },
+            sinav_turu: { type: 'string', description: 'Sınav Türü (Yazılı, Sözlü, Proje, Ödev, Vize, Final)' },
+            not_degeri: { type: 'integer', description: 'Not (0-100)' },
+            ogretmen_id: { type: 'integer', description: 'Düzeltmeyi yapan öğretmen ID' },
+            tarih: { type: 'string', description: 'Tarih (YYYY-MM-DD, varsayılan bugün)' },
+            aciklama: { type: 'string', description: 'Açıklama' },
+          },
+          required: ['id', 'ogretmen_id'],
+        },
+      },
+      {
+        name: 'record_attendance',
+        description: 'Sınıf yoklaması kaydet: sınıf, ders, tarih ve gelmeyen öğrenciler (aynı gün tekrar eden kayıtlar atlanır)',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            sinif_id: { type: 'integer', description: 'Sınıf ID' },
+            ders_id: { type: 'integer', description: 'Ders ID' },
+            tarih: { type: 'string', description: 'Yoklama tarihi (YYYY-MM-DD)' },
+            ogretmen_id: { type: 'integer', description: 'Yoklamayı alan öğretmen ID' },
+            devamsizlik_turu: {
+              type: 'string',
+              enum: ['Mazeret', 'Mazeretli', 'Mazeretsiz'],
+              description: 'Tüm devamsızlar için varsayılan tür',
+            },
+            devamsizlar: {
+              type: 'array',
+              description: 'Derse gelmeyen öğrenciler (boş liste: herkes geldi)',
+              items: {
+                type: 'object',
+                properties: {
+                  ogrenci_id: { type: 'integer', description: 'Öğrenci ID' },
+                  devamsizlik_turu: {
+                    type: 'string',
+                    enum: ['Mazeret', 'Mazeretli', 'Mazeretsiz'],
+                    description: 'Bu öğrenci için devamsızlık türü',
+                  },
+                  aciklama: { type: 'string', description: 'Açıklama' },
+                },
+                required: ['ogrenci_id'],
+              },
+            },
+          },
+          required: ['sinif_id', 'ders_id', 'tarih', 'devamsizlar'],
+        },
+      },
+      {
+        name: 'create_charge',
+        description: 'Öğrenciye borç (tahakkuk) oluştur',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            ogrenci_id: { type: 'integer', description: 'Öğrenci ID' },
+            odeme_turu: { type: 'string', description: 'Ödeme Türü (Okul Ücreti, Yemek, Servis, Kitap, Malzeme, Diğer)' },
+            tutar: { type: 'number', description: 'Tutar (TL)' },
+            vade_tarihi: { type: 'string', description: 'Son ödeme tarihi (YYYY-MM-DD)' },
+            odeme_tarihi: { type: 'string', description: 'Tahakkuk tarihi (YYYY-MM-DD, varsayılan bugün)' },
+            aciklama: { type: 'string', description: 'Açıklama' },
+          },
+          required: ['ogrenci_id', 'odeme_turu', 'tutar', 'vade_tarihi'],
+        },
+      },
+      {
+        name: 'record_payment',
+        description: 'Bir borcu ödeme yöntemiyle birlikte ödendi olarak işaretle',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            id: { type: 'integer', description: 'Ödeme (borç) ID' },
+            odeme_yontemi: { type: 'string', description: 'Ödeme Yöntemi (Nakit, Kredi Kartı, Havale, EFT, Çek)' },
+            tahsil_tarihi: { type: 'string', description: 'Ödemenin yapıldığı tarih (YYYY-MM-DD, varsayılan bugün)' },
+          },
+          required: ['id', 'odeme_yontemi'],
+        },
+      },
+      {
+        name: 'get_overdue_payments',
+        description: 'Vadesi geçmiş ve ödenmemiş borçları getir',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            sinif_id: {
+              type: 'integer',
+              description: 'Sadece bu sınıfın gecikmiş ödemeleri',
+            },
+          },
+        },
+      },
+      {
+        name: 'get_student_balance',
+        description: 'Öğrencinin toplam borç, ödenen ve kalan bakiyesini ödeme türüne göre getir',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            id: {
+              type: 'integer',
+              description: 'Öğrenci ID',
+            },
+          },
+          required: ['id'],
+        },
+      },
+      {
+        name: 'get_class_schedule',
+        description: 'Sınıfın haftalık ders programını getir (örn. 10-B çarşamba günü hangi dersler var?)',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            sinif_id: { type: 'integer', description: 'Sınıf ID' },
+            donem: { type: 'string', description: 'Dönem (örn. 2024-2025 Güz)' },
+            gun: { type: 'string', description: 'Sadece bu gün (Pazartesi, Salı, Çarşamba, Perşembe, Cuma, Cumartesi, Pazar)' },
+          },
+          required: ['sinif_id'],
+        },
+      },
+      {
+        name: 'get_teacher_schedule',
+        description: 'Öğretmenin haftalık ders programını getir',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            ogretmen_id: { type: 'integer', description: 'Öğretmen ID' },
+            donem: { type: 'string', description: 'Dönem (örn. 2024-2025 Güz)' },
+            gun: { type: 'string', description: 'Sadece bu gün (Pazartesi, Salı, Çarşamba, Perşembe, Cuma, Cumartesi, Pazar)' },
+          },
+          required: ['ogretmen_id'],
+        },
+      },
+      {
+        name: 'get_student_transcript',
+        description: 'Öğrencinin transkripti: dönem dönem ders sonuçları, geçti/kaldı ve dönem ortalaması',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            id: { type: 'integer', description: 'Öğrenci ID' },
+            donem: { type: 'string', description: 'Sadece bu dönem (örn. 2024-2025 Güz)' },
+          },
+          required: ['id'],
+        },
+      },
+      {
+        name: 'get_report_card',
+        description: 'Öğrencinin yazdırılabilir karnesini (HTML veya PDF) gömülü kaynak olarak getir',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            id: { type: 'integer', description: 'Öğrenci ID' },
+            donem: { type: 'string', description: 'Dönem (örn. 2024-2025 Güz, boş bırakılırsa tüm kayıtlar)' },
+            format: { type: 'string', enum: ['html', 'pdf'], description: 'Çıktı formatı (varsayılan html)' },
+          },
+          required: ['id'],
+        },
+      },
+      {
+        name: 'import_students',
+        description: 'CSV/XLSX dosyasından toplu öğrenci aktarımı (varsayılan dry_run: önce rapor)',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            content: { type: 'string', description: 'Dosya içeriği (CSV metni veya base64 kodlanmış XLSX)' },
+            format: { type: 'string', enum: ['csv', 'xlsx'], description: 'Dosya formatı (varsayılan csv)' },
+            dry_run: { type: 'boolean', description: 'true ise hiçbir kayıt yazılmaz, sadece rapor döner (varsayılan true)' },
+          },
+          required: ['content'],
+        },
+      },
+      {
+        name: 'get_change_history',
+        description: 'Bir kaydın değişiklik geçmişi: kim, hangi kanaldan (REST/MCP oturumu ve araç), ne zaman, önceki ve sonraki değerler',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            entity: {
+              type: 'string',
+              enum: ['ogrenciler', 'ogretmenler', 'siniflar', 'dersler', 'notlar', 'devamsizlik', 'odemeler', 'ders_programi'],
+              description: 'Tablo adı',
+            },
+            id: { type: 'integer', description: 'Kayıt ID (verilmezse tablodaki tüm değişiklikler)' },
+            limit: { type: 'integer', description: 'En fazla kaç kayıt dönsün (varsayılan 50)' },
+            offset: { type: 'integer', description: 'Atlanacak kayıt sayısı' },
+          },
+          required: ['entity'],
+        },
+      },
+      {
+        name: 'custom_query',
+        description: 'Özel SELECT (veya WITH) sorgusu çalıştır. Salt okunur bağlantıda, rolün izinli tablo/kolonlarıyla (öğretmen: ogretmenler (maas hariç), siniflar, dersler, ders_programi), satır sınırı ve zaman aşımıyla çalışır',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            query: {
+              type: 'string',
+              description: 'SQL SELECT sorgusu',
+            },
+            params: {
+              type: 'array',
+              description: 'Sorgu parametreleri',
+              items: {
+                type: 'string',
+              },
+            },
+            format: {
+              type: 'string',
+              enum: ['csv', 'xlsx', 'jsonl'],
+              description: 'Sonucu dosya olarak dışa aktar (csv, xlsx veya jsonl)',
+            },
+          },
+          required: ['query'],
+        },
+      },
+    ].filter((tool) => allowed.has(tool.name)),
+  };
+});
+
+// Araç çağrılarını işle
+const callTool = async (request) => {
+  const { name, arguments: args } = request.params;
+
+  try {
+    switch (name) {
+      case 'get_all_students':
+        const allStudents = await axios.get(`${API_BASE_URL}/ogrenciler`, {
+          params: { limit: args?.cursor ? undefined : MCP_PAGE_SIZE, ...args },
+        });
+        return {
+          content: [
+            {
+              type: 'text',
+              text: JSON.stringify(allStudents.data, null, 2),
+            },
+          ],
+        };
+
+      case 'get_student_by_id':
+        const student = await axios.get(`${API_BASE_URL}/ogrenciler/${args.id}`, {
+          params: { fields: args.fields },
+        });
+        return {
+          content: [
+            {
+              type: 'text',
+              text: JSON.stringify(student.data, null, 2),
+            },
+          ],
+        };
+
+      case 'get_student_grades':
+        const grades = await axios.get(`${API_BASE_URL}/ogrenciler/${args.id}/notlar`);
+        return {
+          content: [
+            {
+              type: 'text',
+              text: JSON.stringify(grades.data, null, 2),
+            },
+          ],
+        };
+
+      case 'get_student_attendance':
+        const attendance = await axios.get(`${API_BASE_URL}/ogrenciler/${args.id}/devamsizlik`);
+        return {
+          content: [
+            {
+              type: 'text',
+              text: JSON.stringify(attendance.data, null, 2),
+            },
+          ],
+        };
+
+      case 'get_student_payments':
+        const payments = await axios.get(`${API_BASE_URL}/ogrenciler/${args.id}/odemeler`);
+        return {
+          content: [
+            {
+              type: 'text',
+              text: JSON.stringify(payments.data, null, 2),
+            },
+          ],
+        };
+
+      case 'get_students_by_class':
+        const { sinif_id: classId, ...classListParams } = args;
+        const classStudents = await axios.get(`${API_BASE_URL}/siniflar/${classId}/ogrenciler`, {
+          params: { limit: classListParams.cursor ? undefined : MCP_PAGE_SIZE, ...classListParams },
+        });
+        return {
+          content: [
+            {
+              type: 'text',
+              text: JSON.stringify(classStudents.data, null, 2),
+            },
+          ],
+        };
+
+      case 'search_students':
+        const searchResults = await axios.get(`${API_BASE_URL}/ogrenciler/ara/${encodeURIComponent(args.search)}`, {
+          params: { limit: args.limit },
+        });
+        return {
+          content: [
+            {
+              type: 'text',
+              text: JSON.stringify(searchResults.data, null, 2),
+            },
+          ],
+        };
+
+      case 'get_student_average':
+        const average = await axios.get(`${API_BASE_URL}/ogrenciler/${args.id}/ortalama`);
+        return {
+          content: [
+            {
+              type: 'text',
+              text: JSON.stringify(average.data, null, 2),
+            },
+          ],
+        };
+
+      case 'add_student':
+        const newStudent = await axios.post(`${API_BASE_URL}/ogrenciler`, args);
+        return {
+          content: [
+            {
+              type: 'text',
+              text: JSON.stringify(newStudent.data, null, 2),
+            },
+          ],
+        };
+
+      case 'update_student':
+        const { id: updateStudentId, ...studentFields } = args;
+        const updatedStudent = await axios.patch(`${API_BASE_URL}/ogrenciler/${updateStudentId}`, studentFields);
+        return {
+          content: [
+            {
+              type: 'text',
+              text: JSON.stringify(updatedStudent.data, null, 2),
+            },
+          ],
+        };
+
+      case 'delete_student':
+        const deletedStudent = await axios.delete(`${API_BASE_URL}/ogrenciler/${args.id}`);
+        return {
+          content: [
+            {
+              type: 'text',
+              text: JSON.stringify(deletedStudent.data, null, 2),
+            },
+          ],
+        };
+
+      case 'restore_student':
+        const restoredStudent = await axios.post(`${API_BASE_URL}/ogrenciler/${args.id}/geri-al`);
+        return {
+          content: [
+            {
+              type: 'text',
+              text: JSON.stringify(restoredStudent.data, null, 2),
+            },
+          ],
+        };
+
+      case 'get_all_teachers':
+        const allTeachers = await axios.get(`${API_BASE_URL}/ogretmenler`);
+        return {
+          content: [
+            {
+              type: 'text',
+              text: JSON.stringify(allTeachers.data, null, 2),
+            },
+          ],
+        };
+
+      case 'get_teacher_by_id':
+        const teacher = await axios.get(`${API_BASE_URL}/ogretmenler/${args.id}`);
+        return {
+          content: [
+            {
+              type: 'text',
+              text: JSON.stringify(teacher.data, null, 2),
+            },
+          ],
+        };
+
+      case 'search_teachers':
+        const teacherSearchResults = await axios.get(`${API_BASE_URL}/ogretmenler/ara/${args.search}`);
+        return {
+          content: [
+            {
+              type: 'text',
+              text: JSON.stringify(teacherSearchResults.data, null, 2),
+            },
+          ],
         };
 
-      case 'get_student_average':
-        const average = await axios.get(`${API_BASE_URL}/ogrenciler/${args.id}/ortalama`);
+      case 'add_teacher':
+        const newTeacher = await axios.post(`${API_BASE_URL}/ogretmenler`, args);
         return {
           content: [
             {
               type: 'text',
-              text: JSON.stringify(average.data, null, 2),
+              text: JSON.stringify(newTeacher.data, null, 2),
             },
           ],
         };
 
-      case 'add_student':
-        const newStudent = await axios.post(`${API_BASE_URL}/ogrenciler`, args);
+      case 'update_teacher':
+        const updatedTeacher = await axios.put(`${API_BASE_URL}/ogretmenler/${args.id}`, args);
         return {
           content: [
             {
               type: 'text',
-              text: JSON.stringify(newStudent.data, null, 2),
+              text: JSON.stringify(updatedTeacher.data, null, 2),
             },
           ],
         };
 
-      case 'update_student':
-        const updatedStudent = await axios.put(`${API_BASE_URL}/ogrenciler/${args.id}`, args);
+      case 'delete_teacher':
+        const deletedTeacher = await axios.delete(`${API_BASE_URL}/ogretmenler/${args.id}`);
         return {
           content: [
             {
               type: 'text',
-              text: JSON.stringify(updatedStudent.data, null, 2),
+              text: JSON.stringify(deletedTeacher.data, null, 2),
             },
           ],
         };
 
-      case 'delete_student':
-        const deletedStudent = await axios.delete(`${API_BASE_URL}/ogrenciler/${args.id}`);
+      case 'get_teacher_classes':
+        const teacherClasses = await axios.get(`${API_BASE_URL}/ogretmenler/${args.id}/siniflar`);
         return {
           content: [
             {
               type: 'text',
-              text: JSON.stringify(deletedStudent.data, null, 2),
+              text: JSON.stringify(teacherClasses.data, null, 2),
+            },
+          ],
+        };
+
+      case 'get_teacher_lessons':
+        const teacherLessons = await axios.get(`${API_BASE_URL}/ogretmenler/${args.id}/dersler`);
+        return {
+          content: [
+            {
+              type: 'text',
+              text: JSON.stringify(teacherLessons.data, null, 2),
+            },
+          ],
+        };
+
+      case 'get_teacher_grades':
+        const teacherGrades = await axios.get(`${API_BASE_URL}/ogretmenler/${args.id}/notlar`);
+        return {
+          content: [
+            {
+              type: 'text',
+              text: JSON.stringify(teacherGrades.data, null, 2),
+            },
+          ],
+        };
+
+      case 'get_all_classes':
+        const allClasses = await axios.get(`${API_BASE_URL}/siniflar`);
+        return {
+          content: [
+            {
+              type: 'text',
+              text: JSON.stringify(allClasses.data, null, 2),
+            },
+          ],
+        };
+
+      case 'get_class_by_id':
+        const classInfo = await axios.get(`${API_BASE_URL}/siniflar/${args.sinif_id}`);
+        return {
+          content: [
+            {
+              type: 'text',
+              text: JSON.stringify(classInfo.data, null, 2),
+            },
+          ],
+        };
+
+      case 'get_class_summary':
+        const classSummary = await axios.get(`${API_BASE_URL}/siniflar/${args.sinif_id}/ozet`);
+        return {
+          content: [
+            {
+              type: 'text',
+              text: JSON.stringify(classSummary.data, null, 2),
+            },
+          ],
+        };
+
+      case 'add_class':
+        const newClass = await axios.post(`${API_BASE_URL}/siniflar`, args);
+        return {
+          content: [
+            {
+              type: 'text',
+              text: JSON.stringify(newClass.data, null, 2),
+            },
+          ],
+        };
+
+      case 'update_class':
+        const updatedClass = await axios.put(`${API_BASE_URL}/siniflar/${args.sinif_id}`, args);
+        return {
+          content: [
+            {
+              type: 'text',
+              text: JSON.stringify(updatedClass.data, null, 2),
+            },
+          ],
+        };
+
+      case 'delete_class':
+        const deletedClass = await axios.delete(`${API_BASE_URL}/siniflar/${args.sinif_id}`);
+        return {
+          content: [
+            {
+              type: 'text',
+              text: JSON.stringify(deletedClass.data, null, 2),
+            },
+          ],
+        };
+
+      case 'list_courses':
+        const courses = await axios.get(`${API_BASE_URL}/dersler`, {
+          params: { include_inactive: args?.include_inactive ? 1 : undefined },
+        });
+        return {
+          content: [
+            {
+              type: 'text',
+              text: JSON.stringify(courses.data, null, 2),
+            },
+          ],
+        };
+
+      case 'get_course':
+        const course = await axios.get(
+          args.ders_kodu
+            ? `${API_BASE_URL}/dersler/kod/${encodeURIComponent(args.ders_kodu)}`
+            : `${API_BASE_URL}/dersler/${args.id}`
+        );
+        return {
+          content: [
+            {
+              type: 'text',
+              text: JSON.stringify(course.data, null, 2),
+            },
+          ],
+        };
+
+      case 'add_grade':
+        const newGrade = await axios.post(`${API_BASE_URL}/notlar`, args);
+        return {
+          content: [
+            {
+              type: 'text',
+              text: JSON.stringify(newGrade.data, null, 2),
+            },
+          ],
+        };
+
+      case 'update_grade':
+        const updatedGrade = await axios.put(`${API_BASE_URL}/notlar/${args.id}`, args);
+        return {
+          content: [
+            {
+              type: 'text',
+              text: JSON.stringify(updatedGrade.data, null, 2),
+            },
+          ],
+        };
+
+      case 'record_attendance':
+        const attendanceResult = await axios.post(`${API_BASE_URL}/yoklama`, args);
+        return {
+          content: [
+            {
+              type: 'text',
+              text: JSON.stringify(attendanceResult.data, null, 2),
+            },
+          ],
+        };
+
+      case 'create_charge':
+        const newCharge = await axios.post(`${API_BASE_URL}/odemeler`, args);
+        return {
+          content: [
+            {
+              type: 'text',
+              text: JSON.stringify(newCharge.data, null, 2),
+            },
+          ],
+        };
+
+      case 'record_payment':
+        const paymentResult = await axios.post(`${API_BASE_URL}/odemeler/${args.id}/ode`, args);
+        return {
+          content: [
+            {
+              type: 'text',
+              text: JSON.stringify(paymentResult.data, null, 2),
+            },
+          ],
+        };
+
+      case 'get_overdue_payments':
+        const overduePayments = await axios.get(`${API_BASE_URL}/odemeler/gecikmis`, {
+          params: { sinif_id: args?.sinif_id },
+        });
+        return {
+          content: [
+            {
+              type: 'text',
+              text: JSON.stringify(overduePayments.data, null, 2),
+            },
+          ],
+        };
+
+      case 'get_student_balance':
+        const balance = await axios.get(`${API_BASE_URL}/ogrenciler/${args.id}/bakiye`);
+        return {
+          content: [
+            {
+              type: 'text',
+              text: JSON.stringify(balance.data, null, 2),
+            },
+          ],
+        };
+
+      case 'get_class_schedule':
+        const classSchedule = await axios.get(`${API_BASE_URL}/siniflar/${args.sinif_id}/program`, {
+          params: { donem: args.donem, gun: args.gun },
+        });
+        return {
+          content: [
+            {
+              type: 'text',
+              text: JSON.stringify(classSchedule.data, null, 2),
+            },
+          ],
+        };
+
+      case 'get_teacher_schedule':
+        const teacherSchedule = await axios.get(`${API_BASE_URL}/ogretmenler/${args.ogretmen_id}/program`, {
+          params: { donem: args.donem, gun: args.gun },
+        });
+        return {
+          content: [
+            {
+              type: 'text',
+              text: JSON.stringify(teacherSchedule.data, null, 2),
+            },
+          ],
+        };
+
+      case 'get_student_transcript':
+        const transcript = await axios.get(`${API_BASE_URL}/ogrenciler/${args.id}/transkript`, {
+          params: { donem: args.donem },
+        });
+        return {
+          content: [
+            {
+              type: 'text',
+              text: JSON.stringify(transcript.data, null, 2),
+            },
+          ],
+        };
+
+      case 'get_change_history':
+        const changeHistory = await axios.get(`${API_BASE_URL}/audit`, {
+          params: { entity: args.entity, id: args.id, limit: args.limit, offset: args.offset },
+        });
+        return {
+          content: [
+            {
+              type: 'text',
+              text: JSON.stringify(changeHistory.data, null, 2),
+            },
+          ],
+        };
+
+      case 'get_report_card':
+        const reportCardFormat = args.format || 'html';
+        const reportCard = await axios.get(`${API_BASE_URL}/ogrenciler/${args.id}/karne`, {
+          params: { donem: args.donem, format: reportCardFormat },
+          responseType: 'arraybuffer',
+        });
+        const reportCardUri = `karne://ogrenci/${args.id}/karne.${reportCardFormat}`;
+        return {
+          content: [
+            {
+              type: 'resource',
+              resource: reportCardFormat === 'pdf'
+                ? { uri: reportCardUri, mimeType: 'application/pdf', blob: Buffer.from(reportCard.data).toString('base64') }
+                : { uri: reportCardUri, mimeType: 'text/html', text: Buffer.from(reportCard.data).toString('utf8') },
+            },
+          ],
+        };
+
+      case 'import_students':
+        const importFormat = args.format || 'csv';
+        const importResult = await axios.post(
+          `${API_BASE_URL}/ogrenciler/ice-aktar`,
+          importFormat === 'xlsx' ? Buffer.from(args.content, 'base64') : args.content,
+          {
+            params: { format: importFormat, dry_run: args.dry_run === false ? 0 : 1 },
+            headers: { 'Content-Type': 'application/octet-stream' },
+          }
+        );
+        return {
+          content: [
+            {
+              type: 'text',
+              text: JSON.stringify(importResult.data, null, 2),
             },
           ],
         };
 
       case 'custom_query':
+        if (args.format) {
+          const exported = await axios.post(
+            `${API_BASE_URL}/custom-query`,
+            { query: args.query, params: args.params || [] },
+            {
+              params: { format: args.format },
+              responseType: 'arraybuffer',
+            }
+          );
+          const exportUri = `export://sorgu-sonucu.${args.format}`;
+          const exportMimeType = exported.headers['content-type'];
+          return {
+            content: [
+              {
+                type: 'resource',
+                resource: args.format === 'xlsx'
+                  ? { uri: exportUri, mimeType: exportMimeType, blob: Buffer.from(exported.data).toString('base64') }
+                  : { uri: exportUri, mimeType: exportMimeType, text: Buffer.from(exported.data).toString('utf8') },
+              },
+            ],
+          };
+        }
+
         const customResult = await axios.post(`${API_BASE_URL}/custom-query`, {
           query: args.query,
           params: args.params || [],
@@ -357,16 +1319,165 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
         throw new Error(`Bilinmeyen araç: ${name}`);
     }
   } catch (error) {
+    // API'nin döndürdüğü hata mesajını (örn. kontenjan dolu) ve alan detaylarını olduğu gibi aktar
+    let apiError = error.response?.data;
+    if (Buffer.isBuffer(apiError)) {
+      // arraybuffer ile istenen yanıtlarda (karne) hata gövdesi JSON olarak gelir
+      try {
+        apiError = JSON.parse(apiError.toString('utf8'));
+      } catch {
+        apiError = undefined;
+      }
+    }
+    const details = apiError?.details ? `\n${JSON.stringify(apiError.details, null, 2)}` : '';
     return {
       content: [
         {
           type: 'text',
-          text: `Hata: ${error.message}`,
+          text: `Hata: ${apiError?.error || error.message}${details}`,
         },
       ],
       isError: true,
     };
   }
+};
+
+server.setRequestHandler(CallToolRequestSchema, callTool);
+
+// ======================
+// KAYNAKLAR (şema ve kayıtlar)
+// ======================
+
+// custom_query yazarken kullanılacak şema bilgisi; rolün sorgulayamadığı tablolar API'den gelmez
+async function schemaTables() {
+  try {
+    const response = await axios.get(`${API_BASE_URL}/schema`);
+    return response.data.data.tablolar;
+  } catch {
+    return [];
+  }
+}
+
+// Öğrenci, sınıf listesi ve ders kayıtları ile kullanıcının erişebildiği şablonlar
+async function recordResources() {
+  try {
+    const response = await axios.get(`${API_BASE_URL}/kaynaklar`);
+    return { resources: response.data.data, templates: response.data.sablonlar };
+  } catch {
+    return { resources: [], templates: [] };
+  }
+}
+
+const RESOURCE_PAGE_SIZE = 100;
+
+// Değişiklik bildirimleri (resources/updated) sadece app.js'nin SSE bağlantısında var, burada abonelik desteklenmez
+server.setRequestHandler(ListResourcesRequestSchema, async (request) => {
+  const tablolar = await schemaTables();
+  const records = await recordResources();
+  const resources = [
+    ...(tablolar.length ? [
+      {
+        uri: 'schema://tables',
+        name: 'Veritabanı tabloları',
+        description: 'custom_query ile sorgulanabilen tablolar, satır sayıları ve SQL ipuçları',
+        mimeType: 'application/json',
+      },
+      ...tablolar.map((tablo) => ({
+        uri: tablo.uri,
+        name: `${tablo.ad} tablosu`,
+        description: tablo.aciklama,
+        mimeType: 'application/json',
+      })),
+    ] : []),
+    ...records.resources,
+  ];
+
+  const offset = Number(request.params?.cursor) || 0;
+  const nextOffset = offset + RESOURCE_PAGE_SIZE;
+  return {
+    resources: resources.slice(offset, nextOffset),
+    ...(nextOffset < resources.length && { nextCursor: String(nextOffset) }),
+  };
+});
+
+server.setRequestHandler(ListResourceTemplatesRequestSchema, async () => {
+  const tablolar = await schemaTables();
+  const records = await recordResources();
+  return {
+    resourceTemplates: [
+      ...(tablolar.length ? [{
+        uriTemplate: 'schema://table/{name}',
+        name: 'Tablo şeması',
+        description: 'Kolonlar, türler, CHECK ile izin verilen değerler, yabancı anahtarlar, Türkçe açıklamalar ve örnek satırlar',
+        mimeType: 'application/json',
+      }] : []),
+      ...records.templates.map((template) => ({ ...template, mimeType: 'application/json' })),
+    ],
+  };
+});
+
+// Kişisel veriler (örnek satırlar, öğrenci kayıtları) sunucuda politikaya göre maskelenir
+server.setRequestHandler(ReadResourceRequestSchema, async (request) => {
+  const { uri } = request.params;
+  const table = uri.match(/^schema:\/\/table\/([^/]+)$/);
+
+  try {
+    let response;
+    if (uri === 'schema://tables') {
+      response = await axios.get(`${API_BASE_URL}/schema`);
+    } else if (table) {
+      response = await axios.get(`${API_BASE_URL}/schema/${table[1]}`);
+    } else {
+      response = await axios.get(`${API_BASE_URL}/kaynaklar/oku`, { params: { uri } });
+    }
+    return {
+      contents: [{ uri, mimeType: 'application/json', text: JSON.stringify(response.data.data, null, 2) }],
+    };
+  } catch (error) {
+    throw new Error(error.response?.data?.error || error.message);
+  }
+});
+
+// ======================
+// PROMPTLAR
+// ======================
+
+// Veli görüşmesi, haftalık sınıf özeti, ödeme ve devamsızlık mektupları; veriler API'de doldurulur
+server.setRequestHandler(ListPromptsRequestSchema, async () => {
+  try {
+    const response = await axios.get(`${API_BASE_URL}/promptlar`);
+    return { prompts: response.data.data };
+  } catch (error) {
+    console.error('Prompt listesi alınamadı:', error.response?.data?.error || error.message);
+    return { prompts: [] };
+  }
+});
+
+server.setRequestHandler(GetPromptRequestSchema, async (request) => {
+  const { name, arguments: args } = request.params;
+  try {
+    const response = await axios.post(`${API_BASE_URL}/promptlar/${encodeURIComponent(name)}`, args ?? {});
+    return response.data.data;
+  } catch (error) {
+    const details = error.response?.data?.details ? ` ${JSON.stringify(error.response.data.details)}` : '';
+    throw new Error(`${error.response?.data?.error || error.message}${details}`);
+  }
+});
+
+// ======================
+// ARGÜMAN TAMAMLAMA
+// ======================
+
+// Öğrenci adı, "9-A" gibi sınıf ve ders adı/kodu önerileri API'den gelir; hata olursa öneri verilmez
+server.setRequestHandler(CompleteRequestSchema, async (request) => {
+  const { ref, argument } = request.params;
+  try {
+    const response = await axios.post(`${API_BASE_URL}/tamamla`, { ref, argument });
+    return { completion: response.data.data };
+  } catch (error) {
+    console.error('Tamamlama önerileri alınamadı:', error.response?.data?.error || error.message);
+    return { completion: { values: [] } };
+  }
 });
 
 // Sunucuyu başlat
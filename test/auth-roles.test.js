@@ -0,0 +1,114 @@
+import assert from 'node:assert/strict';
+import { after, before, describe, test } from 'node:test';
+import { ADMIN_KEY, PARENT_KEY, TEACHER_KEY, startServer } from './helpers.js';
+
+describe('rol bazlı erişim', () => {
+  let server;
+  before(async () => {
+    server = await startServer();
+  });
+  after(() => server.stop());
+
+  test('anahtarsız ve geçersiz anahtarlı istekler 401 alır', async () => {
+    assert.equal((await server.request('/api/ogrenciler')).status, 401);
+    assert.equal((await server.request('/api/ogrenciler', { key: 'gecersiz-anahtar-000000' })).status, 401);
+  });
+
+  test('admin tüm aktif öğrencileri görür', async () => {
+    const { status, json } = await server.request('/api/ogrenciler', { key: ADMIN_KEY });
+    assert.equal(status, 200);
+    assert.ok(json.data.some((ogrenci) => ogrenci.id === 6));
+  });
+
+  describe('öğretmen', () => {
+    test('sadece kendi sınıflarının öğrencilerini listeler', async () => {
+      const { status, json } = await server.request('/api/ogrenciler', { key: TEACHER_KEY });
+      assert.equal(status, 200);
+      assert.deepEqual([...new Set(json.data.map((ogrenci) => ogrenci.sinif_id))].sort(), [1, 2, 7]);
+      assert.equal(json.pagination.toplam, 7);
+    });
+
+    test('başka sınıftaki öğrenciyi okuyamaz, aramada da göremez', async () => {
+      assert.equal((await server.request('/api/ogrenciler/1', { key: TEACHER_KEY })).status, 200);
+      assert.equal((await server.request('/api/ogrenciler/6', { key: TEACHER_KEY })).status, 403);
+      assert.equal((await server.request('/api/ogrenciler/6/notlar', { key: TEACHER_KEY })).status, 403);
+
+      const { json } = await server.request(`/api/ogrenciler/ara/${encodeURIComponent('Elif Arslan')}`, { key: TEACHER_KEY });
+      assert.ok(!json.data.some((ogrenci) => ogrenci.id === 6));
+    });
+
+    test('başka sınıfın öğrenci listesini alamaz', async () => {
+      assert.equal((await server.request('/api/siniflar/1/ogrenciler', { key: TEACHER_KEY })).status, 200);
+      assert.equal((await server.request('/api/siniflar/3/ogrenciler', { key: TEACHER_KEY })).status, 403);
+    });
+
+    test('admin işlemlerini yapamaz', async () => {
+      const { status } = await server.request('/api/ogretmenler', {
+        key: TEACHER_KEY,
+        method: 'POST',
+        body: { ad: 'Yeni', soyad: 'Öğretmen' },
+      });
+      assert.equal(status, 403);
+      assert.equal((await server.request('/api/ogrenciler/1', { key: TEACHER_KEY, method: 'DELETE' })).status, 403);
+    });
+
+    test('başka bir öğretmen adına not giremez', async () => {
+      const { status } = await server.request('/api/notlar', {
+        key: TEACHER_KEY,
+        method: 'POST',
+        body: { ogrenci_id: 1, ders_id: 1, sinav_turu: 'Yazılı', not_degeri: 70, ogretmen_id: 2 },
+      });
+      assert.equal(status, 403);
+    });
+
+    test('başka bir öğretmenin notunu değiştiremez', async () => {
+      // 2 numaralı not 2 numaralı öğretmenin
+      const { status } = await server.request('/api/notlar/2', {
+        key: TEACHER_KEY,
+        method: 'PUT',
+        body: { ogretmen_id: 1, not_degeri: 100 },
+      });
+      assert.equal(status, 403);
+    });
+
+    test('kendi notunu erişemediği bir öğrenciye taşıyamaz', async () => {
+      const { status } = await server.request('/api/notlar/1', {
+        key: TEACHER_KEY,
+        method: 'PUT',
+        body: { ogretmen_id: 1, ogrenci_id: 6 },
+      });
+      assert.equal(status, 403);
+    });
+  });
+
+  describe('veli', () => {
+    test('sadece kendi çocuğunu görür', async () => {
+      const { status, json } = await server.request('/api/ogrenciler', { key: PARENT_KEY });
+      assert.equal(status, 200);
+      assert.deepEqual(json.data.map((ogrenci) => ogrenci.id), [1]);
+
+      assert.equal((await server.request('/api/ogrenciler/1/notlar', { key: PARENT_KEY })).status, 200);
+      assert.equal((await server.request('/api/ogrenciler/2', { key: PARENT_KEY })).status, 403);
+      assert.equal((await server.request('/api/ogrenciler/2/notlar', { key: PARENT_KEY })).status, 403);
+    });
+
+    test('öğretmen, sınıf listesi ve ders kataloğunu göremez', async () => {
+      for (const path of ['/api/ogretmenler', '/api/siniflar/1/ogrenciler', '/api/dersler', '/api/dersler/1']) {
+        assert.equal((await server.request(path, { key: PARENT_KEY })).status, 403, path);
+      }
+    });
+
+    test('ders programı kaydını sadece çocuğunun sınıfı için görür', async () => {
+      // 1-8 numaralı kayıtlar 1., 9-12 numaralılar 2. sınıfın
+      assert.equal((await server.request('/api/ders-programi/1', { key: PARENT_KEY })).status, 200);
+      assert.equal((await server.request('/api/ders-programi/9', { key: PARENT_KEY })).status, 403);
+    });
+
+    test('MCP araç listesinde custom_query yok', async () => {
+      const { json } = await server.request('/api/oturum', { key: PARENT_KEY });
+      assert.equal(json.data.rol, 'veli');
+      assert.ok(json.data.araclar.includes('get_student_by_id'));
+      assert.ok(!json.data.araclar.includes('custom_query'));
+    });
+  });
+});
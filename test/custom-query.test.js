@@ -0,0 +1,66 @@
+import assert from 'node:assert/strict';
+import { after, before, describe, test } from 'node:test';
+import { ADMIN_KEY, PARENT_KEY, TEACHER_KEY, startServer } from './helpers.js';
+
+describe('custom_query erişimi', () => {
+  let server;
+  before(async () => {
+    server = await startServer();
+  });
+  after(() => server.stop());
+
+  const query = (key, sql) => server.request('/api/custom-query', { key, method: 'POST', body: { query: sql } });
+
+  test('öğretmen izinli tablo ve kolonları sorgular', async () => {
+    const { status, json } = await query(TEACHER_KEY, 'SELECT id, ad FROM ogretmenler WHERE id = 1');
+    assert.equal(status, 200);
+    assert.equal(json.data.length, 1);
+  });
+
+  test('öğretmen gizli kolonu hiçbir yoldan okuyamaz', async () => {
+    for (const sql of [
+      'SELECT maas FROM ogretmenler',
+      'SELECT * FROM ogretmenler',
+      'SELECT id FROM ogretmenler WHERE maas > 0',
+      'SELECT id FROM ogretmenler ORDER BY maas',
+      'SELECT sum(maas) AS toplam FROM ogretmenler',
+    ]) {
+      const { status, json } = await query(TEACHER_KEY, sql);
+      assert.equal(status, 403, sql);
+      assert.match(json.error, /ogretmenler\.maas/, sql);
+    }
+  });
+
+  test('öğretmen izin verilmeyen tablolara erişemez', async () => {
+    for (const [sql, tablo] of [
+      ['SELECT id FROM ogrenciler', 'ogrenciler'],
+      ['SELECT count(*) AS adet FROM notlar', 'notlar'],
+      ['SELECT d.id FROM dersler d JOIN notlar n ON n.ders_id = d.id', 'notlar'],
+      ['SELECT id FROM siniflar WHERE id IN (SELECT sinif_id FROM ogrenciler)', 'ogrenciler'],
+      ['SELECT name FROM sqlite_master', 'sqlite_master'],
+    ]) {
+      const { status, json } = await query(TEACHER_KEY, sql);
+      assert.equal(status, 403, sql);
+      assert.match(json.error, new RegExp(tablo), sql);
+    }
+  });
+
+  test('admin tüm tablolara erişir', async () => {
+    const { status, json } = await query(ADMIN_KEY, 'SELECT maas FROM ogretmenler WHERE id = 1');
+    assert.equal(status, 200);
+    assert.equal(typeof json.data[0].maas, 'number');
+    assert.equal((await query(ADMIN_KEY, 'SELECT count(*) AS adet FROM notlar')).status, 200);
+  });
+
+  test('veli custom_query kullanamaz', async () => {
+    assert.equal((await query(PARENT_KEY, 'SELECT id FROM dersler')).status, 403);
+  });
+
+  test('yazma sorguları reddedilir', async () => {
+    for (const sql of ['DELETE FROM ogretmenler', "UPDATE dersler SET ders_adi = 'x'", 'SELECT 1; DELETE FROM notlar']) {
+      assert.equal((await query(ADMIN_KEY, sql)).status, 400, sql);
+    }
+    const { json } = await query(ADMIN_KEY, 'SELECT count(*) AS adet FROM ogretmenler');
+    assert.ok(json.data[0].adet > 0);
+  });
+});
@@ -0,0 +1,103 @@
+import { spawn } from 'node:child_process';
+import { once } from 'node:events';
+import { copyFileSync, mkdtempSync, rmSync, writeFileSync } from 'node:fs';
+import { createServer } from 'node:net';
+import { tmpdir } from 'node:os';
+import { dirname, join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const root = join(dirname(fileURLToPath(import.meta.url)), '..');
+
+export const ADMIN_KEY = 'test-admin-anahtari-0001';
+// 1 numaralı öğretmen 1. ve 7. sınıfların öğretmeni, 2. sınıfta da ders veriyor;
+// 6 numaralı öğrenci 3. sınıfta. Veli 1 numaralı öğrencinin velisi.
+export const TEACHER_KEY = 'test-ogretmen-anahtari-0001';
+export const OTHER_TEACHER_KEY = 'test-ogretmen-anahtari-0002';
+export const PARENT_KEY = 'test-veli-anahtari-0001';
+
+const API_KEYS = [
+  { key: TEACHER_KEY, rol: 'ogretmen', ogretmen_id: 1 },
+  { key: OTHER_TEACHER_KEY, rol: 'ogretmen', ogretmen_id: 2 },
+  { key: PARENT_KEY, rol: 'veli', ogrenci_ids: [1] },
+];
+
+const freePort = () => new Promise((resolve, reject) => {
+  const server = createServer();
+  server.once('error', reject);
+  server.listen(0, () => {
+    const { port } = server.address();
+    server.close(() => resolve(port));
+  });
+});
+
+async function waitUntilReady(url, child) {
+  for (let attempt = 0; attempt < 100; attempt++) {
+    if (child.exitCode !== null) {
+      throw new Error(`app.js ${child.exitCode} koduyla kapandı`);
+    }
+    try {
+      await fetch(url);
+      return;
+    } catch {
+      await new Promise((resolve) => setTimeout(resolve, 100));
+    }
+  }
+  throw new Error('app.js 10 saniyede açılmadı');
+}
+
+// app.js'yi veritabanının geçici bir kopyasıyla ayrı bir süreçte başlatır; depodaki database.db değişmez
+export async function startServer({ env = {} } = {}) {
+  const dir = mkdtempSync(join(tmpdir(), 'students-api-'));
+  copyFileSync(join(root, 'database.db'), join(dir, 'database.db'));
+  writeFileSync(join(dir, 'api-keys.json'), JSON.stringify(API_KEYS));
+
+  const port = await freePort();
+  const url = `http://127.0.0.1:${port}`;
+  const child = spawn(process.execPath, [join(root, 'app.js')], {
+    cwd: dir,
+    env: { ...process.env, ...env, PORT: String(port), ADMIN_API_KEY: ADMIN_KEY, API_KEYS_FILE: join(dir, 'api-keys.json') },
+    stdio: ['ignore', 'pipe', 'pipe'],
+  });
+  let log = '';
+  child.stdout.on('data', (chunk) => { log += chunk; });
+  child.stderr.on('data', (chunk) => { log += chunk; });
+
+  try {
+    await waitUntilReady(url, child);
+  } catch (err) {
+    child.kill();
+    rmSync(dir, { recursive: true, force: true });
+    throw new Error(`${err.message}\n${log}`);
+  }
+
+  // JSON gövdeli istek; key verilirse X-API-Key olarak gönderilir
+  const request = async (path, { key, method = 'GET', body, headers = {} } = {}) => {
+    const response = await fetch(`${url}${path}`, {
+      method,
+      headers: {
+        ...(key && { 'X-API-Key': key }),
+        ...(body !== undefined && { 'Content-Type': 'application/json' }),
+        ...headers,
+      },
+      body: body === undefined ? undefined : JSON.stringify(body),
+    });
+    const text = await response.text();
+    let json = null;
+    try {
+      json = JSON.parse(text);
+    } catch {
+      // CSV gibi JSON olmayan cevaplar text olarak kalır
+    }
+    return { status: response.status, headers: response.headers, json, text };
+  };
+
+  const stop = async () => {
+    if (child.exitCode === null) {
+      child.kill();
+      await once(child, 'exit');
+    }
+    rmSync(dir, { recursive: true, force: true });
+  };
+
+  return { url, request, stop, log: () => log };
+}
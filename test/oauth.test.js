@@ -0,0 +1,142 @@
+import assert from 'node:assert/strict';
+import { createHash, randomBytes } from 'node:crypto';
+import { after, before, describe, test } from 'node:test';
+import { PARENT_KEY, startServer } from './helpers.js';
+
+const REDIRECT_URI = 'http://localhost:9999/cb';
+
+describe('OAuth 2.1', () => {
+  let server;
+  let clientId;
+
+  const post = async (path, form) => {
+    const response = await fetch(`${server.url}${path}`, { method: 'POST', body: new URLSearchParams(form), redirect: 'manual' });
+    const json = response.headers.get('content-type')?.includes('json') ? await response.json() : null;
+    return { status: response.status, headers: response.headers, json };
+  };
+
+  // İzin formunu API anahtarıyla onaylar, yönlendirmedeki kodu döner
+  const authorize = async ({ scope = 'students:read grades:read', verifier }) => {
+    const response = await fetch(`${server.url}/authorize`, {
+      method: 'POST',
+      redirect: 'manual',
+      body: new URLSearchParams({
+        response_type: 'code',
+        client_id: clientId,
+        redirect_uri: REDIRECT_URI,
+        scope,
+        state: 'durum',
+        code_challenge: createHash('sha256').update(verifier).digest('base64url'),
+        code_challenge_method: 'S256',
+        api_key: PARENT_KEY,
+        karar: 'izin',
+      }),
+    });
+    assert.equal(response.status, 302);
+    return new URL(response.headers.get('location')).searchParams.get('code');
+  };
+
+  const issueTokens = async (options = {}) => {
+    const verifier = randomBytes(32).toString('base64url');
+    const code = await authorize({ ...options, verifier });
+    const { status, json } = await post('/token', {
+      grant_type: 'authorization_code',
+      client_id: clientId,
+      code,
+      redirect_uri: REDIRECT_URI,
+      code_verifier: verifier,
+    });
+    assert.equal(status, 200);
+    return json;
+  };
+
+  const refresh = (refreshToken, extra = {}) => post('/token', {
+    grant_type: 'refresh_token',
+    client_id: clientId,
+    refresh_token: refreshToken,
+    ...extra,
+  });
+
+  // Access token'ın /sse'de kabul edilip edilmediği; bağlantı durum kodu okununca kapatılır
+  const sseStatus = async (accessToken) => {
+    const controller = new AbortController();
+    const response = await fetch(`${server.url}/sse`, {
+      headers: { Authorization: `Bearer ${accessToken}` },
+      signal: controller.signal,
+    });
+    controller.abort();
+    return response.status;
+  };
+
+  before(async () => {
+    server = await startServer();
+    const { status, json } = await server.request('/register', {
+      method: 'POST',
+      body: { client_name: 'test', redirect_uris: [REDIRECT_URI] },
+    });
+    assert.equal(status, 201);
+    clientId = json.client_id;
+  });
+  after(() => server.stop());
+
+  test('yetki kodu PKCE doğrulamasıyla ve tek kullanımlık olarak token verir', async () => {
+    const verifier = randomBytes(32).toString('base64url');
+    const code = await authorize({ verifier });
+    const exchange = (codeVerifier) => post('/token', {
+      grant_type: 'authorization_code',
+      client_id: clientId,
+      code,
+      redirect_uri: REDIRECT_URI,
+      code_verifier: codeVerifier,
+    });
+
+    const wrong = await exchange('yanlis-dogrulayici');
+    assert.equal(wrong.status, 400);
+    assert.equal(wrong.json.error, 'invalid_grant');
+
+    // Yanlış doğrulayıcıyla denenen kod da tüketilmiş olur
+    const reused = await exchange(verifier);
+    assert.equal(reused.status, 400);
+
+    const tokens = await issueTokens();
+    assert.equal(tokens.token_type, 'Bearer');
+    assert.equal(await sseStatus(tokens.access_token), 200);
+  });
+
+  test('refresh token her kullanımda yenilenir, eskisi tekrar kullanılamaz', async () => {
+    const tokens = await issueTokens();
+
+    const first = await refresh(tokens.refresh_token);
+    assert.equal(first.status, 200);
+    assert.notEqual(first.json.refresh_token, tokens.refresh_token);
+
+    const replay = await refresh(tokens.refresh_token);
+    assert.equal(replay.status, 400);
+    assert.equal(replay.json.error, 'invalid_grant');
+
+    assert.equal((await refresh(first.json.refresh_token)).status, 200);
+  });
+
+  test('aynı refresh token ile eşzamanlı isteklerden sadece biri token alır', async () => {
+    const tokens = await issueTokens();
+    const results = await Promise.all(Array.from({ length: 5 }, () => refresh(tokens.refresh_token)));
+    assert.deepEqual(results.map(({ status }) => status).sort(), [200, 400, 400, 400, 400]);
+  });
+
+  test('refresh ile scope genişletilemez', async () => {
+    const tokens = await issueTokens({ scope: 'students:read' });
+    const widened = await refresh(tokens.refresh_token, { scope: 'students:read grades:write' });
+    assert.equal(widened.status, 400);
+    assert.equal(widened.json.error, 'invalid_scope');
+  });
+
+  test('refresh token iptal edilince onunla verilen access token da geçersiz olur', async () => {
+    const tokens = await issueTokens();
+    assert.equal(await sseStatus(tokens.access_token), 200);
+
+    const revoked = await post('/revoke', { client_id: clientId, token: tokens.refresh_token });
+    assert.equal(revoked.status, 200);
+    assert.equal(await sseStatus(tokens.access_token), 401);
+    assert.equal((await refresh(tokens.refresh_token)).status, 400);
+  });
+});
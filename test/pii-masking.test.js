@@ -0,0 +1,102 @@
+import assert from 'node:assert/strict';
+import { setTimeout as delay } from 'node:timers/promises';
+import { after, before, describe, test } from 'node:test';
+import { ADMIN_KEY, TEACHER_KEY, startServer } from './helpers.js';
+
+// 1 numaralı öğrencinin TC Kimlik No'su ve politikadaki maskeli hâli
+const TC_NO = '20123456789';
+const MASKED_TC_NO = '201******89';
+
+describe('kişisel veri maskeleme', () => {
+  let server;
+  before(async () => {
+    server = await startServer();
+  });
+  after(() => server.stop());
+
+  const student = (key, headers = {}, query = '') => server.request(`/api/ogrenciler/1${query}`, { key, headers });
+
+  describe('öğretmen', () => {
+    test('header göndermese de maskeli veri alır', async () => {
+      const { status, json } = await student(TEACHER_KEY);
+      assert.equal(status, 200);
+      assert.equal(json.data.tc_no, MASKED_TC_NO);
+      assert.match(json.data.veli_telefonu, /\*/);
+      assert.ok(!('adres' in json.data));
+    });
+
+    test('X-PII-Mask: 0 ile maskesiz veri alamaz ve istek loglanır', async () => {
+      const { json } = await student(TEACHER_KEY, { 'X-PII-Mask': '0' });
+      assert.equal(json.data.tc_no, MASKED_TC_NO);
+      await delay(50);
+      assert.match(server.log(), /\[PII\] REST .*rol=ogretmen .*maskesiz mod için yetki yok/);
+    });
+
+    test('liste ve dışa aktarmalar da maskelenir', async () => {
+      const list = await server.request('/api/siniflar/1/ogrenciler', { key: TEACHER_KEY });
+      assert.ok(list.json.data.every((ogrenci) => ogrenci.tc_no.includes('*')));
+
+      const csv = await server.request('/api/siniflar/1/ogrenciler?format=csv', { key: TEACHER_KEY });
+      assert.equal(csv.status, 200);
+      assert.ok(csv.text.includes(MASKED_TC_NO));
+      assert.ok(!csv.text.includes(TC_NO));
+    });
+
+    test('oturum bilgisinde maskesiz izni yok', async () => {
+      const { json } = await server.request('/api/oturum', { key: TEACHER_KEY });
+      assert.equal(json.data.pii.maskesiz_izinli, false);
+    });
+  });
+
+  describe('admin', () => {
+    test('maskesiz veri alır, X-PII-Mask: 0 isteği loglanır', async () => {
+      assert.equal((await student(ADMIN_KEY)).json.data.tc_no, TC_NO);
+
+      const { json } = await student(ADMIN_KEY, { 'X-PII-Mask': '0' });
+      assert.equal(json.data.tc_no, TC_NO);
+      await delay(50);
+      assert.match(server.log(), /\[PII\] REST .*rol=admin .*arac=GET \/api\/ogrenciler\/1 mod=maskesiz/);
+    });
+
+    test('X-PII-Mask: 1 ile maskeli ister', async () => {
+      const { json } = await student(ADMIN_KEY, { 'X-PII-Mask': '1' });
+      assert.equal(json.data.tc_no, MASKED_TC_NO);
+      assert.ok(!('adres' in json.data));
+    });
+
+    test('gizli alanlar ?fields= ile açıkça istenince gelir', async () => {
+      const { json } = await student(ADMIN_KEY, { 'X-PII-Mask': '1' }, '?fields=id,adres,tc_no');
+      assert.ok(json.data.adres);
+      assert.equal(json.data.tc_no, MASKED_TC_NO);
+    });
+  });
+
+  describe('maskeli custom_query', () => {
+    const query = (sql) => server.request('/api/custom-query', {
+      key: ADMIN_KEY,
+      method: 'POST',
+      headers: { 'X-PII-Mask': '1' },
+      body: { query: sql },
+    });
+
+    test('kişisel veri kolonu kendi adıyla seçilince maskelenir', async () => {
+      const { status, json } = await query('SELECT id, tc_no FROM ogrenciler WHERE id = 1');
+      assert.equal(status, 200);
+      assert.deepEqual(json.data, [{ id: 1, tc_no: MASKED_TC_NO }]);
+    });
+
+    test('takma ad, ifade, filtre ve alt sorgu ile maskeden kaçırılamaz', async () => {
+      for (const sql of [
+        'SELECT tc_no AS x FROM ogrenciler',
+        'SELECT substr(tc_no, 1, 11) AS tc_no FROM ogrenciler',
+        "SELECT telefon || '' AS telefon FROM ogrenciler",
+        `SELECT id FROM ogrenciler WHERE tc_no = '${TC_NO}'`,
+        "SELECT id FROM ogrenciler WHERE id IN (SELECT id FROM ogrenciler WHERE tc_no LIKE '201%')",
+        'SELECT 1 AS tc_no UNION ALL SELECT tc_no FROM ogrenciler ORDER BY 1',
+      ]) {
+        const { status, text } = await query(sql);
+        assert.equal(status, 403, `${sql}\n${text}`);
+      }
+    });
+  });
+});
@@ -0,0 +1,57 @@
+import assert from 'node:assert/strict';
+import { after, before, describe, test } from 'node:test';
+import { ADMIN_KEY, TEACHER_KEY, startServer } from './helpers.js';
+
+const csvIds = (text) => text.replace(/^﻿/, '').split('\r\n').slice(1).filter(Boolean).map((line) => Number(line.split(',')[0]));
+
+describe('pasif öğrenciler', () => {
+  let server;
+  before(async () => {
+    server = await startServer();
+    // 2 numaralı öğrenci 1. sınıfta, öğretmenin erişebildiği bir öğrenci
+    assert.equal((await server.request('/api/ogrenciler/2', { key: ADMIN_KEY, method: 'DELETE' })).status, 200);
+  });
+  after(() => server.stop());
+
+  test('admin include_inactive ile pasif öğrencileri listeler ve dışa aktarır', async () => {
+    const active = await server.request('/api/ogrenciler', { key: ADMIN_KEY });
+    assert.ok(!active.json.data.some((ogrenci) => ogrenci.id === 2));
+
+    const all = await server.request('/api/ogrenciler?include_inactive=1', { key: ADMIN_KEY });
+    assert.equal(all.status, 200);
+    assert.ok(all.json.data.some((ogrenci) => ogrenci.id === 2));
+
+    const csv = await server.request('/api/siniflar/1/ogrenciler?include_inactive=1&format=csv', { key: ADMIN_KEY });
+    assert.equal(csv.status, 200);
+    assert.ok(csvIds(csv.text).includes(2));
+  });
+
+  test('öğretmen include_inactive kullanamaz, dışa aktarmada da', async () => {
+    const cursor = Buffer.from(JSON.stringify({ include_inactive: true })).toString('base64url');
+    for (const path of [
+      '/api/ogrenciler?include_inactive=1',
+      '/api/ogrenciler?include_inactive=1&format=csv',
+      '/api/siniflar/1/ogrenciler?include_inactive=1&format=csv',
+      '/api/siniflar/1/ogrenciler?include_inactive=1&format=jsonl',
+      `/api/ogrenciler?cursor=${cursor}&format=csv`,
+    ]) {
+      assert.equal((await server.request(path, { key: TEACHER_KEY })).status, 403, path);
+    }
+  });
+
+  test('öğretmenin dışa aktarmasında pasif öğrenci yok', async () => {
+    const csv = await server.request('/api/siniflar/1/ogrenciler?format=csv', { key: TEACHER_KEY });
+    assert.equal(csv.status, 200);
+    assert.ok(csvIds(csv.text).length > 0);
+    assert.ok(!csvIds(csv.text).includes(2));
+  });
+
+  test('geri alma ve KVKK temizliği sadece admin', async () => {
+    assert.equal((await server.request('/api/ogrenciler/2/geri-al', { key: TEACHER_KEY, method: 'POST' })).status, 403);
+    assert.equal((await server.request('/api/ogrenciler/kvkk-temizlik', { key: TEACHER_KEY, method: 'POST' })).status, 403);
+
+    assert.equal((await server.request('/api/ogrenciler/2/geri-al', { key: ADMIN_KEY, method: 'POST' })).status, 200);
+    const active = await server.request('/api/ogrenciler', { key: ADMIN_KEY });
+    assert.ok(active.json.data.some((ogrenci) => ogrenci.id === 2));
+  });
+});